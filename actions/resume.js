@@ -1,96 +1,274 @@
 "use server";
 
 import { db } from "@/lib/prisma";
+import { Prisma } from "@prisma/client";
 import { auth } from "@clerk/nextjs/server";
 import { GoogleGenerativeAI } from "@google/generative-ai";
 import { revalidatePath } from "next/cache";
+import {
+  entryBullets,
+  migrateFormData,
+  resumeToMarkdown,
+} from "@/app/lib/helper";
+import { entrySchema } from "@/app/lib/schema";
+import { scoreResume } from "@/app/lib/ats";
 
 const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
 const model = genAI.getGenerativeModel({ model: "gemini-1.5-pro" });
 
-export async function saveResume(content) {
+// Runs the ATS analysis and stores the result as the resume's saved version,
+// replacing any autosaved draft. `version` is the one the editor loaded; when
+// the resume was written since then (e.g. from another tab) nothing is saved
+// and { conflict: true } is returned instead.
+export async function saveResume({
+  id,
+  version,
+  name,
+  targetRole,
+  theme,
+  content,
+  formData,
+}) {
   const { userId } = await auth();
   if (!userId) throw new Error("Unauthorized");
 
   const user = await db.user.findUnique({
     where: { clerkUserId: userId },
+    include: {
+      industryInsight: true,
+    },
   });
 
   if (!user) throw new Error("User not found");
 
+  // Checked before the slow analysis, and again by the update itself
+  if (id) {
+    const current = await getResumeVersion(id);
+    if (current.version !== version) return { conflict: true, ...current };
+  }
+
   try {
     // Generate ATS score and feedback
-    const atsAnalysis = await analyzeResume(content, user.industry);
-    
-    const resume = await db.resume.upsert({
-      where: {
-        userId: user.id,
-      },
-      update: {
-        content,
-        atsScore: atsAnalysis.score,
-        feedback: atsAnalysis.feedback,
-      },
+    const atsAnalysis = await analyzeResume(content, user, targetRole);
+
+    const data = {
+      name: name?.trim() || "My Resume",
+      targetRole: targetRole?.trim() || null,
+      theme,
+      content,
+      formData,
+      atsScore: atsAnalysis.score,
+      feedback: atsAnalysis.feedback,
+    };
+
+    // Every save is also kept as a revision so earlier work can be restored
+    const revision = {
       create: {
-        userId: user.id,
         content,
+        formData,
         atsScore: atsAnalysis.score,
         feedback: atsAnalysis.feedback,
       },
-    });
+    };
+
+    // Without an id this is a new resume in the user's library
+    const resume = id
+      ? await db.resume.update({
+          where: {
+            id,
+            userId: user.id,
+            version,
+          },
+          data: {
+            ...data,
+            draftData: Prisma.DbNull,
+            draftSavedAt: null,
+            version: { increment: 1 },
+            revisions: revision,
+          },
+        })
+      : await db.resume.create({
+          data: {
+            ...data,
+            userId: user.id,
+            revisions: revision,
+          },
+        });
 
     revalidatePath("/resume");
     return resume;
   } catch (error) {
+    // Written by another tab while the analysis was running
+    if (
+      error instanceof Prisma.PrismaClientKnownRequestError &&
+      error.code === "P2025"
+    ) {
+      return { conflict: true, ...(await getResumeVersion(id)) };
+    }
     console.error("Error saving resume:", error);
     throw new Error("Failed to save resume");
   }
 }
 
-async function analyzeResume(content, industry) {
+// Autosave: stores the editor state as a draft next to the saved version,
+// without running the analysis. Returns { conflict, version, draftSavedAt };
+// on a conflict nothing is written and `version` is the current one.
+export async function saveResumeDraft({ id, version, draft }) {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+
+  const draftSavedAt = new Date();
+  try {
+    const { count } = await db.resume.updateMany({
+      where: { id, userId: user.id, version },
+      data: {
+        draftData: draft,
+        draftSavedAt,
+        version: { increment: 1 },
+      },
+    });
+
+    if (!count) return { conflict: true, ...(await getResumeVersion(id)) };
+    return { conflict: false, version: version + 1, draftSavedAt };
+  } catch (error) {
+    console.error("Error saving draft:", error);
+    throw new Error("Failed to save draft");
+  }
+}
+
+// Drops the autosaved draft and returns the saved version, or { conflict }
+// when the resume was written from somewhere else in the meantime
+export async function discardResumeDraft({ id, version }) {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+
+  try {
+    return await db.resume.update({
+      where: {
+        id,
+        userId: user.id,
+        version,
+      },
+      data: {
+        draftData: Prisma.DbNull,
+        draftSavedAt: null,
+        version: { increment: 1 },
+      },
+    });
+  } catch (error) {
+    if (
+      error instanceof Prisma.PrismaClientKnownRequestError &&
+      error.code === "P2025"
+    ) {
+      return { conflict: true, ...(await getResumeVersion(id)) };
+    }
+    console.error("Error discarding draft:", error);
+    throw new Error("Failed to discard draft");
+  }
+}
+
+// Lets an open editor notice writes made from another tab
+export async function getResumeVersion(id) {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+
+  const resume = await db.resume.findUnique({
+    where: {
+      id,
+      userId: user.id,
+    },
+    select: { version: true, draftSavedAt: true },
+  });
+
+  if (!resume) throw new Error("Resume not found");
+  return resume;
+}
+
+// The score comes from the rule-based checker so it is repeatable; the AI
+// only adds written feedback on top of it
+async function analyzeResume(content, user, targetRole) {
+  const { score, checks } = scoreResume(content, {
+    keywords: user.industryInsight?.topSkills || [],
+  });
+
   const prompt = `
-    Analyze this resume for a ${industry} professional and provide:
-    1. An ATS compatibility score (0-100)
-    2. Specific feedback for improvement
+    Review this resume for a ${user.industry} professional${
+    targetRole ? ` applying for ${targetRole} roles` : ""
+  } and provide specific feedback for improvement.
     
     Resume content:
     ${content}
     
     Return the response in this JSON format only:
     {
-      "score": number,
-      "feedback": {
-        "strengths": string[],
-        "improvements": string[],
-        "keywords": string[],
-        "suggestions": string[]
-      }
+      "strengths": string[],
+      "improvements": string[],
+      "keywords": string[],
+      "suggestions": string[]
     }
   `;
 
+  let aiFeedback;
   try {
     const result = await model.generateContent(prompt);
     const response = result.response;
-    const analysis = JSON.parse(response.text().trim());
-    return {
-      score: analysis.score,
-      feedback: JSON.stringify(analysis.feedback),
-    };
+    const text = response.text();
+    aiFeedback = JSON.parse(text.replace(/```(?:json)?\n?/g, "").trim());
   } catch (error) {
     console.error("Error analyzing resume:", error);
-    return {
-      score: 0,
-      feedback: JSON.stringify({
-        strengths: [],
-        improvements: ["Failed to analyze resume"],
-        keywords: [],
-        suggestions: [],
-      }),
+    aiFeedback = {
+      strengths: [],
+      improvements: [],
+      keywords: [],
+      suggestions: [],
     };
   }
+
+  return {
+    score,
+    feedback: JSON.stringify({ ...aiFeedback, checks }),
+  };
+}
+
+export async function getResumes() {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+
+  return await db.resume.findMany({
+    where: {
+      userId: user.id,
+    },
+    orderBy: {
+      updatedAt: "desc",
+    },
+  });
 }
 
-export async function getResume() {
+export async function getResume(id) {
   const { userId } = await auth();
   if (!userId) throw new Error("Unauthorized");
 
@@ -102,11 +280,123 @@ export async function getResume() {
 
   return await db.resume.findUnique({
     where: {
+      id,
       userId: user.id,
     },
   });
 }
 
+export async function getResumeRevisions(resumeId) {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+
+  return await db.resumeRevision.findMany({
+    where: {
+      resumeId,
+      resume: { userId: user.id },
+    },
+    orderBy: {
+      createdAt: "desc",
+    },
+  });
+}
+
+// Score of every save, oldest first, for the ATS trend chart
+export async function getAtsHistory(resumeId) {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+
+  return await db.resumeRevision.findMany({
+    where: {
+      resumeId,
+      resume: { userId: user.id },
+    },
+    select: {
+      id: true,
+      atsScore: true,
+      createdAt: true,
+    },
+    orderBy: {
+      createdAt: "asc",
+    },
+  });
+}
+
+// Like saveResume, a restore from a tab that is behind returns
+// { conflict, version, draftSavedAt } instead of overwriting newer work
+export async function restoreResumeRevision({ revisionId, version }) {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+  });
+
+  if (!user) throw new Error("User not found");
+
+  const revision = await db.resumeRevision.findFirst({
+    where: {
+      id: revisionId,
+      resume: { userId: user.id },
+    },
+  });
+
+  if (!revision) throw new Error("Revision not found");
+
+  try {
+    // Restoring is recorded as a new revision, so it can be undone as well
+    const resume = await db.resume.update({
+      where: {
+        id: revision.resumeId,
+        userId: user.id,
+        version,
+      },
+      data: {
+        content: revision.content,
+        formData: revision.formData ?? Prisma.DbNull,
+        atsScore: revision.atsScore,
+        feedback: revision.feedback,
+        draftData: Prisma.DbNull,
+        draftSavedAt: null,
+        version: { increment: 1 },
+        revisions: {
+          create: {
+            content: revision.content,
+            formData: revision.formData ?? Prisma.DbNull,
+            atsScore: revision.atsScore,
+            feedback: revision.feedback,
+          },
+        },
+      },
+    });
+
+    revalidatePath("/resume");
+    revalidatePath(`/resume/${resume.id}`);
+    return resume;
+  } catch (error) {
+    if (
+      error instanceof Prisma.PrismaClientKnownRequestError &&
+      error.code === "P2025"
+    ) {
+      return { conflict: true, ...(await getResumeVersion(revision.resumeId)) };
+    }
+    console.error("Error restoring revision:", error);
+    throw new Error("Failed to restore revision");
+  }
+}
+
 export async function improveWithAI({ current, type }) {
   const { userId } = await auth();
   if (!userId) throw new Error("Unauthorized");
@@ -124,8 +414,17 @@ export async function improveWithAI({ current, type }) {
   const industryKeywords = user.industryInsight?.keywords || [];
   const industryRequirements = user.industryInsight?.requirements || [];
 
+  // Bullets are improved one at a time and must stay a single list item
+  const isBullet = type === "bullet";
+  const length = isBullet
+    ? "Keep it to one line (under 30 words)"
+    : "Keep it concise (2-3 sentences) but detailed";
+  const responseFormat = isBullet
+    ? "Format the response as a single bullet point without a leading dash or number, and without any additional text or explanations."
+    : "Format the response as a single paragraph without any additional text or explanations.";
+
   const prompt = `
-    As an expert resume writer specializing in ${user.industry}, improve the following ${type} description.
+    As an expert resume writer specializing in ${user.industry}, improve the following ${isBullet ? "resume bullet point" : `${type} description`}.
     Current content: "${current}"
 
     Industry-specific keywords to include: ${industryKeywords.join(", ")}
@@ -135,7 +434,7 @@ export async function improveWithAI({ current, type }) {
     1. Use strong action verbs (e.g., "Led", "Developed", "Implemented", "Managed")
     2. Include specific metrics and quantifiable results (e.g., "increased by 25%", "reduced costs by $10,000")
     3. Highlight relevant technical skills and tools
-    4. Keep it concise (2-3 sentences) but detailed
+    4. ${length}
     5. Focus on achievements over responsibilities
     6. Use industry-specific keywords naturally
     7. Ensure ATS compatibility
@@ -143,7 +442,7 @@ export async function improveWithAI({ current, type }) {
     9. Use present tense for current roles, past tense for previous roles
     10. Avoid generic statements and clichés
     
-    Format the response as a single paragraph without any additional text or explanations.
+    ${responseFormat}
     Make it impactful and professional.
   `;
 
@@ -151,7 +450,10 @@ export async function improveWithAI({ current, type }) {
     console.log("Sending prompt to Gemini:", prompt);
     const result = await model.generateContent(prompt);
     const response = result.response;
-    const improvedContent = response.text().trim();
+    let improvedContent = response.text().trim();
+    if (isBullet) {
+      improvedContent = improvedContent.replace(/^(?:[-*•]|\d+[.)])\s*/, "");
+    }
     
     console.log("Received response from Gemini:", improvedContent);
     
@@ -167,45 +469,179 @@ export async function improveWithAI({ current, type }) {
   }
 }
 
-export async function generateResumeTemplate(template) {
+export async function analyzeJobFit({ resumeId, jobDescription }) {
   const { userId } = await auth();
   if (!userId) throw new Error("Unauthorized");
 
   const user = await db.user.findUnique({
     where: { clerkUserId: userId },
-    include: {
-      industryInsight: true,
-    },
   });
 
   if (!user) throw new Error("User not found");
 
+  const resume = await db.resume.findUnique({
+    where: {
+      id: resumeId,
+      userId: user.id,
+    },
+  });
+
+  if (!resume) throw new Error("Resume not found");
+  if (!resume.formData) {
+    throw new Error("Save this resume from the form before tailoring it");
+  }
+
+  const { summary, skills, experience } = migrateFormData(resume.formData);
+
   const prompt = `
-    Generate a professional resume template for a ${user.industry} professional with the following style: ${template}
-    
-    Include sections for:
-    1. Contact Information
-    2. Professional Summary
-    3. Skills
-    4. Work Experience
-    5. Education
-    6. Projects
-    
-    Format the response in markdown with proper headings and sections.
-    Make it ATS-friendly and professional.
+    As an expert resume writer specializing in ${user.industry}, compare this resume with the job description below.
+
+    Job description:
+    ${jobDescription}
+
+    Resume summary: "${summary}"
+    Resume skills: "${skills}"
+    Work experience entries:
+    ${experience
+      .map(
+        (entry, index) =>
+          `${index}. ${entry.title} @ ${entry.organization}:\n${entry.bullets
+            .map((bullet) => `       - ${bullet}`)
+            .join("\n")}`
+      )
+      .join("\n")}
+
+    Requirements:
+    1. List the important keywords, skills and tools from the job description that the resume already covers and the ones it is missing
+    2. Rewrite the summary to target this job
+    3. Suggest a rewrite of the bullet points for every work experience entry that is relevant to the job, keeping the facts truthful and never inventing experience
+    4. Use strong action verbs and the job description's terminology
+    5. Use present tense for current roles, past tense for previous roles
+
+    Return the response in this JSON format only, without any additional notes or explanations:
+    {
+      "jobTitle": "job title from the job description",
+      "matchedKeywords": string[],
+      "missingKeywords": string[],
+      "summary": "tailored summary",
+      "experience": [
+        { "index": number, "bullets": ["tailored bullet point"], "reason": "why this rewrite fits the job" }
+      ]
+    }
   `;
 
   try {
     const result = await model.generateContent(prompt);
-    const response = result.response;
-    return response.text().trim();
+    const text = result.response.text();
+    const analysis = JSON.parse(text.replace(/```(?:json)?\n?/g, "").trim());
+
+    return {
+      jobTitle: analysis.jobTitle || "",
+      matchedKeywords: analysis.matchedKeywords || [],
+      missingKeywords: analysis.missingKeywords || [],
+      summary: analysis.summary || "",
+      experience: (analysis.experience || [])
+        .filter(
+          (suggestion) =>
+            experience[suggestion.index] && Array.isArray(suggestion.bullets)
+        )
+        .map((suggestion) => ({
+          ...suggestion,
+          bullets: entryBullets(suggestion),
+          original: experience[suggestion.index].bullets,
+          title: experience[suggestion.index].title,
+          organization: experience[suggestion.index].organization,
+        })),
+    };
+  } catch (error) {
+    console.error("Error analyzing job fit:", error);
+    throw new Error("Failed to analyze the job description. Please try again.");
+  }
+}
+
+// Creates a new resume version with the accepted rewrites; the resume it was
+// tailored from is never modified
+export async function createTailoredResume({
+  resumeId,
+  jobTitle,
+  summary,
+  experience = [],
+}) {
+  const { userId } = await auth();
+  if (!userId) throw new Error("Unauthorized");
+
+  const user = await db.user.findUnique({
+    where: { clerkUserId: userId },
+    include: {
+      industryInsight: true,
+    },
+  });
+
+  if (!user) throw new Error("User not found");
+
+  const original = await db.resume.findUnique({
+    where: {
+      id: resumeId,
+      userId: user.id,
+    },
+  });
+
+  if (!original?.formData) throw new Error("Resume not found");
+
+  const baseFormData = migrateFormData(original.formData);
+  const formData = {
+    ...baseFormData,
+    summary: summary || baseFormData.summary,
+    experience: baseFormData.experience.map((entry, index) => {
+      const rewrite = experience.find((suggestion) => suggestion.index === index);
+      if (!rewrite) return entry;
+
+      // The bullets come from the client, so hold them to the same rules as the form
+      const parsed = entrySchema.safeParse({ ...entry, bullets: rewrite.bullets });
+      if (!parsed.success) {
+        throw new Error(
+          `Invalid bullets for ${entry.title || `experience ${index + 1}`}: ${parsed.error.issues[0].message}`
+        );
+      }
+      return { ...entry, bullets: parsed.data.bullets };
+    }),
+  };
+  const content = resumeToMarkdown(formData);
+  const targetRole = jobTitle?.trim() || original.targetRole;
+
+  try {
+    const atsAnalysis = await analyzeResume(content, user, targetRole);
+
+    const resume = await db.resume.create({
+      data: {
+        userId: user.id,
+        name: jobTitle ? `${original.name} (${jobTitle})` : `${original.name} (tailored)`,
+        targetRole,
+        theme: original.theme,
+        content,
+        formData,
+        atsScore: atsAnalysis.score,
+        feedback: atsAnalysis.feedback,
+        revisions: {
+          create: {
+            content,
+            formData,
+            atsScore: atsAnalysis.score,
+            feedback: atsAnalysis.feedback,
+          },
+        },
+      },
+    });
+
+    revalidatePath("/resume");
+    return resume;
   } catch (error) {
-    console.error("Error generating template:", error);
-    throw new Error("Failed to generate template");
+    console.error("Error creating tailored resume:", error);
+    throw new Error("Failed to create tailored resume");
   }
 }
 
-export async function deleteResume() {
+export async function deleteResume(id) {
   const { userId } = await auth();
   if (!userId) throw new Error("Unauthorized");
 
@@ -218,6 +654,7 @@ export async function deleteResume() {
   try {
     await db.resume.delete({
       where: {
+        id,
         userId: user.id,
       },
     });
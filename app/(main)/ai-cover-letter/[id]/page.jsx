@@ -1,5 +1,5 @@
 import Link from "next/link";
-import { ArrowLeft } from "lucide-react";
+import { ArrowLeft, Download, FileText } from "lucide-react";
 import { Button } from "@/components/ui/button";
 import { getCoverLetter } from "@/actions/cover-letter";
 import CoverLetterPreview from "../_components/cover-letter-preview";
@@ -18,9 +18,27 @@ export default async function EditCoverLetterPage({ params }) {
           </Button>
         </Link>
 
-        <h1 className="text-6xl font-bold gradient-title mb-6">
-          {coverLetter?.jobTitle} at {coverLetter?.companyName}
-        </h1>
+        <div className="flex flex-col md:flex-row md:items-center justify-between gap-4 mb-6">
+          <h1 className="text-6xl font-bold gradient-title">
+            {coverLetter?.jobTitle} at {coverLetter?.companyName}
+          </h1>
+          {coverLetter && (
+            <div className="flex gap-2">
+              <Button asChild>
+                <a href={`/api/cover-letter/export?id=${coverLetter.id}&format=pdf`}>
+                  <Download className="h-4 w-4 mr-2" />
+                  Download PDF
+                </a>
+              </Button>
+              <Button variant="outline" asChild>
+                <a href={`/api/cover-letter/export?id=${coverLetter.id}&format=docx`}>
+                  <FileText className="h-4 w-4 mr-2" />
+                  Download DOCX
+                </a>
+              </Button>
+            </div>
+          )}
+        </div>
       </div>
 
       <CoverLetterPreview content={coverLetter?.content} />
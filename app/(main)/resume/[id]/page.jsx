@@ -3,7 +3,8 @@ import ResumeBuilder from "../_components/resume-builder";
 import { notFound } from "next/navigation";
 
 export default async function ResumeDetailPage({ params }) {
-  const resume = await getResume();
+  const { id } = await params;
+  const resume = await getResume(id);
 
   if (!resume) {
     notFound();
@@ -11,8 +12,8 @@ export default async function ResumeDetailPage({ params }) {
 
   return (
     <div className="container mx-auto py-6">
-      <h1 className="text-4xl font-bold gradient-title mb-6">My Resume</h1>
-      <ResumeBuilder initialContent={resume.content} />
+      <h1 className="text-4xl font-bold gradient-title mb-6">{resume.name}</h1>
+      <ResumeBuilder resume={resume} />
     </div>
   );
-} 
\ No newline at end of file
+}
@@ -0,0 +1,171 @@
+"use client";
+
+import { useEffect, useMemo, useState } from "react";
+import { diffSentences } from "diff";
+import { Loader2, RefreshCw } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+
+// Groups a sentence diff into unchanged text and changes; a change pairs
+// the removed sentences with the ones the AI wrote in their place
+const buildSegments = (original, suggestion) => {
+  const segments = [];
+
+  diffSentences(original, suggestion).forEach((part) => {
+    const last = segments[segments.length - 1];
+    if (!part.added && !part.removed) {
+      segments.push({ type: "same", value: part.value });
+    } else if (part.added && last?.type === "change" && !last.added) {
+      last.added = part.value;
+    } else {
+      segments.push({
+        type: "change",
+        id: segments.length,
+        removed: part.removed ? part.value : "",
+        added: part.added ? part.value : "",
+      });
+    }
+  });
+
+  return segments;
+};
+
+const composeText = (segments, selected) =>
+  segments
+    .map((segment) =>
+      segment.type === "same"
+        ? segment.value
+        : selected.includes(segment.id)
+          ? segment.added
+          : segment.removed
+    )
+    .join("");
+
+// Reviews one AI rewrite against the original text. Without `onRegenerate`
+// there is no "Another Variant" button.
+export default function AiSuggestionDialog({
+  open,
+  onOpenChange,
+  title,
+  original,
+  suggestion,
+  isRegenerating,
+  onAccept,
+  onRegenerate,
+}) {
+  const segments = useMemo(
+    () => buildSegments(original || "", suggestion || ""),
+    [original, suggestion]
+  );
+  const changes = segments.filter((segment) => segment.type === "change");
+  const [selected, setSelected] = useState([]);
+
+  // Every change starts out selected, including after a regenerate
+  useEffect(() => {
+    setSelected(
+      segments
+        .filter((segment) => segment.type === "change")
+        .map((change) => change.id)
+    );
+  }, [segments]);
+
+  const toggleChange = (id) => {
+    setSelected((current) =>
+      current.includes(id)
+        ? current.filter((changeId) => changeId !== id)
+        : [...current, id]
+    );
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-3xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>{title}</DialogTitle>
+          <DialogDescription>
+            Removed text is struck through, AI additions are highlighted. Untick
+            a change to keep your original wording for that part.
+          </DialogDescription>
+        </DialogHeader>
+
+        {isRegenerating ? (
+          <div className="flex items-center justify-center py-12">
+            <Loader2 className="h-6 w-6 animate-spin text-muted-foreground" />
+          </div>
+        ) : !changes.length ? (
+          <p className="py-6 text-sm text-muted-foreground">
+            The AI suggestion is identical to your current text.
+          </p>
+        ) : (
+          <div className="space-y-2 rounded-lg border p-4 text-sm leading-relaxed whitespace-pre-wrap">
+            {segments.map((segment, index) =>
+              segment.type === "same" ? (
+                <span key={index}>{segment.value}</span>
+              ) : (
+                <label
+                  key={index}
+                  className={`inline cursor-pointer rounded px-0.5 ${
+                    selected.includes(segment.id) ? "" : "opacity-50"
+                  }`}
+                >
+                  <input
+                    type="checkbox"
+                    className="mr-1 align-middle"
+                    checked={selected.includes(segment.id)}
+                    onChange={() => toggleChange(segment.id)}
+                  />
+                  {segment.removed && (
+                    <span className="bg-red-100 text-red-700 line-through">
+                      {segment.removed}
+                    </span>
+                  )}
+                  {segment.added && (
+                    <span className="bg-green-100 text-green-700">
+                      {segment.added}
+                    </span>
+                  )}
+                </label>
+              )
+            )}
+          </div>
+        )}
+
+        <DialogFooter className="gap-2">
+          <Button variant="outline" onClick={() => onOpenChange(false)}>
+            Reject
+          </Button>
+          {onRegenerate && (
+            <Button
+              variant="outline"
+              onClick={onRegenerate}
+              disabled={isRegenerating}
+            >
+              <RefreshCw className="h-4 w-4 mr-2" />
+              Another Variant
+            </Button>
+          )}
+          <Button
+            variant="outline"
+            onClick={() => onAccept(composeText(segments, selected))}
+            disabled={isRegenerating || !changes.length}
+          >
+            Accept Selected
+          </Button>
+          <Button
+            onClick={() => onAccept(suggestion)}
+            disabled={isRegenerating || !changes.length}
+          >
+            Accept All
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,35 @@
+import { CheckCircle2, XCircle } from "lucide-react";
+import { Progress } from "@/components/ui/progress";
+
+// Per-check breakdown of the rule-based ATS score
+export default function AtsChecks({ checks }) {
+  if (!checks?.length) return null;
+
+  return (
+    <div className="space-y-4">
+      {checks.map((check) => (
+        <div key={check.id} className="space-y-1">
+          <div className="flex items-center justify-between text-sm">
+            <span className="flex items-center gap-2 font-medium">
+              {check.passed ? (
+                <CheckCircle2 className="h-4 w-4 text-green-500" />
+              ) : (
+                <XCircle className="h-4 w-4 text-yellow-500" />
+              )}
+              {check.label}
+            </span>
+            <span className="text-muted-foreground">
+              {check.score}/{check.maxScore}
+            </span>
+          </div>
+          <Progress value={(check.score / check.maxScore) * 100} />
+          <ul className="text-xs text-muted-foreground space-y-0.5">
+            {check.details.map((detail, index) => (
+              <li key={index}>{detail}</li>
+            ))}
+          </ul>
+        </div>
+      ))}
+    </div>
+  );
+}
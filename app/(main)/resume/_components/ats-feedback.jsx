@@ -0,0 +1,67 @@
+import { Badge } from "@/components/ui/badge";
+import AtsChecks from "./ats-checks";
+
+// Everything stored in Resume.feedback: the rule-based checks plus the
+// AI's written strengths, improvements, keywords and suggestions
+export default function AtsFeedback({ feedback }) {
+  if (!feedback) return null;
+
+  const { checks, strengths, improvements, keywords, suggestions } = feedback;
+
+  return (
+    <div className="space-y-6">
+      <AtsChecks checks={checks} />
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {strengths?.length > 0 && (
+          <div>
+            <h4 className="font-medium mb-2">Strengths</h4>
+            <ul className="list-disc list-inside space-y-1">
+              {strengths.map((strength, index) => (
+                <li key={index} className="text-sm text-green-600">
+                  {strength}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+        {improvements?.length > 0 && (
+          <div>
+            <h4 className="font-medium mb-2">Areas for Improvement</h4>
+            <ul className="list-disc list-inside space-y-1">
+              {improvements.map((improvement, index) => (
+                <li key={index} className="text-sm text-yellow-600">
+                  {improvement}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+        {suggestions?.length > 0 && (
+          <div>
+            <h4 className="font-medium mb-2">Suggestions</h4>
+            <ul className="list-disc list-inside space-y-1">
+              {suggestions.map((suggestion, index) => (
+                <li key={index} className="text-sm">
+                  {suggestion}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+        {keywords?.length > 0 && (
+          <div>
+            <h4 className="font-medium mb-2">Recommended Keywords</h4>
+            <div className="flex flex-wrap gap-1">
+              {keywords.map((keyword) => (
+                <Badge key={keyword} variant="secondary">
+                  {keyword}
+                </Badge>
+              ))}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
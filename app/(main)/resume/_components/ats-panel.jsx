@@ -0,0 +1,168 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { format } from "date-fns";
+import {
+  CartesianGrid,
+  Line,
+  LineChart,
+  ResponsiveContainer,
+  Tooltip,
+  XAxis,
+  YAxis,
+} from "recharts";
+import { Loader2, TrendingDown, TrendingUp } from "lucide-react";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { Progress } from "@/components/ui/progress";
+import { getAtsHistory } from "@/actions/resume";
+import { parseAtsFeedback } from "@/app/lib/ats";
+import useFetch from "@/hooks/use-fetch";
+import AtsFeedback from "./ats-feedback";
+
+export default function AtsPanel({ resumes }) {
+  const [resumeId, setResumeId] = useState(resumes[0]?.id);
+  const resume = resumes.find((item) => item.id === resumeId) || resumes[0];
+
+  const {
+    loading: isLoadingHistory,
+    fn: getAtsHistoryFn,
+    data: history,
+  } = useFetch(getAtsHistory);
+
+  useEffect(() => {
+    if (resume) getAtsHistoryFn(resume.id);
+  }, [resume?.id]);
+
+  if (!resume) return null;
+
+  const feedback = parseAtsFeedback(resume.feedback);
+  const chartData = (history || [])
+    .filter((revision) => revision.atsScore !== null)
+    .map((revision) => ({
+      date: format(new Date(revision.createdAt), "MMM dd, HH:mm"),
+      score: revision.atsScore,
+    }));
+  const change =
+    chartData.length >= 2
+      ? chartData[chartData.length - 1].score - chartData[0].score
+      : 0;
+
+  return (
+    <Card className="mb-6">
+      <CardHeader>
+        <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+          <div>
+            <CardTitle>ATS Analysis</CardTitle>
+            <CardDescription>
+              How your resume scores against Applicant Tracking Systems, and how
+              that changed with each save
+            </CardDescription>
+          </div>
+          {resumes.length > 1 && (
+            <Select value={resume.id} onValueChange={setResumeId}>
+              <SelectTrigger className="w-full md:w-64">
+                <SelectValue placeholder="Select a resume" />
+              </SelectTrigger>
+              <SelectContent>
+                {resumes.map((item) => (
+                  <SelectItem key={item.id} value={item.id}>
+                    {item.name}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          )}
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <p className="text-sm text-muted-foreground">Current score</p>
+            <div className="text-4xl font-bold">
+              {resume.atsScore !== null ? Math.round(resume.atsScore) : "–"}
+            </div>
+            <Progress value={resume.atsScore || 0} className="mt-2" />
+          </div>
+          <div>
+            <p className="text-sm text-muted-foreground">Since first save</p>
+            <div
+              className={`flex items-center gap-2 text-4xl font-bold ${
+                change > 0 ? "text-green-500" : change < 0 ? "text-red-500" : ""
+              }`}
+            >
+              {change > 0 ? "+" : ""}
+              {Math.round(change)}
+              {change > 0 ? (
+                <TrendingUp className="h-6 w-6" />
+              ) : change < 0 ? (
+                <TrendingDown className="h-6 w-6" />
+              ) : null}
+            </div>
+            <p className="text-xs text-muted-foreground mt-2">
+              {chartData.length} saved version(s)
+            </p>
+          </div>
+        </div>
+
+        <div className="h-[250px]">
+          {isLoadingHistory && !history ? (
+            <div className="flex h-full items-center justify-center">
+              <Loader2 className="h-6 w-6 animate-spin text-muted-foreground" />
+            </div>
+          ) : chartData.length > 1 ? (
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart data={chartData}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />
+                <XAxis dataKey="date" />
+                <YAxis domain={[0, 100]} />
+                <Tooltip
+                  content={({ active, payload }) => {
+                    if (active && payload?.length) {
+                      return (
+                        <div className="bg-background border rounded-lg p-2 shadow-md">
+                          <p className="text-sm font-medium">
+                            Score: {payload[0].value}
+                          </p>
+                          <p className="text-xs text-muted-foreground">
+                            {payload[0].payload.date}
+                          </p>
+                        </div>
+                      );
+                    }
+                    return null;
+                  }}
+                />
+                <Line
+                  type="monotone"
+                  dataKey="score"
+                  stroke="#ff7300"
+                  strokeWidth={2}
+                  dot={{ r: 4 }}
+                />
+              </LineChart>
+            </ResponsiveContainer>
+          ) : (
+            <div className="flex h-full items-center justify-center text-sm text-muted-foreground">
+              Save this resume a few times to see how the score changes.
+            </div>
+          )}
+        </div>
+
+        <AtsFeedback feedback={feedback} />
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,112 @@
+"use client";
+
+import { GripVertical, Loader2, PlusCircle, Wand2, X } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import useDragReorder from "@/hooks/use-drag-reorder";
+
+// Editable, drag-to-reorder list of bullet points. An empty list still shows
+// one blank row to type into. `errors` are react-hook-form errors for the
+// array; `improvingIndex` marks the bullet the AI is currently rewriting.
+export default function BulletListEditor({
+  bullets,
+  onChange,
+  onImprove,
+  improvingIndex,
+  disabled,
+  errors,
+}) {
+  const rows = bullets.length ? bullets : [""];
+  const { handleProps, targetProps, isOver, isDragging } = useDragReorder(
+    rows.map((_, index) => index),
+    (order) => onChange(order.map((index) => rows[index]))
+  );
+
+  const updateBullet = (index, value) =>
+    onChange(rows.map((bullet, i) => (i === index ? value : bullet)));
+
+  const removeBullet = (index) =>
+    onChange(rows.filter((_, i) => i !== index));
+
+  return (
+    <div className="space-y-2">
+      <ul className="space-y-2">
+        {rows.map((bullet, index) => (
+          <li
+            key={index}
+            {...targetProps(index)}
+            className={`flex items-center gap-2 rounded-md ${
+              isOver(index) ? "ring-1 ring-primary" : ""
+            } ${isDragging(index) ? "opacity-50" : ""}`}
+          >
+            <span
+              {...handleProps(index)}
+              className="cursor-move text-muted-foreground"
+              title="Drag to reorder"
+            >
+              <GripVertical className="h-4 w-4" />
+            </span>
+            <div className="flex-1 space-y-1">
+              <Input
+                value={bullet}
+                placeholder="Achievement or responsibility"
+                onChange={(e) => updateBullet(index, e.target.value)}
+                onKeyDown={(e) => {
+                  // Enter would otherwise submit the whole resume form
+                  if (e.key === "Enter") {
+                    e.preventDefault();
+                    onChange([
+                      ...rows.slice(0, index + 1),
+                      "",
+                      ...rows.slice(index + 1),
+                    ]);
+                  }
+                }}
+              />
+              {errors?.[index] && (
+                <p className="text-sm text-red-500">{errors[index].message}</p>
+              )}
+            </div>
+            <Button
+              type="button"
+              variant="ghost"
+              size="icon"
+              title="Improve this bullet with AI"
+              onClick={() => onImprove(index)}
+              disabled={!bullet.trim() || disabled}
+            >
+              {improvingIndex === index ? (
+                <Loader2 className="h-4 w-4 animate-spin" />
+              ) : (
+                <Wand2 className="h-4 w-4" />
+              )}
+            </Button>
+            <Button
+              type="button"
+              variant="ghost"
+              size="icon"
+              title="Remove bullet"
+              onClick={() => removeBullet(index)}
+            >
+              <X className="h-4 w-4" />
+            </Button>
+          </li>
+        ))}
+      </ul>
+      <Button
+        type="button"
+        variant="outline"
+        size="sm"
+        onClick={() => onChange([...rows, ""])}
+      >
+        <PlusCircle className="h-4 w-4 mr-2" />
+        Add bullet
+      </Button>
+      {(errors?.message || errors?.root?.message) && (
+        <p className="text-sm text-red-500">
+          {errors.message || errors.root.message}
+        </p>
+      )}
+    </div>
+  );
+}
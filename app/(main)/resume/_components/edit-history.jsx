@@ -0,0 +1,81 @@
+"use client";
+
+import { format } from "date-fns";
+import { Check, ChevronDown, Redo2, Undo2 } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuLabel,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger,
+} from "@/components/ui/dropdown-menu";
+import { cn } from "@/lib/utils";
+
+// Undo/redo buttons and the steps recorded by useFormHistory, newest first.
+// Picking a step moves the form back or forward to it; steps after the
+// current one stay in the list until something new is edited.
+export default function EditHistory({ history }) {
+  const { steps, index, canUndo, canRedo, undo, redo, goTo } = history;
+
+  return (
+    <div className="flex items-center gap-2">
+      <Button
+        type="button"
+        variant="outline"
+        size="icon"
+        onClick={undo}
+        disabled={!canUndo}
+        title="Undo (Ctrl+Z)"
+      >
+        <Undo2 className="h-4 w-4" />
+      </Button>
+      <Button
+        type="button"
+        variant="outline"
+        size="icon"
+        onClick={redo}
+        disabled={!canRedo}
+        title="Redo (Ctrl+Shift+Z)"
+      >
+        <Redo2 className="h-4 w-4" />
+      </Button>
+      <DropdownMenu>
+        <DropdownMenuTrigger asChild>
+          <Button type="button" variant="outline">
+            Edits
+            <ChevronDown className="h-4 w-4" />
+          </Button>
+        </DropdownMenuTrigger>
+        <DropdownMenuContent align="end" className="w-80 max-h-80 overflow-y-auto">
+          <DropdownMenuLabel>Edit History</DropdownMenuLabel>
+          <DropdownMenuSeparator />
+          {steps
+            .map((step, stepIndex) => ({ step, stepIndex }))
+            .reverse()
+            .map(({ step, stepIndex }) => (
+              <DropdownMenuItem
+                key={stepIndex}
+                onSelect={() => goTo(stepIndex)}
+                className={cn(
+                  "flex items-center gap-2",
+                  stepIndex > index && "text-muted-foreground"
+                )}
+              >
+                {stepIndex === index ? (
+                  <Check className="h-4 w-4 shrink-0" />
+                ) : (
+                  <span className="w-4 shrink-0" />
+                )}
+                <span className="flex-1 truncate">{step.label}</span>
+                <span className="text-xs text-muted-foreground">
+                  {format(step.at, "HH:mm:ss")}
+                </span>
+              </DropdownMenuItem>
+            ))}
+        </DropdownMenuContent>
+      </DropdownMenu>
+    </div>
+  );
+}
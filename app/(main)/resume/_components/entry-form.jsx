@@ -1,10 +1,9 @@
 // app/resume/_components/entry-form.jsx
 "use client";
 
-import { useEffect, useState } from "react";
+import { useRef, useState } from "react";
 import { useForm } from "react-hook-form";
 import { zodResolver } from "@hookform/resolvers/zod";
-import { format, parse } from "date-fns";
 import { Button } from "@/components/ui/button";
 import { Input } from "@/components/ui/input";
 import { Textarea } from "@/components/ui/textarea";
@@ -15,22 +14,65 @@ import {
   CardHeader,
   CardTitle,
 } from "@/components/ui/card";
-import { entrySchema } from "@/app/lib/schema";
-import { Sparkles, PlusCircle, X, Pencil, Save, Loader2, Wand2 } from "lucide-react";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { emptyEntry, entryShapes, proficiencyLevels } from "@/app/lib/resume-sections";
+import { entryDateLine } from "@/app/lib/helper";
+import { MONTH_PATTERN } from "@/app/lib/entry-dates";
+import {
+  Sparkles,
+  PlusCircle,
+  X,
+  Pencil,
+  Save,
+  Loader2,
+  Wand2,
+  Eye,
+  EyeOff,
+} from "lucide-react";
 import { improveWithAI } from "@/actions/resume";
 import { toast } from "sonner";
 import useFetch from "@/hooks/use-fetch";
 import { Label } from "@/components/ui/label";
+import AiSuggestionDialog from "./ai-suggestion-dialog";
+import BulletListEditor from "./bullet-list-editor";
+import MonthPicker from "./month-picker";
+import { cn } from "@/lib/utils";
 
-const formatDisplayDate = (dateString) => {
-  if (!dateString) return "";
-  const date = parse(dateString, "yyyy-MM", new Date());
-  return format(date, "MMM yyyy");
-};
+// First message of a field's errors; a bullet list may have one for the
+// list and one per bullet
+const errorMessage = (error) =>
+  error?.message ||
+  error?.root?.message ||
+  (Array.isArray(error) ? error.find((item) => item?.message)?.message : null);
 
-export function EntryForm({ type, entries, onChange }) {
+// `shape` picks the fields and validation for the section (see
+// entryShapes); the default is the dated entry used for experience etc.
+// `errors` are the resume form's errors for these entries, e.g. a year-only
+// date kept from an older resume or an import, shown on the entry's card.
+export function EntryForm({ type, entries, onChange, shape = "dated", errors: entryErrors }) {
   const [isAdding, setIsAdding] = useState(false);
-  const [isImproving, setIsImproving] = useState(false);
+  // Entry being edited in place; null when none is
+  const [editingIndex, setEditingIndex] = useState(null);
+  const isEditing = editingIndex !== null;
+  const [suggestionOriginal, setSuggestionOriginal] = useState("");
+  // Bullet the open AI suggestion is for; null when it is for the description
+  const [suggestionIndex, setSuggestionIndex] = useState(null);
+  // Saved entry that bullet belongs to; null for the entry being added or edited
+  const [suggestionEntry, setSuggestionEntry] = useState(null);
+  // The toast's Undo runs later, against the entries as they are by then
+  const entriesRef = useRef(entries);
+  entriesRef.current = entries;
+  const { schema, fields } = entryShapes[shape];
+  const fieldsOfType = (...types) =>
+    fields.filter((field) => types.includes(field.type || "text"));
+  const hasDescription = fields.some((field) => field.name === "description");
+  const hasBullets = fields.some((field) => field.type === "bullets");
 
   const {
     register,
@@ -39,202 +81,271 @@ export function EntryForm({ type, entries, onChange }) {
     reset,
     watch,
     setValue,
+    getValues,
+    trigger,
   } = useForm({
-    resolver: zodResolver(entrySchema),
-    defaultValues: {
-      title: "",
-      organization: "",
-      startDate: "",
-      endDate: "",
-      description: "",
-      current: false,
-    },
+    resolver: zodResolver(schema),
+    defaultValues: emptyEntry(shape),
   });
 
   const current = watch("current");
   const description = watch("description");
+  const bullets = watch("bullets");
 
-  const handleAdd = handleValidation((data) => {
-    const formattedEntry = {
-      ...data,
-      startDate: formatDisplayDate(data.startDate),
-      endDate: data.current ? "" : formatDisplayDate(data.endDate),
-    };
-
-    onChange([...entries, formattedEntry]);
+  const setBullets = (value) =>
+    setValue("bullets", value, { shouldValidate: Boolean(errors.bullets) });
 
-    reset();
+  const closeForm = () => {
+    reset(emptyEntry(shape));
     setIsAdding(false);
+    setEditingIndex(null);
+  };
+
+  // Dates are kept as "yyyy-MM" and only formatted when displayed
+  const validateEntry = handleValidation((data) => {
+    const entry = { ...data };
+    if (data.current) entry.endDate = "";
+
+    onChange(
+      isEditing
+        ? entries.map((item, i) => (i === editingIndex ? entry : item))
+        : [...entries, entry]
+    );
+    closeForm();
   });
 
+  // Problems are shown straight away, so an entry that blocks saving can be
+  // fixed without guessing what is wrong with it
+  const handleEdit = (index) => {
+    reset({ ...emptyEntry(shape), ...entries[index] });
+    setIsAdding(false);
+    setEditingIndex(index);
+    trigger();
+  };
+
+  // Blank bullet rows are dropped rather than reported as errors
+  const handleAdd = () => {
+    if (hasBullets) setBullets(bullets.filter((bullet) => bullet.trim()));
+    validateEntry();
+  };
+
+  // Bullets of saved entries are edited in place, straight in the resume form
+  const updateSavedBullets = (index, value) =>
+    onChange(
+      entriesRef.current.map((entry, i) =>
+        i === index ? { ...entry, bullets: value } : entry
+      )
+    );
+
   const handleDelete = (index) => {
     const newEntries = entries.filter((_, i) => i !== index);
     onChange(newEntries);
   };
 
+  // Hidden entries stay in the form but are left out of the resume
+  const handleToggleHidden = (index) => {
+    onChange(
+      entries.map((entry, i) =>
+        i === index ? { ...entry, hidden: !entry.hidden } : entry
+      )
+    );
+  };
+
   const {
     loading: isImprovingWithAI,
     fn: improveWithAIFn,
     data: improvedContent,
-    error: improveError,
+    setData: setImprovedContent,
   } = useFetch(improveWithAI);
 
-  // Add this effect to handle the improvement result
-  useEffect(() => {
-    if (improvedContent && !isImprovingWithAI) {
-      setValue("description", improvedContent);
-      toast.success("Description improved successfully!");
-      setIsImproving(false);
-    }
-    if (improveError) {
-      toast.error(improveError.message || "Failed to improve description");
-      setIsImproving(false);
-    }
-  }, [improvedContent, improveError, isImprovingWithAI, setValue]);
+  const suggestionType = suggestionIndex === null ? "description" : "bullet";
 
+  // The AI rewrite opens for review instead of replacing the description
   const handleImproveDescription = async () => {
     if (!description) {
       toast.error("Please enter a description first");
       return;
     }
 
-    setIsImproving(true);
-    try {
-      const improvedContent = await improveWithAIFn({
-        current: description,
-        type: "description"
-      });
-
-      if (improvedContent) {
-        setValue("description", improvedContent);
-        toast.success("Description improved successfully!");
-      }
-    } catch (error) {
-      console.error("Error improving description:", error);
-      toast.error(error.message || "Failed to improve description. Please try again.");
-    } finally {
-      setIsImproving(false);
+    setSuggestionEntry(null);
+    setSuggestionIndex(null);
+    setSuggestionOriginal(description);
+    await improveWithAIFn({
+      current: description,
+      type: "description"
+    });
+  };
+
+  // Bullets are improved one at a time, each reviewed on its own
+  const handleImproveBullet = async (index, entryIndex = null) => {
+    const source = entryIndex === null ? bullets : entries[entryIndex].bullets;
+    const bullet = source[index]?.trim();
+    if (!bullet) {
+      toast.error("Please enter the bullet point first");
+      return;
     }
+
+    setSuggestionEntry(entryIndex);
+    setSuggestionIndex(index);
+    setSuggestionOriginal(bullet);
+    await improveWithAIFn({ current: bullet, type: "bullet" });
   };
 
-  return (
-    <div className="space-y-4">
-      <div className="space-y-4">
-        {entries.map((item, index) => (
-          <Card key={index}>
-            <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
-              <CardTitle className="text-sm font-medium">
-                {item.title} @ {item.organization}
-              </CardTitle>
-              <Button
-                variant="outline"
-                size="icon"
-                type="button"
-                onClick={() => handleDelete(index)}
-              >
-                <X className="h-4 w-4" />
-              </Button>
-            </CardHeader>
-            <CardContent>
-              <p className="text-sm text-muted-foreground">
-                {item.current
-                  ? `${item.startDate} - Present`
-                  : `${item.startDate} - ${item.endDate}`}
-              </p>
-              <p className="mt-2 text-sm whitespace-pre-wrap">
-                {item.description}
-              </p>
-            </CardContent>
-          </Card>
-        ))}
-      </div>
+  const replaceBullet = (list, index, text) =>
+    list.map((bullet, i) => (i === index ? text : bullet));
 
-      {isAdding && (
-        <Card>
-          <CardHeader>
-            <CardTitle>Add {type}</CardTitle>
-          </CardHeader>
-          <CardContent className="space-y-4">
-            <div className="grid grid-cols-2 gap-4">
-              <div className="space-y-2">
-                <Input
-                  placeholder="Title/Position"
-                  {...register("title")}
-                  error={errors.title}
-                />
-                {errors.title && (
-                  <p className="text-sm text-red-500">{errors.title.message}</p>
-                )}
-              </div>
-              <div className="space-y-2">
-                <Input
-                  placeholder="Organization/Company"
-                  {...register("organization")}
-                  error={errors.organization}
-                />
-                {errors.organization && (
-                  <p className="text-sm text-red-500">
-                    {errors.organization.message}
-                  </p>
-                )}
-              </div>
-            </div>
+  const applySuggestion = ({ entryIndex, index }, text) => {
+    if (index === null) {
+      setValue("description", text);
+    } else if (entryIndex === null) {
+      setBullets(replaceBullet(getValues("bullets"), index, text));
+    } else if (entriesRef.current[entryIndex]) {
+      updateSavedBullets(
+        entryIndex,
+        replaceBullet(entriesRef.current[entryIndex].bullets, index, text)
+      );
+    }
+  };
 
-            <div className="grid grid-cols-2 gap-4">
-              <div className="space-y-2">
-                <Input
-                  type="month"
-                  {...register("startDate")}
-                  error={errors.startDate}
-                />
-                {errors.startDate && (
-                  <p className="text-sm text-red-500">
-                    {errors.startDate.message}
-                  </p>
-                )}
-              </div>
-              <div className="space-y-2">
-                <Input
-                  type="month"
-                  {...register("endDate")}
-                  disabled={current}
-                  error={errors.endDate}
-                />
-                {errors.endDate && (
-                  <p className="text-sm text-red-500">
-                    {errors.endDate.message}
-                  </p>
-                )}
-              </div>
-            </div>
+  const handleAcceptSuggestion = (text) => {
+    const original = suggestionOriginal;
+    const target = { entryIndex: suggestionEntry, index: suggestionIndex };
+    applySuggestion(target, text);
+    setImprovedContent(undefined);
+    toast.success(target.index === null ? "Description updated" : "Bullet point updated", {
+      action: {
+        label: "Undo",
+        onClick: () => applySuggestion(target, original),
+      },
+    });
+  };
+
+  // Bullet the AI is rewriting in the given entry's list, if any
+  const improvingBullet = (entryIndex) =>
+    isImprovingWithAI && !improvedContent && suggestionEntry === entryIndex
+      ? suggestionIndex
+      : null;
 
-            <div className="flex items-center space-x-2">
-              <input
-                type="checkbox"
-                id="current"
-                {...register("current")}
-                onChange={(e) => {
-                  setValue("current", e.target.checked);
-                  if (e.target.checked) {
-                    setValue("endDate", "");
-                  }
-                }}
+  const entryCard = (
+    // The draft entry is not part of the resume form's undo history yet
+    <Card data-native-undo>
+      <CardHeader>
+        <CardTitle>
+          {isEditing ? "Edit" : "Add"} {type}
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="grid grid-cols-2 gap-4">
+          {fieldsOfType("text", "url").map((field) => (
+            <div key={field.name} className="space-y-2">
+              <Input
+                type={field.type || "text"}
+                placeholder={field.label}
+                {...register(field.name)}
+                error={errors[field.name]}
               />
-              <label htmlFor="current">Current {type}</label>
+              {errors[field.name] && (
+                <p className="text-sm text-red-500">
+                  {errors[field.name].message}
+                </p>
+              )}
+            </div>
+          ))}
+          {fieldsOfType("select").map((field) => (
+            <div key={field.name} className="space-y-2">
+              <Select
+                value={watch(field.name)}
+                onValueChange={(value) =>
+                  setValue(field.name, value, { shouldValidate: true })
+                }
+              >
+                <SelectTrigger>
+                  <SelectValue placeholder={field.label} />
+                </SelectTrigger>
+                <SelectContent>
+                  {proficiencyLevels.map((level) => (
+                    <SelectItem key={level} value={level}>
+                      {level}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              {errors[field.name] && (
+                <p className="text-sm text-red-500">
+                  {errors[field.name].message}
+                </p>
+              )}
             </div>
+          ))}
+        </div>
 
+        {fieldsOfType("month").length > 0 && (
+          <div className="grid grid-cols-2 gap-4">
+            {fieldsOfType("month").map((field) => {
+              const value = watch(field.name);
+              return (
+                <div key={field.name} className="space-y-2">
+                  <Label className="text-xs text-muted-foreground">
+                    {field.label}
+                  </Label>
+                  <MonthPicker
+                    value={value}
+                    onChange={(next) =>
+                      setValue(field.name, next, {
+                        shouldValidate: Boolean(errors[field.name]),
+                      })
+                    }
+                    disabled={field.name === "endDate" && current}
+                  />
+                  {value && !MONTH_PATTERN.test(value) && (
+                    <p className="text-xs text-muted-foreground">
+                      Found &quot;{value}&quot;; pick the month and year
+                    </p>
+                  )}
+                  {errors[field.name] && (
+                    <p className="text-sm text-red-500">
+                      {errors[field.name].message}
+                    </p>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        )}
+
+        {shape === "dated" && (
+          <div className="flex items-center space-x-2">
+            <input
+              type="checkbox"
+              id="current"
+              {...register("current")}
+              onChange={(e) => {
+                setValue("current", e.target.checked);
+                if (e.target.checked) {
+                  setValue("endDate", "");
+                }
+              }}
+            />
+            <label htmlFor="current">Current {type}</label>
+          </div>
+        )}
+
+        {hasDescription && (
+          <>
             <div className="flex items-center justify-between mb-2">
-              <Label htmlFor="description">Description</Label>
+              <Label htmlFor="description">
+                {fields.find((field) => field.name === "description").label}
+              </Label>
               <Button
                 type="button"
                 variant="outline"
                 size="sm"
                 onClick={handleImproveDescription}
-                disabled={!description || isImproving}
+                disabled={!description || isImprovingWithAI}
                 className="flex items-center gap-2"
                 title="Use AI to enhance your description with industry-specific keywords and better phrasing"
               >
-                {isImproving ? (
+                {isImprovingWithAI && !improvedContent ? (
                   <>
                     <Loader2 className="h-4 w-4 animate-spin" />
                     Improving...
@@ -258,27 +369,172 @@ export function EntryForm({ type, entries, onChange }) {
                 {errors.description.message}
               </p>
             )}
-          </CardContent>
-          <CardFooter className="flex justify-end space-x-2">
-            <Button
-              type="button"
-              variant="outline"
-              onClick={() => {
-                reset();
-                setIsAdding(false);
-              }}
-            >
-              Cancel
-            </Button>
-            <Button type="button" onClick={handleAdd}>
+          </>
+        )}
+
+        {hasBullets && (
+          <div className="space-y-2">
+            <Label>
+              {fields.find((field) => field.type === "bullets").label}
+            </Label>
+            <BulletListEditor
+              bullets={bullets}
+              onChange={setBullets}
+              onImprove={handleImproveBullet}
+              improvingIndex={improvingBullet(null)}
+              disabled={isImprovingWithAI}
+              errors={errors.bullets}
+            />
+          </div>
+        )}
+      </CardContent>
+      <CardFooter className="flex justify-end space-x-2">
+        <Button type="button" variant="outline" onClick={closeForm}>
+          Cancel
+        </Button>
+        <Button type="button" onClick={handleAdd}>
+          {isEditing ? (
+            <>
+              <Save className="h-4 w-4 mr-2" />
+              Save Entry
+            </>
+          ) : (
+            <>
               <PlusCircle className="h-4 w-4 mr-2" />
               Add Entry
-            </Button>
-          </CardFooter>
-        </Card>
-      )}
+            </>
+          )}
+        </Button>
+      </CardFooter>
+    </Card>
+  );
+
+  return (
+    <div className="space-y-4">
+      <div className="space-y-4">
+        {entries.map((item, index) => {
+          if (index === editingIndex) {
+            return <div key={index}>{entryCard}</div>;
+          }
+
+          // Bullet problems are shown on the bullets themselves
+          const problems = fields
+            .filter((field) => field.type !== "bullets")
+            .map((field) => {
+              const message = errorMessage(entryErrors?.[index]?.[field.name]);
+              return message && `${field.label}: ${message}`;
+            })
+            .filter(Boolean);
+
+          return (
+            <Card
+              key={index}
+              className={cn(item.hidden && "opacity-60", problems.length > 0 && "border-red-500")}
+            >
+              <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
+                <CardTitle className="text-sm font-medium">
+                  {item.organization ? `${item.title} @ ${item.organization}` : item.title}
+                  {item.hidden && (
+                    <span className="ml-2 text-xs font-normal text-muted-foreground">
+                      (hidden)
+                    </span>
+                  )}
+                </CardTitle>
+                <div className="flex gap-2">
+                  <Button
+                    variant="outline"
+                    size="icon"
+                    type="button"
+                    title={`Edit ${type.toLowerCase()}`}
+                    onClick={() => handleEdit(index)}
+                    disabled={isAdding || isEditing}
+                  >
+                    <Pencil className="h-4 w-4" />
+                  </Button>
+                  <Button
+                    variant="outline"
+                    size="icon"
+                    type="button"
+                    title={item.hidden ? "Show on resume" : "Hide from resume"}
+                    onClick={() => handleToggleHidden(index)}
+                  >
+                    {item.hidden ? (
+                      <EyeOff className="h-4 w-4" />
+                    ) : (
+                      <Eye className="h-4 w-4" />
+                    )}
+                  </Button>
+                  <Button
+                    variant="outline"
+                    size="icon"
+                    type="button"
+                    onClick={() => handleDelete(index)}
+                    disabled={isEditing}
+                  >
+                    <X className="h-4 w-4" />
+                  </Button>
+                </div>
+              </CardHeader>
+              <CardContent>
+                <p className="text-sm text-muted-foreground">
+                  {entryDateLine(item, shape)}
+                </p>
+                {item.url && (
+                  <p className="mt-1 text-sm text-muted-foreground break-all">
+                    {item.url}
+                  </p>
+                )}
+                {hasBullets ? (
+                  <div className="mt-2">
+                    <BulletListEditor
+                      bullets={item.bullets || []}
+                      onChange={(value) => updateSavedBullets(index, value)}
+                      onImprove={(bulletIndex) => handleImproveBullet(bulletIndex, index)}
+                      improvingIndex={improvingBullet(index)}
+                      disabled={isImprovingWithAI}
+                      errors={entryErrors?.[index]?.bullets}
+                    />
+                  </div>
+                ) : (
+                  item.description && (
+                    <p className="mt-2 text-sm whitespace-pre-wrap">
+                      {item.description}
+                    </p>
+                  )
+                )}
+                {problems.length > 0 && (
+                  <ul className="mt-2 space-y-1 text-sm text-red-500">
+                    {problems.map((problem) => (
+                      <li key={problem}>{problem}</li>
+                    ))}
+                  </ul>
+                )}
+              </CardContent>
+            </Card>
+          );
+        })}
+      </div>
+
+      {isAdding && entryCard}
+
+      <AiSuggestionDialog
+        open={Boolean(improvedContent)}
+        onOpenChange={(isOpen) => !isOpen && setImprovedContent(undefined)}
+        title={
+          suggestionType === "bullet"
+            ? "AI suggestion: Bullet point"
+            : "AI suggestion: Description"
+        }
+        original={suggestionOriginal}
+        suggestion={improvedContent}
+        isRegenerating={isImprovingWithAI}
+        onAccept={handleAcceptSuggestion}
+        onRegenerate={() =>
+          improveWithAIFn({ current: suggestionOriginal, type: suggestionType })
+        }
+      />
 
-      {!isAdding && (
+      {!isAdding && !isEditing && (
         <Button
           className="w-full"
           variant="outline"
@@ -0,0 +1,95 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { X } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { MONTH_PATTERN, monthNames } from "@/app/lib/entry-dates";
+
+const thisYear = new Date().getFullYear();
+const years = Array.from({ length: 66 }, (_, i) => String(thisYear + 5 - i));
+
+const splitValue = (value) =>
+  MONTH_PATTERN.test(value || "") ? value.split("-") : ["", ""];
+
+// Month and year selects for a "yyyy-MM" value. onChange fires once both
+// parts are picked, or with "" when the date is cleared. `className` goes on
+// both selects, e.g. to highlight a field with a warning.
+export default function MonthPicker({ value, onChange, disabled, className }) {
+  const [year, setYear] = useState(splitValue(value)[0]);
+  const [month, setMonth] = useState(splitValue(value)[1]);
+
+  // Follow outside changes such as a form reset
+  useEffect(() => {
+    const [nextYear, nextMonth] = splitValue(value);
+    if (nextYear || !value) {
+      setYear(nextYear);
+      setMonth(nextMonth);
+    }
+  }, [value]);
+
+  const update = (nextYear, nextMonth) => {
+    setYear(nextYear);
+    setMonth(nextMonth);
+    if (nextYear && nextMonth) onChange(`${nextYear}-${nextMonth}`);
+  };
+
+  return (
+    <div className="flex gap-2">
+      <Select
+        value={month}
+        onValueChange={(next) => update(year, next)}
+        disabled={disabled}
+      >
+        <SelectTrigger className={className}>
+          <SelectValue placeholder="Month" />
+        </SelectTrigger>
+        <SelectContent>
+          {monthNames.map((name, index) => (
+            <SelectItem key={name} value={String(index + 1).padStart(2, "0")}>
+              {name}
+            </SelectItem>
+          ))}
+        </SelectContent>
+      </Select>
+      <Select
+        value={year}
+        onValueChange={(next) => update(next, month)}
+        disabled={disabled}
+      >
+        <SelectTrigger className={className}>
+          <SelectValue placeholder="Year" />
+        </SelectTrigger>
+        <SelectContent>
+          {years.map((option) => (
+            <SelectItem key={option} value={option}>
+              {option}
+            </SelectItem>
+          ))}
+        </SelectContent>
+      </Select>
+      {(year || month) && !disabled && (
+        <Button
+          type="button"
+          variant="ghost"
+          size="icon"
+          className="shrink-0"
+          title="Clear date"
+          onClick={() => {
+            setYear("");
+            setMonth("");
+            onChange("");
+          }}
+        >
+          <X className="h-4 w-4" />
+        </Button>
+      )}
+    </div>
+  );
+}
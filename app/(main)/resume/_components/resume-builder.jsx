@@ -1,12 +1,15 @@
 "use client";
 
 import { useState, useEffect, useRef } from "react";
+import { useRouter } from "next/navigation";
+import { format } from "date-fns";
 import { useForm, Controller } from "react-hook-form";
 import { zodResolver } from "@hookform/resolvers/zod";
 import {
   AlertTriangle,
   Download,
   Edit,
+  FileJson,
   Loader2,
   Monitor,
   Save,
@@ -17,19 +20,60 @@ import {
   Wand2,
   Upload,
   Trash2,
+  PlusCircle,
 } from "lucide-react";
 import { toast } from "sonner";
 import MDEditor from "@uiw/react-md-editor";
 import { Button } from "@/components/ui/button";
+import { Progress } from "@/components/ui/progress";
 import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
 import { Textarea } from "@/components/ui/textarea";
 import { Input } from "@/components/ui/input";
-import { saveResume, generateResumeTemplate, deleteResume } from "@/actions/resume";
+import { Label } from "@/components/ui/label";
+import {
+  saveResume,
+  deleteResume,
+  discardResumeDraft,
+  getResume,
+  getResumeVersion,
+  restoreResumeRevision,
+  saveResumeDraft,
+} from "@/actions/resume";
 import { EntryForm } from "./entry-form";
+import ResumeHistory from "./resume-history";
+import TailorDialog from "./tailor-dialog";
+import AtsFeedback from "./ats-feedback";
+import AiSuggestionDialog from "./ai-suggestion-dialog";
+import UploadReviewDialog from "./upload-review-dialog";
+import SectionLayout from "./section-layout";
+import TimelineCheck from "./timeline-check";
+import EditHistory from "./edit-history";
 import useFetch from "@/hooks/use-fetch";
+import useAutosave from "@/hooks/use-autosave";
+import useFormHistory from "@/hooks/use-form-history";
+import { cn } from "@/lib/utils";
 import { useUser } from "@clerk/nextjs";
-import { entriesToMarkdown } from "@/app/lib/helper";
+import {
+  descriptionToBullets,
+  mergeResumeContent,
+  migrateFormData,
+  resumeSections,
+  resumeToMarkdown,
+} from "@/app/lib/helper";
+import { contactFields } from "@/app/lib/contact-info";
 import { resumeSchema } from "@/app/lib/schema";
+import {
+  entrySectionKeys,
+  entrySections,
+  newCustomSection,
+} from "@/app/lib/resume-sections";
+import { parseAtsFeedback } from "@/app/lib/ats";
+import { cooldownRemaining } from "@/app/lib/ai-cooldown";
+import {
+  defaultThemeId,
+  renderResumeHtml,
+  resumeThemes,
+} from "@/app/lib/resume-themes";
 import {
   Select,
   SelectContent,
@@ -64,27 +108,126 @@ import {
   AlertDialogTrigger,
 } from "@/components/ui/alert-dialog";
 
-const templates = [
-  { id: "modern", name: "Modern" },
-  { id: "professional", name: "Professional" },
-  { id: "minimal", name: "Minimal" },
-  { id: "creative", name: "Creative" },
-];
+const enhanceSectionLabels = {
+  summary: "Professional Summary",
+  skills: "Skills",
+};
+
+// Edit history labels for typing, by the top-level form field that changed
+const fieldLabels = {
+  contactInfo: "Contact Information",
+  ...enhanceSectionLabels,
+  ...Object.fromEntries(entrySections.map(({ key, heading }) => [key, heading])),
+  customSections: "Custom Sections",
+  layout: "Section Order",
+};
+
+// Streamed AI rewrites keep the entry's title, organization and start date
+const findEntryIndex = (entries = [], entry) =>
+  entries.findIndex(
+    (candidate) =>
+      candidate.title === entry.title &&
+      candidate.organization === entry.organization &&
+      candidate.startDate === entry.startDate
+  );
+
+const entryName = (entry) =>
+  entry?.organization ? `${entry.title} @ ${entry.organization}` : entry?.title;
+
+// Where the first validation error of the resume form is, for the invalid
+// submit toast
+const describeFormError = (formErrors, values) => {
+  // Field errors hold their input in `ref`, which is not searched
+  const messageOf = (error) => {
+    if (!error || typeof error !== "object") return null;
+    if (typeof error.message === "string") return error.message;
+    return Object.entries(error)
+      .filter(([key]) => key !== "ref")
+      .map(([, value]) => messageOf(value))
+      .find(Boolean);
+  };
+
+  const entryProblem = (errors, entries, heading) => {
+    const index = errors?.findIndex?.(Boolean) ?? -1;
+    if (index === -1) return null;
+    const name = entryName(entries?.[index]) || `entry ${index + 1}`;
+    return `${heading}: "${name}" needs fixing (${messageOf(errors[index])}). Use the edit button on the entry.`;
+  };
 
-export default function ResumeBuilder({ initialContent }) {
+  if (formErrors.contactInfo) {
+    return `Contact Information: ${messageOf(formErrors.contactInfo)}`;
+  }
+  for (const [key, label] of Object.entries(enhanceSectionLabels)) {
+    if (formErrors[key]) return `${label}: ${formErrors[key].message}`;
+  }
+  for (const { key, heading } of entrySections) {
+    const problem = entryProblem(formErrors[key], values[key], heading);
+    if (problem) return problem;
+    if (formErrors[key]) return `${heading}: ${messageOf(formErrors[key])}`;
+  }
+  const sectionIndex = formErrors.customSections?.findIndex?.(Boolean) ?? -1;
+  if (sectionIndex !== -1) {
+    const section = values.customSections[sectionIndex];
+    const heading = section.title || "Untitled section";
+    const errors = formErrors.customSections[sectionIndex];
+    return (
+      entryProblem(errors.entries, section.entries, heading) ||
+      `${heading}: ${messageOf(errors)}`
+    );
+  }
+  return "Please check the highlighted fields.";
+};
+
+const describeEdit = (name) => {
+  const label = fieldLabels[name?.split(".")[0]];
+  return label && `Edited ${label}`;
+};
+
+export default function ResumeBuilder({ resume }) {
+  // An autosaved draft is opened in place of the saved version until it is
+  // saved or discarded; it has the same name, content and form fields
+  const stored = resume?.draftData || resume;
+  const initialContent = stored?.content || "";
+  const initialFormData = migrateFormData(stored?.formData);
+  const router = useRouter();
   const [activeTab, setActiveTab] = useState("edit");
   const [previewContent, setPreviewContent] = useState(initialContent);
   const { user } = useUser();
   const [resumeMode, setResumeMode] = useState("preview");
-  const [atsScore, setAtsScore] = useState(null);
-  const [atsFeedback, setAtsFeedback] = useState(null);
-  const [showTemplateDialog, setShowTemplateDialog] = useState(false);
+  const [resumeName, setResumeName] = useState(stored?.name || "");
+  const [targetRole, setTargetRole] = useState(stored?.targetRole || "");
+  const [atsScore, setAtsScore] = useState(resume?.atsScore ?? null);
+  const [atsFeedback, setAtsFeedback] = useState(
+    parseAtsFeedback(resume?.feedback)
+  );
+  const [theme, setTheme] = useState(stored?.theme || defaultThemeId);
+  const [draftRestoredAt, setDraftRestoredAt] = useState(
+    resume?.draftData ? resume.draftSavedAt : null
+  );
+  const [showThemeDialog, setShowThemeDialog] = useState(false);
   const [isImprovingSummary, setIsImprovingSummary] = useState(false);
   const [isImprovingSkills, setIsImprovingSkills] = useState(false);
+  const [aiSuggestion, setAiSuggestion] = useState(null);
+  const [isRegenerating, setIsRegenerating] = useState(false);
   const [isUploading, setIsUploading] = useState(false);
+  const [isImportingJson, setIsImportingJson] = useState(false);
+  const [pendingUpload, setPendingUpload] = useState(null);
   const [isEnhancing, setIsEnhancing] = useState(false);
+  // Rewrites from "Enhance Entire Resume" waiting to be reviewed, oldest first
+  const [enhanceReview, setEnhanceReview] = useState([]);
+  const [enhanceProgress, setEnhanceProgress] = useState(null);
+  const [newSectionTitle, setNewSectionTitle] = useState("");
   const fileInputRef = useRef(null);
+  const jsonInputRef = useRef(null);
+  const formRef = useRef(null);
   const [lastEnhancementTime, setLastEnhancementTime] = useState(0);
+  // Version of the stored resume this editor's state is based on
+  const versionRef = useRef(resume?.version ?? 0);
+  // Editor state sent with the running save, stored once the save succeeds
+  const savingStateRef = useRef(null);
+  // Set when the editor state is replaced by a stored version; it is marked
+  // as persisted once the next render has picked it up
+  const storedStateRef = useRef(false);
 
   const {
     control,
@@ -92,19 +235,28 @@ export default function ResumeBuilder({ initialContent }) {
     handleSubmit,
     watch,
     setValue,
+    getValues,
+    reset,
     formState: { errors },
   } = useForm({
     resolver: zodResolver(resumeSchema),
-    defaultValues: {
-      contactInfo: {},
-      summary: "",
-      skills: "",
-      experience: [],
-      education: [],
-      projects: [],
-    },
+    defaultValues: initialFormData,
   });
 
+  // Form fields keep their undo in this history rather than the browser's
+  const formHistory = useFormHistory(
+    { getValues, reset, watch },
+    {
+      initialLabel: resume ? "Opened resume" : "New resume",
+      describe: describeEdit,
+      scopeRef: formRef,
+    }
+  );
+
+  // Markdown last rendered from the form; the preview only follows the form
+  // when this changes, so saved markdown edits survive reopening the resume
+  const lastFormContentRef = useRef(resumeToMarkdown(initialFormData));
+
   const {
     loading: isSaving,
     fn: saveResumeFn,
@@ -112,229 +264,308 @@ export default function ResumeBuilder({ initialContent }) {
     error: saveError,
   } = useFetch(saveResume);
 
-  const {
-    loading: isGeneratingTemplate,
-    fn: generateTemplateFn,
-    data: templateResult,
-    error: templateError,
-  } = useFetch(generateResumeTemplate);
-
-  const {
-    loading: isDeleting,
-    fn: deleteResumeFn,
-    error: deleteError,
-  } = useFetch(deleteResume);
+  const [isDeleting, setIsDeleting] = useState(false);
 
   // Watch form fields for preview updates
   const formValues = watch();
 
+  // Everything autosave keeps, in the shape of resume.draftData
+  const editorState = {
+    name: resumeName,
+    targetRole,
+    theme,
+    content: previewContent,
+    formData: formValues,
+  };
+
+  const saveDraft = async (draft) => {
+    const result = await saveResumeDraft({
+      id: resume.id,
+      version: versionRef.current,
+      draft,
+    });
+    if (!result.conflict) versionRef.current = result.version;
+    return result;
+  };
+
+  // New resumes have nowhere to keep a draft until their first save, so they
+  // only get the leave-page guard. Autosave pauses during a full save, which
+  // stores the same changes.
+  const {
+    status: autosaveStatus,
+    savedAt: draftSavedAt,
+    hasUnsavedChanges,
+    markPersisted,
+    reportConflict,
+    resolveConflict,
+  } = useAutosave(editorState, saveDraft, {
+    enabled: Boolean(resume?.id) && !isSaving,
+  });
+
+  useEffect(() => {
+    if (storedStateRef.current) {
+      storedStateRef.current = false;
+      markPersisted(editorState);
+    }
+  });
+
+  // Another tab may have saved while this one was in the background
   useEffect(() => {
-    if (initialContent) setActiveTab("preview");
-  }, [initialContent]);
+    if (!resume?.id) return;
+
+    const checkVersion = async () => {
+      if (document.visibilityState !== "visible") return;
+      if (autosaveStatus === "saving") return;
+      try {
+        const { version } = await getResumeVersion(resume.id);
+        if (version !== versionRef.current) reportConflict();
+      } catch (error) {
+        console.error("Version check error:", error);
+      }
+    };
+
+    document.addEventListener("visibilitychange", checkVersion);
+    return () => document.removeEventListener("visibilitychange", checkVersion);
+  }, [resume?.id, autosaveStatus, reportConflict]);
+
+  useEffect(() => {
+    // Resumes saved without form data can only be edited as markdown
+    if (initialContent && !stored?.formData) setActiveTab("preview");
+  }, [initialContent, stored?.formData]);
 
   // Update preview content when form values change
   useEffect(() => {
     if (activeTab === "edit") {
       const newContent = getCombinedContent();
-      setPreviewContent(newContent ? newContent : initialContent);
+      if (newContent !== lastFormContentRef.current) {
+        lastFormContentRef.current = newContent;
+        setPreviewContent(newContent ? newContent : initialContent);
+      }
     }
   }, [formValues, activeTab]);
 
   // Handle save result
   useEffect(() => {
     if (saveResult && !isSaving) {
+      if (saveResult.conflict) {
+        toast.error(
+          "This resume was changed in another tab. Choose which version to keep, then save again."
+        );
+        reportConflict();
+        return;
+      }
       toast.success("Resume saved successfully!");
+      versionRef.current = saveResult.version;
+      markPersisted(savingStateRef.current);
+      setDraftRestoredAt(null);
       if (saveResult.atsScore) {
         setAtsScore(saveResult.atsScore);
-        setAtsFeedback(JSON.parse(saveResult.feedback));
+        setAtsFeedback(parseAtsFeedback(saveResult.feedback));
+      }
+      // A new resume gets its own page once it exists in the library
+      if (!resume?.id) {
+        router.replace(`/resume/${saveResult.id}`);
       }
     }
     if (saveError) {
       toast.error(saveError.message || "Failed to save resume");
     }
-  }, [saveResult, saveError, isSaving]);
+  }, [
+    saveResult,
+    saveError,
+    isSaving,
+    resume?.id,
+    router,
+    markPersisted,
+    reportConflict,
+  ]);
 
-  // Handle template generation
-  useEffect(() => {
-    if (templateResult && !isGeneratingTemplate) {
-      setPreviewContent(templateResult);
-      toast.success("Template generated successfully!");
-      setShowTemplateDialog(false);
+  const getCombinedContent = () => resumeToMarkdown(formValues);
+
+  const [exportingFormat, setExportingFormat] = useState(null);
+
+  // Exports are rendered on the server from the last saved version
+  const downloadExport = async (format) => {
+    setExportingFormat(format);
+    try {
+      const response = await fetch(
+        `/api/resume/export?id=${resume.id}&format=${format}`
+      );
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(errorText || `Failed to export ${format.toUpperCase()}`);
+      }
+
+      const blob = await response.blob();
+      const fileName =
+        response.headers
+          .get("Content-Disposition")
+          ?.match(/filename="(.+)"/)?.[1] || `resume.${format}`;
+
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = fileName;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error("Export error:", error);
+      toast.error(error.message || "Failed to export resume. Please try again.");
+    } finally {
+      setExportingFormat(null);
     }
-    if (templateError) {
-      toast.error(templateError.message || "Failed to generate template");
+  };
+
+  const onSubmit = async (data) => {
+    try {
+      // Markdown still generated from the form is rebuilt from the parsed
+      // values, so normalized fields such as the phone number match formData;
+      // hand-edited markdown is saved as written
+      const content =
+        previewContent === lastFormContentRef.current
+          ? resumeToMarkdown(data)
+          : previewContent;
+      const formattedContent = content
+        .replace(/\n/g, "\n")
+        .replace(/\n\s*\n/g, "\n\n")
+        .trim();
+
+      savingStateRef.current = editorState;
+      await saveResumeFn({
+        id: resume?.id,
+        version: versionRef.current,
+        name: resumeName,
+        targetRole,
+        theme,
+        content: formattedContent,
+        formData: data,
+      });
+    } catch (error) {
+      console.error("Save error:", error);
     }
-  }, [templateResult, templateError, isGeneratingTemplate]);
+  };
 
-  // Handle delete result
-  useEffect(() => {
-    if (deleteError) {
-      toast.error(deleteError.message || "Failed to delete resume");
+  // Replaces the editor state with a stored resume, revision or draft
+  const loadStoredState = (source, label) => {
+    if (source.formData) {
+      const storedFormData = migrateFormData(source.formData);
+      lastFormContentRef.current = resumeToMarkdown(storedFormData);
+      formHistory.track(label, () => reset(storedFormData));
     }
-  }, [deleteError]);
-
-  const getContactMarkdown = () => {
-    const { contactInfo } = formValues;
-    const parts = [];
-    if (contactInfo.name) parts.push(`**${contactInfo.name}**`);
-    if (contactInfo.email) parts.push(`📧 ${contactInfo.email}`);
-    if (contactInfo.mobile) parts.push(`📱 ${contactInfo.mobile}`);
-    if (contactInfo.linkedin) parts.push(`💼 [LinkedIn](${contactInfo.linkedin})`);
-    if (contactInfo.twitter) parts.push(`🐦 [Twitter](${contactInfo.twitter})`);
-
-    return parts.length > 0
-      ? `## Contact Information\n\n${parts.join(" | ")}`
-      : "";
+    if ("name" in source) {
+      setResumeName(source.name || "");
+      setTargetRole(source.targetRole || "");
+      setTheme(source.theme || defaultThemeId);
+    }
+    setPreviewContent(source.content);
+    setActiveTab(source.formData ? "edit" : "preview");
+    storedStateRef.current = true;
   };
 
-  const getCombinedContent = () => {
-    const { summary, skills, experience, education, projects } = formValues;
-    return [
-      getContactMarkdown(),
-      summary && `## Professional Summary\n\n${summary}`,
-      skills && `## Skills\n\n${skills}`,
-      entriesToMarkdown(experience, "Work Experience"),
-      entriesToMarkdown(education, "Education"),
-      entriesToMarkdown(projects, "Projects"),
-    ]
-      .filter(Boolean)
-      .join("\n\n");
+  // The form is long, so the toast names what blocks saving; entry problems
+  // are also shown on the entry's card
+  const onInvalid = (formErrors) => {
+    toast.error(`Can not save yet. ${describeFormError(formErrors, getValues())}`);
+    setActiveTab("edit");
   };
 
-  const [isGenerating, setIsGenerating] = useState(false);
+  // Restoring replaces the stored draft as well, so unsaved work is only
+  // dropped once the user agrees. Resolves to true when it was restored.
+  const handleRestore = async (revisionId) => {
+    const hasDraft =
+      hasUnsavedChanges || autosaveStatus === "saved" || Boolean(draftRestoredAt);
+    if (
+      hasDraft &&
+      !window.confirm("Restoring this revision discards your unsaved changes. Continue?")
+    ) {
+      return false;
+    }
 
-  const generatePDF = async () => {
-    setIsGenerating(true);
     try {
-      // Create a clean version of the resume content for PDF
-      const cleanContent = previewContent.replace(/<[^>]*>/g, '');
-      
-      // Use the browser's print functionality
-      const printWindow = window.open('', '_blank');
-      if (!printWindow) {
-        toast.error("Pop-up blocked. Please allow pop-ups for this site to generate PDF.");
+      const restoredResume = await restoreResumeRevision({
+        revisionId,
+        version: versionRef.current,
+      });
+      if (restoredResume.conflict) {
+        reportConflict();
+        return false;
+      }
+      versionRef.current = restoredResume.version;
+      loadStoredState(restoredResume, "Restored saved version");
+      setAtsScore(restoredResume.atsScore ?? null);
+      setAtsFeedback(parseAtsFeedback(restoredResume.feedback));
+      setDraftRestoredAt(null);
+      router.refresh();
+      toast.success("Revision restored successfully!");
+      return true;
+    } catch (error) {
+      console.error("Restore error:", error);
+      toast.error(error.message || "Failed to restore revision");
+      return false;
+    }
+  };
+
+  const handleDiscardDraft = async () => {
+    try {
+      const result = await discardResumeDraft({
+        id: resume.id,
+        version: versionRef.current,
+      });
+      if (result.conflict) {
+        reportConflict();
         return;
       }
-      
-      printWindow.document.write(`
-        <!DOCTYPE html>
-        <html>
-          <head>
-            <title>Resume</title>
-            <style>
-              body {
-                font-family: Arial, sans-serif;
-                line-height: 1.6;
-                margin: 20px;
-                max-width: 800px;
-                margin: 0 auto;
-                padding: 20px;
-              }
-              h1, h2, h3 {
-                color: #333;
-              }
-              h1 {
-                text-align: center;
-                margin-bottom: 20px;
-              }
-              h2 {
-                border-bottom: 1px solid #ccc;
-                padding-bottom: 5px;
-                margin-top: 20px;
-              }
-              .contact-info {
-                text-align: center;
-                margin-bottom: 20px;
-              }
-              .section {
-                margin-bottom: 15px;
-              }
-              .entry {
-                margin-bottom: 10px;
-              }
-              .entry-title {
-                font-weight: bold;
-              }
-              .entry-subtitle {
-                font-style: italic;
-              }
-              .entry-date {
-                color: #666;
-                font-size: 0.9em;
-              }
-              .entry-description {
-                margin-top: 5px;
-              }
-              @media print {
-                body {
-                  font-size: 12pt;
-                }
-                .no-print {
-                  display: none;
-                }
-              }
-            </style>
-          </head>
-          <body>
-            <div class="no-print" style="text-align: center; margin-bottom: 20px;">
-              <button onclick="window.print()" style="padding: 10px 20px; background: #0070f3; color: white; border: none; border-radius: 4px; cursor: pointer;">
-                Print / Save as PDF
-              </button>
-            </div>
-            <div id="resume-content">
-              ${previewContent}
-            </div>
-            <script>
-              // Auto-print after a short delay
-              setTimeout(() => {
-                window.print();
-              }, 1000);
-            </script>
-          </body>
-        </html>
-      `);
-      
-      printWindow.document.close();
-      
-      // Close the window after printing (or if user cancels)
-      setTimeout(() => {
-        if (printWindow && !printWindow.closed) {
-          printWindow.close();
-        }
-      }, 5000);
-      
-      toast.success("PDF generation started. Use your browser's print dialog to save as PDF.");
+      versionRef.current = result.version;
+      loadStoredState(result, "Discarded unsaved changes");
+      setDraftRestoredAt(null);
+      toast.success("Unsaved changes discarded");
     } catch (error) {
-      console.error("PDF generation error:", error);
-      toast.error("Failed to generate PDF. Please try again.");
-    } finally {
-      setIsGenerating(false);
+      console.error("Discard error:", error);
+      toast.error(error.message || "Failed to discard changes");
     }
   };
 
-  const onSubmit = async (data) => {
+  // Conflict: take whatever the other tab stored, draft included
+  const handleLoadLatest = async () => {
     try {
-      const formattedContent = previewContent
-        .replace(/\n/g, "\n")
-        .replace(/\n\s*\n/g, "\n\n")
-        .trim();
+      const latest = await getResume(resume.id);
+      versionRef.current = latest.version;
+      loadStoredState(latest.draftData || latest, "Loaded latest version");
+      setAtsScore(latest.atsScore ?? null);
+      setAtsFeedback(parseAtsFeedback(latest.feedback));
+      setDraftRestoredAt(latest.draftData ? latest.draftSavedAt : null);
+      resolveConflict();
+    } catch (error) {
+      console.error("Reload error:", error);
+      toast.error("Failed to load the latest version");
+    }
+  };
 
-      await saveResumeFn(formattedContent);
+  // Conflict: store this tab's state over the other tab's
+  const handleKeepMine = async () => {
+    try {
+      const { version } = await getResumeVersion(resume.id);
+      versionRef.current = version;
+      resolveConflict(true);
     } catch (error) {
-      console.error("Save error:", error);
+      console.error("Version check error:", error);
+      toast.error("Failed to keep your changes");
     }
   };
 
-  const handleTemplateSelect = async (template) => {
-    await generateTemplateFn(template);
+  const handleThemeSelect = (themeId) => {
+    setTheme(themeId);
+    setShowThemeDialog(false);
+    setActiveTab("design");
   };
 
-  const improveWithAI = async ({ current, type }) => {
+  const improveWithAI = async ({ current, type, regenerate = false }) => {
     try {
       // Check if we've enhanced recently (within the last minute)
-      const now = Date.now();
-      if (now - lastEnhancementTime < 60000) {
-        const waitTime = Math.ceil((60000 - (now - lastEnhancementTime)) / 1000);
+      const waitMs = cooldownRemaining(lastEnhancementTime, { regenerate });
+      if (waitMs > 0) {
+        const waitTime = Math.ceil(waitMs / 1000);
         toast.error(`Please wait ${waitTime} seconds before trying again.`);
         return null;
       }
@@ -377,6 +608,46 @@ export default function ResumeBuilder({ initialContent }) {
     }
   };
 
+  // AI rewrites are never applied directly; they open for review first
+  const requestSuggestion = async (field, original, { regenerate } = {}) => {
+    const improvedContent = await improveWithAI({
+      current: original,
+      type: field,
+      regenerate,
+    });
+
+    if (improvedContent) {
+      setAiSuggestion({ field, original, text: improvedContent });
+    }
+  };
+
+  const handleRegenerateSuggestion = async () => {
+    setIsRegenerating(true);
+    try {
+      await requestSuggestion(aiSuggestion.field, aiSuggestion.original, {
+        regenerate: true,
+      });
+    } catch (error) {
+      toast.error(error.message || "Failed to generate another variant.");
+    } finally {
+      setIsRegenerating(false);
+    }
+  };
+
+  const handleAcceptSuggestion = (text) => {
+    const { field, original } = aiSuggestion;
+    const label = enhanceSectionLabels[field];
+    formHistory.track(`AI improved ${label}`, () => setValue(field, text));
+    setAiSuggestion(null);
+    toast.success(`${label} updated`, {
+      action: {
+        label: "Undo",
+        onClick: () =>
+          formHistory.track(`Reverted AI ${label}`, () => setValue(field, original)),
+      },
+    });
+  };
+
   const handleImproveSummary = async () => {
     if (!formValues.summary) {
       toast.error("Please enter a summary first");
@@ -387,15 +658,7 @@ export default function ResumeBuilder({ initialContent }) {
     try {
       toast.info("Improving your summary... This may take a moment.");
       
-      const improvedContent = await improveWithAI({
-        current: formValues.summary,
-        type: "summary"
-      });
-
-      if (improvedContent) {
-        setValue("summary", improvedContent);
-        toast.success("Summary improved successfully!");
-      }
+      await requestSuggestion("summary", formValues.summary);
     } catch (error) {
       console.error("Error improving summary:", error);
       toast.error(error.message || "Failed to improve summary. Please try again.");
@@ -414,15 +677,7 @@ export default function ResumeBuilder({ initialContent }) {
     try {
       toast.info("Improving your skills section... This may take a moment.");
       
-      const improvedContent = await improveWithAI({
-        current: formValues.skills,
-        type: "skills"
-      });
-
-      if (improvedContent) {
-        setValue("skills", improvedContent);
-        toast.success("Skills improved successfully!");
-      }
+      await requestSuggestion("skills", formValues.skills);
     } catch (error) {
       console.error("Error improving skills:", error);
       toast.error(error.message || "Failed to improve skills. Please try again.");
@@ -431,6 +686,90 @@ export default function ResumeBuilder({ initialContent }) {
     }
   };
 
+  // Update form values with content extracted from an uploaded or imported
+  // file, either replacing or merging with what is already in the form. The
+  // whole import is one step in the edit history.
+  const applyImportedContent = (content, mode, label) => {
+    const next = mergeResumeContent(formValues, content, mode);
+
+    const fields = [
+      "contactInfo",
+      "summary",
+      "skills",
+      ...entrySectionKeys,
+      "customSections",
+      "layout",
+    ];
+
+    formHistory.track(label, () =>
+      fields.forEach((field) => {
+        if (next[field] !== formValues[field]) setValue(field, next[field]);
+      })
+    );
+  };
+
+  const addContactLink = () => {
+    setValue("contactInfo.links", [
+      ...(formValues.contactInfo?.links || []),
+      { label: "", url: "" },
+    ]);
+  };
+
+  const removeContactLink = (index) => {
+    setValue(
+      "contactInfo.links",
+      formValues.contactInfo.links.filter((_, linkIndex) => linkIndex !== index)
+    );
+  };
+
+  const handleAddCustomSection = () => {
+    const title = newSectionTitle.trim();
+    formHistory.track(`Added ${title || "custom"} section`, () =>
+      setValue("customSections", [
+        ...(formValues.customSections || []),
+        newCustomSection(title),
+      ])
+    );
+    setNewSectionTitle("");
+  };
+
+  const removeCustomSection = (index) => {
+    const title = formValues.customSections[index].title;
+    formHistory.track(`Removed ${title || "custom"} section`, () =>
+      setValue(
+        "customSections",
+        formValues.customSections.filter((_, sectionIndex) => sectionIndex !== index)
+      )
+    );
+  };
+
+  // Order and visibility are saved with the form values in formData.layout
+  const handleReorderSections = (order) => {
+    formHistory.track("Reordered sections", () =>
+      setValue("layout", { ...formValues.layout, order })
+    );
+  };
+
+  const handleToggleSection = (id) => {
+    const hidden = formValues.layout?.hidden || [];
+    const { label } = resumeSections(formValues).find((section) => section.id === id);
+    formHistory.track(`${hidden.includes(id) ? "Showed" : "Hid"} ${label}`, () =>
+      setValue("layout", {
+        ...formValues.layout,
+        hidden: hidden.includes(id)
+          ? hidden.filter((hiddenId) => hiddenId !== id)
+          : [...hidden, id],
+      })
+    );
+  };
+
+  const handleApplyUpload = (content, mode) => {
+    applyImportedContent(content, mode, pendingUpload.label);
+    setPendingUpload(null);
+    setActiveTab("edit");
+    toast.success("Resume applied to the form!");
+  };
+
   const handleFileUpload = async (event) => {
     const file = event.target.files[0];
     if (!file) return;
@@ -452,22 +791,10 @@ export default function ResumeBuilder({ initialContent }) {
 
       const data = await response.json();
       
-      // Update form values with extracted content
+      // Nothing is applied until the user has reviewed the extracted content
       if (data.content) {
-        const { summary, skills, experience, education, projects } = data.content;
-        
-        // Use the form's setValue method to update values
-        if (summary) setValue("summary", summary);
-        if (skills) setValue("skills", skills);
-        if (experience && experience.length > 0) setValue("experience", experience);
-        if (education && education.length > 0) setValue("education", education);
-        if (projects && projects.length > 0) setValue("projects", projects);
-        
-        // Update preview content
-        setPreviewContent(getCombinedContent());
+        setPendingUpload({ ...data, label: `Uploaded ${file.name}` });
       }
-
-      toast.success("Resume uploaded successfully!");
     } catch (error) {
       console.error("Upload error:", error);
       toast.error(error.message || "Failed to upload resume");
@@ -479,6 +806,96 @@ export default function ResumeBuilder({ initialContent }) {
     }
   };
 
+  const handleJsonImport = async (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    setIsImportingJson(true);
+    try {
+      const formData = new FormData();
+      formData.append("file", file);
+
+      const response = await fetch("/api/resume/json", {
+        method: "POST",
+        body: formData,
+      });
+
+      if (!response.ok) {
+        const errorData = await response.text();
+        throw new Error(errorData || "Failed to import JSON Resume");
+      }
+
+      const data = await response.json();
+
+      // Reviewed like an upload: dates given as a year only still need a month
+      setPendingUpload({
+        content: data.content,
+        label: `Imported ${file.name}`,
+        defaultMode: "replace",
+      });
+    } catch (error) {
+      console.error("JSON import error:", error);
+      toast.error(error.message || "Failed to import JSON Resume");
+    } finally {
+      setIsImportingJson(false);
+      if (jsonInputRef.current) {
+        jsonInputRef.current.value = "";
+      }
+    }
+  };
+
+  // Applies one streamed progress event from the enhance endpoint
+  const applyEnhanceProgress = (event) => {
+    const label = event.entry
+      ? entryName(event.entry)
+      : enhanceSectionLabels[event.section];
+
+    setEnhanceProgress((current) => ({
+      completed: event.completed,
+      total: event.total,
+      label,
+      failed:
+        event.status === "failed" ? [...current.failed, label] : current.failed,
+    }));
+
+    // Like single rewrites, these are reviewed before they reach the form
+    if (event.status !== "done") return;
+    setEnhanceReview((queue) => [
+      ...queue,
+      { section: event.section, entry: event.entry, value: event.value, label },
+    ]);
+  };
+
+  // The rewrite under review once the stream has finished. Entries can
+  // still move through undo, so a rewrite goes to the entry it was made
+  // for rather than to its old index.
+  const reviewedRewrite = isEnhancing ? null : enhanceReview[0];
+  const reviewedEntryIndex = reviewedRewrite?.entry
+    ? findEntryIndex(formValues[reviewedRewrite.section], reviewedRewrite.entry)
+    : -1;
+  const reviewedOriginal = !reviewedRewrite
+    ? ""
+    : reviewedRewrite.entry
+      ? (formValues[reviewedRewrite.section]?.[reviewedEntryIndex]?.bullets || []).join("\n")
+      : formValues[reviewedRewrite.section] || "";
+
+  const nextEnhanceReview = () => setEnhanceReview((queue) => queue.slice(1));
+
+  // Bullets are reviewed one per line
+  const handleAcceptEnhancement = (text) => {
+    const { section, entry, label } = reviewedRewrite;
+    if (!entry) {
+      formHistory.track(`AI improved ${label}`, () => setValue(section, text));
+    } else if (reviewedEntryIndex === -1) {
+      toast.warning(`${label} was removed, so its rewrite was not applied`);
+    } else {
+      formHistory.track(`AI improved ${label}`, () =>
+        setValue(`${section}.${reviewedEntryIndex}.bullets`, descriptionToBullets(text))
+      );
+    }
+    nextEnhanceReview();
+  };
+
   const handleEnhanceResume = async () => {
     if (!formValues.summary && !formValues.skills && !formValues.experience?.length) {
       toast.error("Please add some content to your resume first");
@@ -486,10 +903,9 @@ export default function ResumeBuilder({ initialContent }) {
     }
 
     setIsEnhancing(true);
+    setEnhanceReview([]);
+    setEnhanceProgress({ completed: 0, total: 0, label: null, failed: [] });
     try {
-      // Show a toast to inform the user that enhancement might take a while
-      toast.info("Enhancing your resume... This may take a minute or two due to rate limits.");
-      
       const response = await fetch("/api/resume/enhance", {
         method: "POST",
         headers: {
@@ -503,24 +919,37 @@ export default function ResumeBuilder({ initialContent }) {
         throw new Error(errorText || "Failed to enhance resume");
       }
 
-      const data = await response.json();
-      
-      // Update form values with enhanced content
-      if (data.content) {
-        const { summary, skills, experience, education, projects } = data.content;
-        
-        // Use the form's setValue method to update values
-        if (summary) setValue("summary", summary);
-        if (skills) setValue("skills", skills);
-        if (experience && experience.length > 0) setValue("experience", experience);
-        if (education && education.length > 0) setValue("education", education);
-        if (projects && projects.length > 0) setValue("projects", projects);
-        
-        // Update preview content
-        setPreviewContent(getCombinedContent());
+      // The response is newline-delimited JSON, one event per line
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = "";
+      let result = null;
+
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split("\n");
+        buffer = lines.pop();
+
+        for (const line of lines.filter(Boolean)) {
+          const event = JSON.parse(line);
+          if (event.type === "progress") applyEnhanceProgress(event);
+          if (event.type === "error") throw new Error(event.message);
+          if (event.type === "done") result = event;
+        }
       }
 
-      toast.success("Resume enhanced successfully!");
+      if (!result) throw new Error("Enhancement ended unexpectedly");
+
+      if (result.failed > 0) {
+        toast.warning(
+          `${result.failed} item(s) could not be rewritten and were left unchanged. Review the other rewrites to apply them.`
+        );
+      } else {
+        toast.success("Resume enhanced! Review each rewrite to apply it.");
+      }
     } catch (error) {
       console.error("Enhancement error:", error);
       
@@ -535,24 +964,29 @@ export default function ResumeBuilder({ initialContent }) {
     }
   };
 
+  // Called directly rather than through useFetch, which swallows errors, so
+  // a failed delete stays on the page
   const handleDelete = async () => {
+    setIsDeleting(true);
     try {
-      await deleteResumeFn();
+      await deleteResume(resume.id);
       toast.success("Resume deleted successfully!");
-      // Reset form to default values
-      setValue("contactInfo", {});
-      setValue("summary", "");
-      setValue("skills", "");
-      setValue("experience", []);
-      setValue("education", []);
-      setValue("projects", []);
-      setPreviewContent("");
-      setAtsScore(null);
-      setAtsFeedback(null);
+      router.push("/resume");
     } catch (error) {
       console.error("Delete error:", error);
-      toast.error("Failed to delete resume");
+      toast.error(error.message || "Failed to delete resume");
+      setIsDeleting(false);
+    }
+  };
+
+  const autosaveMessage = () => {
+    if (autosaveStatus === "saving") return "Saving draft...";
+    if (autosaveStatus === "error") return "Draft could not be saved, retrying...";
+    if (hasUnsavedChanges) return "Unsaved changes";
+    if (autosaveStatus === "saved" && draftSavedAt) {
+      return `Draft saved at ${format(draftSavedAt, "h:mm a")}. Save to run the ATS analysis.`;
     }
+    return resume?.id ? "All changes saved" : null;
   };
 
   return (
@@ -562,7 +996,7 @@ export default function ResumeBuilder({ initialContent }) {
           Resume Builder
         </h1>
         <div className="space-x-2">
-          <Dialog open={showTemplateDialog} onOpenChange={setShowTemplateDialog}>
+          <Dialog open={showThemeDialog} onOpenChange={setShowThemeDialog}>
             <DialogTrigger asChild>
               <Button variant="outline">
                 <FileText className="h-4 w-4 mr-2" />
@@ -573,33 +1007,42 @@ export default function ResumeBuilder({ initialContent }) {
               <DialogHeader>
                 <DialogTitle>Choose a Template</DialogTitle>
                 <DialogDescription>
-                  Select a template to start with a professional layout
+                  Templates change the layout and typography of your resume.
+                  Your content stays the same.
                 </DialogDescription>
               </DialogHeader>
               <div className="grid grid-cols-2 gap-4">
-                {templates.map((template) => (
+                {resumeThemes.map((resumeTheme) => (
                   <Button
-                    key={template.id}
-                    variant="outline"
-                    className="h-24"
-                    onClick={() => handleTemplateSelect(template.id)}
-                    disabled={isGeneratingTemplate}
+                    key={resumeTheme.id}
+                    variant={theme === resumeTheme.id ? "default" : "outline"}
+                    className="h-24 flex flex-col items-start justify-center whitespace-normal text-left"
+                    onClick={() => handleThemeSelect(resumeTheme.id)}
                   >
-                    {isGeneratingTemplate ? (
-                      <Loader2 className="h-4 w-4 animate-spin" />
-                    ) : (
-                      template.name
-                    )}
+                    <span className="font-semibold">{resumeTheme.name}</span>
+                    <span className="text-xs font-normal opacity-80">
+                      {resumeTheme.description}
+                    </span>
                   </Button>
                 ))}
               </div>
             </DialogContent>
           </Dialog>
 
+          {resume?.id && (
+            <ResumeHistory resumeId={resume.id} onRestore={handleRestore} />
+          )}
+
+          {resume?.formData && <TailorDialog resumeId={resume.id} />}
+
           <Button
             variant="destructive"
-            onClick={handleSubmit(onSubmit)}
-            disabled={isSaving}
+            onClick={handleSubmit(onSubmit, onInvalid)}
+            disabled={
+              isSaving ||
+              autosaveStatus === "saving" ||
+              autosaveStatus === "conflict"
+            }
           >
             {isSaving ? (
               <>
@@ -613,53 +1056,144 @@ export default function ResumeBuilder({ initialContent }) {
               </>
             )}
           </Button>
-          <Button onClick={generatePDF} disabled={isGenerating}>
-            {isGenerating ? (
+          <Button
+            onClick={() => downloadExport("pdf")}
+            disabled={!resume?.id || Boolean(exportingFormat)}
+            title="Download the saved version as a PDF"
+          >
+            {exportingFormat === "pdf" ? (
               <>
                 <Loader2 className="h-4 w-4 animate-spin" />
                 Generating PDF...
               </>
+            ) : (
+              <>
+                <Download className="h-4 w-4" />
+                Download PDF
+              </>
+            )}
+          </Button>
+          <Button
+            variant="outline"
+            onClick={() => downloadExport("docx")}
+            disabled={!resume?.id || Boolean(exportingFormat)}
+            title="Download the saved version as a Word document"
+          >
+            {exportingFormat === "docx" ? (
+              <>
+                <Loader2 className="h-4 w-4 animate-spin" />
+                Generating DOCX...
+              </>
             ) : (
               <>
                 <FileText className="h-4 w-4" />
-                Print / Save as PDF
+                Download DOCX
               </>
             )}
           </Button>
-          <AlertDialog>
-            <AlertDialogTrigger asChild>
-              <Button variant="destructive" disabled={isDeleting}>
-                {isDeleting ? (
-                  <>
-                    <Loader2 className="h-4 w-4 animate-spin" />
-                    Deleting...
-                  </>
-                ) : (
-                  <>
-                    <Trash2 className="h-4 w-4" />
-                    Delete Resume
-                  </>
-                )}
-              </Button>
-            </AlertDialogTrigger>
-            <AlertDialogContent>
-              <AlertDialogHeader>
-                <AlertDialogTitle>Delete Resume?</AlertDialogTitle>
-                <AlertDialogDescription>
-                  This action cannot be undone. This will permanently delete your resume.
-                </AlertDialogDescription>
-              </AlertDialogHeader>
-              <AlertDialogFooter>
-                <AlertDialogCancel>Cancel</AlertDialogCancel>
-                <AlertDialogAction
-                  onClick={handleDelete}
-                  className="bg-destructive text-destructive-foreground hover:bg-destructive/90"
-                >
-                  Delete
-                </AlertDialogAction>
-              </AlertDialogFooter>
-            </AlertDialogContent>
-          </AlertDialog>
+          {resume?.id && (
+            <AlertDialog>
+              <AlertDialogTrigger asChild>
+                <Button variant="destructive" disabled={isDeleting}>
+                  {isDeleting ? (
+                    <>
+                      <Loader2 className="h-4 w-4 animate-spin" />
+                      Deleting...
+                    </>
+                  ) : (
+                    <>
+                      <Trash2 className="h-4 w-4" />
+                      Delete Resume
+                    </>
+                  )}
+                </Button>
+              </AlertDialogTrigger>
+              <AlertDialogContent>
+                <AlertDialogHeader>
+                  <AlertDialogTitle>Delete Resume?</AlertDialogTitle>
+                  <AlertDialogDescription>
+                    This action cannot be undone. This will permanently delete your resume.
+                  </AlertDialogDescription>
+                </AlertDialogHeader>
+                <AlertDialogFooter>
+                  <AlertDialogCancel>Cancel</AlertDialogCancel>
+                  <AlertDialogAction
+                    onClick={handleDelete}
+                    className="bg-destructive text-destructive-foreground hover:bg-destructive/90"
+                  >
+                    Delete
+                  </AlertDialogAction>
+                </AlertDialogFooter>
+              </AlertDialogContent>
+            </AlertDialog>
+          )}
+        </div>
+      </div>
+
+      {autosaveMessage() && (
+        <p className="text-sm text-muted-foreground text-right">
+          {autosaveMessage()}
+        </p>
+      )}
+
+      {autosaveStatus === "conflict" && (
+        <div className="flex flex-col md:flex-row md:items-center justify-between p-3 gap-2 border-2 border-yellow-600 text-yellow-600 rounded">
+          <div className="flex gap-2 items-center">
+            <AlertTriangle className="h-5 w-5 shrink-0" />
+            <span className="text-sm">
+              This resume was changed in another tab or window. Changes here
+              are not saved until you choose which version to keep.
+            </span>
+          </div>
+          <div className="flex gap-2 shrink-0">
+            <Button variant="outline" size="sm" onClick={handleLoadLatest}>
+              Load Latest Version
+            </Button>
+            <Button size="sm" onClick={handleKeepMine}>
+              Keep My Changes
+            </Button>
+          </div>
+        </div>
+      )}
+
+      {draftRestoredAt && autosaveStatus !== "conflict" && (
+        <div className="flex flex-col md:flex-row md:items-center justify-between p-3 gap-2 border rounded-lg bg-muted/50">
+          <span className="text-sm text-muted-foreground">
+            Showing unsaved changes from{" "}
+            {format(new Date(draftRestoredAt), "MMM d, h:mm a")}. Save to run
+            the ATS analysis, or discard them to go back to the last saved
+            version.
+          </span>
+          <Button
+            variant="outline"
+            size="sm"
+            className="shrink-0"
+            onClick={handleDiscardDraft}
+            disabled={isSaving || autosaveStatus === "saving"}
+          >
+            Discard Changes
+          </Button>
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 p-4 border rounded-lg bg-muted/50">
+        <div className="space-y-2">
+          <Label htmlFor="resume-name">Resume Name</Label>
+          <Input
+            id="resume-name"
+            value={resumeName}
+            onChange={(e) => setResumeName(e.target.value)}
+            placeholder="e.g. Backend Engineering"
+          />
+        </div>
+        <div className="space-y-2">
+          <Label htmlFor="target-role">Target Role</Label>
+          <Input
+            id="target-role"
+            value={targetRole}
+            onChange={(e) => setTargetRole(e.target.value)}
+            placeholder="e.g. Senior Backend Engineer"
+          />
         </div>
       </div>
 
@@ -675,33 +1209,12 @@ export default function ResumeBuilder({ initialContent }) {
               )}
             </CardTitle>
             <CardDescription>
-              Your resume's compatibility with Applicant Tracking Systems
+              Your resume&apos;s compatibility with Applicant Tracking Systems
             </CardDescription>
           </CardHeader>
           {atsFeedback && (
             <CardContent>
-              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                <div>
-                  <h4 className="font-medium mb-2">Strengths</h4>
-                  <ul className="list-disc list-inside space-y-1">
-                    {atsFeedback.strengths.map((strength, index) => (
-                      <li key={index} className="text-sm text-green-600">
-                        {strength}
-                      </li>
-                    ))}
-                  </ul>
-                </div>
-                <div>
-                  <h4 className="font-medium mb-2">Areas for Improvement</h4>
-                  <ul className="list-disc list-inside space-y-1">
-                    {atsFeedback.improvements.map((improvement, index) => (
-                      <li key={index} className="text-sm text-yellow-600">
-                        {improvement}
-                      </li>
-                    ))}
-                  </ul>
-                </div>
-              </div>
+              <AtsFeedback feedback={atsFeedback} />
             </CardContent>
           )}
         </Card>
@@ -713,14 +1226,14 @@ export default function ResumeBuilder({ initialContent }) {
             type="file"
             ref={fileInputRef}
             onChange={handleFileUpload}
-            accept=".pdf,.doc,.docx"
+            accept=".pdf,.doc,.docx,.odt,.rtf,.txt,.md"
             className="hidden"
           />
           <Button
             type="button"
             variant="outline"
             onClick={() => fileInputRef.current?.click()}
-            disabled={isUploading}
+            disabled={isUploading || isEnhancing}
             className="w-full"
           >
             {isUploading ? (
@@ -736,6 +1249,45 @@ export default function ResumeBuilder({ initialContent }) {
             )}
           </Button>
         </div>
+        <div className="flex-1">
+          <input
+            type="file"
+            ref={jsonInputRef}
+            onChange={handleJsonImport}
+            accept=".json,application/json"
+            className="hidden"
+          />
+          <Button
+            type="button"
+            variant="outline"
+            onClick={() => jsonInputRef.current?.click()}
+            disabled={isImportingJson || isEnhancing}
+            className="w-full"
+          >
+            {isImportingJson ? (
+              <>
+                <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                Importing...
+              </>
+            ) : (
+              <>
+                <FileJson className="h-4 w-4 mr-2" />
+                Import JSON Resume
+              </>
+            )}
+          </Button>
+        </div>
+        <Button
+          type="button"
+          variant="outline"
+          onClick={() => window.location.assign(`/api/resume/json?id=${resume.id}`)}
+          disabled={!resume?.id}
+          title="Download the saved version in JSON Resume format"
+          className="w-full"
+        >
+          <Download className="h-4 w-4 mr-2" />
+          Export JSON Resume
+        </Button>
         <Button
           type="button"
           variant="outline"
@@ -757,86 +1309,133 @@ export default function ResumeBuilder({ initialContent }) {
         </Button>
       </div>
 
+      {isEnhancing && enhanceProgress && (
+        <div className="mb-6 space-y-2 rounded-lg border p-4">
+          <div className="flex items-center justify-between text-sm">
+            <span>
+              {enhanceProgress.label
+                ? `Enhancing ${enhanceProgress.label}...`
+                : "Starting enhancement..."}
+            </span>
+            <span className="text-muted-foreground">
+              {enhanceProgress.completed}/{enhanceProgress.total || "?"}
+            </span>
+          </div>
+          <Progress
+            value={
+              enhanceProgress.total
+                ? (enhanceProgress.completed / enhanceProgress.total) * 100
+                : 0
+            }
+          />
+          {enhanceProgress.failed.length > 0 && (
+            <p className="text-xs text-yellow-600">
+              Left unchanged: {enhanceProgress.failed.join(", ")}
+            </p>
+          )}
+        </div>
+      )}
+
       <Tabs value={activeTab} onValueChange={setActiveTab}>
-        <TabsList>
-          <TabsTrigger value="edit">Form</TabsTrigger>
-          <TabsTrigger value="preview">Markdown</TabsTrigger>
-        </TabsList>
+        <div className="flex flex-wrap items-center justify-between gap-2">
+          <TabsList>
+            <TabsTrigger value="edit">Form</TabsTrigger>
+            <TabsTrigger value="preview">Markdown</TabsTrigger>
+            <TabsTrigger value="design">Preview</TabsTrigger>
+          </TabsList>
+          <EditHistory history={formHistory} />
+        </div>
 
         <TabsContent value="edit">
-          <form onSubmit={handleSubmit(onSubmit)} className="space-y-8">
+          <form
+            ref={formRef}
+            onSubmit={handleSubmit(onSubmit, onInvalid)}
+            // Locked while AI rewrites stream in so they land on unchanged entries
+            inert={isEnhancing}
+            className={cn("space-y-8", isEnhancing && "opacity-60")}
+          >
+            {/* Section order and visibility */}
+            <div className="space-y-4">
+              <div>
+                <h3 className="text-lg font-medium">Section Order</h3>
+                <p className="text-sm text-muted-foreground">
+                  Drag sections to reorder them and hide the ones you do not
+                  want on this resume. Contact information always comes first.
+                </p>
+              </div>
+              <SectionLayout
+                sections={resumeSections(formValues)}
+                onReorder={handleReorderSections}
+                onToggle={handleToggleSection}
+              />
+            </div>
+
             {/* Contact Information */}
             <div className="space-y-4">
               <h3 className="text-lg font-medium">Contact Information</h3>
               <div className="grid grid-cols-1 md:grid-cols-2 gap-4 p-4 border rounded-lg bg-muted/50">
-                <div className="space-y-2">
-                  <label className="text-sm font-medium">Full Name</label>
-                  <Input
-                    {...register("contactInfo.name")}
-                    type="text"
-                    placeholder="John Doe"
-                    error={errors.contactInfo?.name}
-                  />
-                  {errors.contactInfo?.name && (
-                    <p className="text-sm text-red-500">
-                      {errors.contactInfo.name.message}
-                    </p>
-                  )}
-                </div>
-                <div className="space-y-2">
-                  <label className="text-sm font-medium">Email</label>
-                  <Input
-                    {...register("contactInfo.email")}
-                    type="email"
-                    placeholder="your@email.com"
-                    error={errors.contactInfo?.email}
-                  />
-                  {errors.contactInfo?.email && (
-                    <p className="text-sm text-red-500">
-                      {errors.contactInfo.email.message}
-                    </p>
-                  )}
-                </div>
-                <div className="space-y-2">
-                  <label className="text-sm font-medium">Mobile Number</label>
-                  <Input
-                    {...register("contactInfo.mobile")}
-                    type="tel"
-                    placeholder="+1 234 567 8900"
-                  />
-                  {errors.contactInfo?.mobile && (
-                    <p className="text-sm text-red-500">
-                      {errors.contactInfo.mobile.message}
-                    </p>
-                  )}
-                </div>
-                <div className="space-y-2">
-                  <label className="text-sm font-medium">LinkedIn URL</label>
-                  <Input
-                    {...register("contactInfo.linkedin")}
-                    type="url"
-                    placeholder="https://linkedin.com/in/your-profile"
-                  />
-                  {errors.contactInfo?.linkedin && (
-                    <p className="text-sm text-red-500">
-                      {errors.contactInfo.linkedin.message}
-                    </p>
-                  )}
-                </div>
-                <div className="space-y-2">
-                  <label className="text-sm font-medium">
-                    Twitter/X Profile
-                  </label>
-                  <Input
-                    {...register("contactInfo.twitter")}
-                    type="url"
-                    placeholder="https://twitter.com/your-handle"
-                  />
-                  {errors.contactInfo?.twitter && (
-                    <p className="text-sm text-red-500">
-                      {errors.contactInfo.twitter.message}
-                    </p>
-                  )}
+                {contactFields.map((field) => (
+                  <div key={field.name} className="space-y-2">
+                    <label className="text-sm font-medium">{field.label}</label>
+                    <Input
+                      {...register(`contactInfo.${field.name}`)}
+                      type={field.type || "text"}
+                      placeholder={field.placeholder}
+                      error={errors.contactInfo?.[field.name]}
+                    />
+                    {errors.contactInfo?.[field.name] && (
+                      <p className="text-sm text-red-500">
+                        {errors.contactInfo[field.name].message}
+                      </p>
+                    )}
+                  </div>
+                ))}
+
+                {/* Extra labelled links, e.g. a blog or Stack Overflow */}
+                <div className="space-y-2 md:col-span-2">
+                  <label className="text-sm font-medium">Other Links</label>
+                  {(formValues.contactInfo?.links || []).map((_, index) => (
+                    <div key={index} className="space-y-1">
+                      <div className="flex gap-2">
+                        <Input
+                          {...register(`contactInfo.links.${index}.label`)}
+                          placeholder="Label, e.g. Blog"
+                          className="w-1/3"
+                        />
+                        <Input
+                          {...register(`contactInfo.links.${index}.url`)}
+                          type="url"
+                          placeholder="https://"
+                        />
+                        <Button
+                          type="button"
+                          variant="outline"
+                          size="icon"
+                          title="Remove link"
+                          onClick={() => removeContactLink(index)}
+                        >
+                          <Trash2 className="h-4 w-4" />
+                        </Button>
+                      </div>
+                      {["label", "url"].map(
+                        (name) =>
+                          errors.contactInfo?.links?.[index]?.[name] && (
+                            <p key={name} className="text-sm text-red-500">
+                              {errors.contactInfo.links[index][name].message}
+                            </p>
+                          )
+                      )}
+                    </div>
+                  ))}
+                  <Button
+                    type="button"
+                    variant="outline"
+                    size="sm"
+                    onClick={addContactLink}
+                  >
+                    <PlusCircle className="h-4 w-4 mr-2" />
+                    Add Link
+                  </Button>
                 </div>
               </div>
             </div>
@@ -909,67 +1508,88 @@ export default function ResumeBuilder({ initialContent }) {
               />
             </div>
 
-            {/* Experience */}
-            <div className="space-y-4">
-              <h3 className="text-lg font-medium">Work Experience</h3>
-              <Controller
-                name="experience"
-                control={control}
-                render={({ field }) => (
-                  <EntryForm
-                    type="Experience"
-                    entries={field.value}
-                    onChange={field.onChange}
-                  />
-                )}
-              />
-              {errors.experience && (
-                <p className="text-sm text-red-500">
-                  {errors.experience.message}
-                </p>
-              )}
-            </div>
+            <TimelineCheck formData={formValues} />
 
-            {/* Education */}
-            <div className="space-y-4">
-              <h3 className="text-lg font-medium">Education</h3>
-              <Controller
-                name="education"
-                control={control}
-                render={({ field }) => (
-                  <EntryForm
-                    type="Education"
-                    entries={field.value}
-                    onChange={field.onChange}
-                  />
+            {/* Experience, education, projects and the additional sections */}
+            {entrySections.map(({ key, heading, entryLabel, shape }) => (
+              <div key={key} className="space-y-4">
+                <h3 className="text-lg font-medium">{heading}</h3>
+                <Controller
+                  name={key}
+                  control={control}
+                  render={({ field }) => (
+                    <EntryForm
+                      type={entryLabel}
+                      shape={shape}
+                      entries={field.value}
+                      onChange={field.onChange}
+                      errors={errors[key]}
+                    />
+                  )}
+                />
+                {(errors[key]?.message || errors[key]?.root?.message) && (
+                  <p className="text-sm text-red-500">
+                    {errors[key].message || errors[key].root.message}
+                  </p>
                 )}
-              />
-              {errors.education && (
-                <p className="text-sm text-red-500">
-                  {errors.education.message}
-                </p>
-              )}
-            </div>
+              </div>
+            ))}
 
-            {/* Projects */}
-            <div className="space-y-4">
-              <h3 className="text-lg font-medium">Projects</h3>
-              <Controller
-                name="projects"
-                control={control}
-                render={({ field }) => (
-                  <EntryForm
-                    type="Project"
-                    entries={field.value}
-                    onChange={field.onChange}
+            {/* User defined sections */}
+            {(formValues.customSections || []).map((section, index) => (
+              <div key={section.id} className="space-y-4">
+                <div className="flex items-center gap-2">
+                  <Input
+                    {...register(`customSections.${index}.title`)}
+                    placeholder="Section title"
+                    className="text-lg font-medium"
                   />
+                  <Button
+                    type="button"
+                    variant="outline"
+                    size="icon"
+                    title="Remove section"
+                    onClick={() => removeCustomSection(index)}
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
+                </div>
+                {errors.customSections?.[index]?.title && (
+                  <p className="text-sm text-red-500">
+                    {errors.customSections[index].title.message}
+                  </p>
                 )}
+                <Controller
+                  name={`customSections.${index}.entries`}
+                  control={control}
+                  render={({ field }) => (
+                    <EntryForm
+                      type="Entry"
+                      shape="custom"
+                      entries={field.value}
+                      onChange={field.onChange}
+                      errors={errors.customSections?.[index]?.entries}
+                    />
+                  )}
+                />
+              </div>
+            ))}
+
+            <div className="flex gap-2">
+              <Input
+                value={newSectionTitle}
+                onChange={(e) => setNewSectionTitle(e.target.value)}
+                placeholder="New section title, e.g. Patents or Memberships"
               />
-              {errors.projects && (
-                <p className="text-sm text-red-500">
-                  {errors.projects.message}
-                </p>
-              )}
+              <Button
+                type="button"
+                variant="outline"
+                onClick={handleAddCustomSection}
+                disabled={!newSectionTitle.trim()}
+              >
+                <PlusCircle className="h-4 w-4 mr-2" />
+                Add Section
+              </Button>
             </div>
           </form>
         </TabsContent>
@@ -1014,19 +1634,60 @@ export default function ResumeBuilder({ initialContent }) {
               preview={resumeMode}
             />
           </div>
-          <div className="hidden">
-            <div id="resume-pdf">
-              <MDEditor.Markdown
-                source={previewContent}
-                style={{
-                  background: "white",
-                  color: "black",
-                }}
-              />
-            </div>
-          </div>
+        </TabsContent>
+
+        <TabsContent value="design">
+          <p className="text-sm text-muted-foreground mb-2">
+            Your resume with the{" "}
+            {resumeThemes.find((resumeTheme) => resumeTheme.id === theme)?.name}{" "}
+            template. PDF exports use the same layout once you save.
+          </p>
+          <iframe
+            title="Resume preview"
+            sandbox=""
+            srcDoc={renderResumeHtml({
+              content: previewContent,
+              theme,
+              title: resumeName || "Resume",
+            })}
+            className="w-full h-[1100px] border rounded-lg bg-muted"
+          />
         </TabsContent>
       </Tabs>
+
+      <AiSuggestionDialog
+        open={Boolean(aiSuggestion)}
+        onOpenChange={(isOpen) => !isOpen && setAiSuggestion(null)}
+        title={`AI suggestion: ${enhanceSectionLabels[aiSuggestion?.field] || ""}`}
+        original={aiSuggestion?.original}
+        suggestion={aiSuggestion?.text}
+        isRegenerating={isRegenerating}
+        onAccept={handleAcceptSuggestion}
+        onRegenerate={handleRegenerateSuggestion}
+      />
+
+      <AiSuggestionDialog
+        open={Boolean(reviewedRewrite)}
+        onOpenChange={(isOpen) => !isOpen && nextEnhanceReview()}
+        title={`AI suggestion: ${reviewedRewrite?.label || ""} (${enhanceReview.length} to review)`}
+        original={reviewedOriginal}
+        suggestion={
+          reviewedRewrite?.entry
+            ? reviewedRewrite.entry.bullets.join("\n")
+            : reviewedRewrite?.value
+        }
+        onAccept={handleAcceptEnhancement}
+      />
+
+      <UploadReviewDialog
+        open={Boolean(pendingUpload)}
+        onOpenChange={(isOpen) => !isOpen && setPendingUpload(null)}
+        content={pendingUpload?.content}
+        warnings={pendingUpload?.warnings}
+        ocr={pendingUpload?.ocr}
+        defaultMode={pendingUpload?.defaultMode}
+        onApply={handleApplyUpload}
+      />
     </div>
   );
 }
@@ -0,0 +1,202 @@
+"use client";
+
+import { useEffect, useMemo, useState } from "react";
+import { format } from "date-fns";
+import { diffLines } from "diff";
+import { History, Loader2, RotateCcw } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Label } from "@/components/ui/label";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+  DialogTrigger,
+} from "@/components/ui/dialog";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { getResumeRevisions } from "@/actions/resume";
+import useFetch from "@/hooks/use-fetch";
+
+const formatRevisionDate = (date) => format(new Date(date), "MMM d, yyyy HH:mm");
+
+const revisionLabel = (revision) =>
+  revision.atsScore !== null
+    ? `${formatRevisionDate(revision.createdAt)} · ATS ${Math.round(revision.atsScore)}`
+    : formatRevisionDate(revision.createdAt);
+
+// `onRestore(revisionId)` restores a revision and resolves to true when it
+// did, which closes the panel
+export default function ResumeHistory({ resumeId, onRestore }) {
+  const [open, setOpen] = useState(false);
+  const [isRestoring, setIsRestoring] = useState(false);
+  const [baseId, setBaseId] = useState("");
+  const [compareId, setCompareId] = useState("");
+
+  const {
+    loading: isLoading,
+    fn: fetchRevisionsFn,
+    data: revisions,
+  } = useFetch(getResumeRevisions);
+
+
+  // Reload every time the panel opens so new saves show up
+  useEffect(() => {
+    if (open) fetchRevisionsFn(resumeId);
+  }, [open, resumeId]);
+
+  // Default to comparing the latest save with the one before it
+  useEffect(() => {
+    if (revisions?.length) {
+      setCompareId(revisions[0].id);
+      setBaseId((revisions[1] || revisions[0]).id);
+    }
+  }, [revisions]);
+
+  const handleRestore = async (revisionId) => {
+    setIsRestoring(true);
+    try {
+      if (await onRestore(revisionId)) setOpen(false);
+    } finally {
+      setIsRestoring(false);
+    }
+  };
+
+  const changes = useMemo(() => {
+    const base = revisions?.find((revision) => revision.id === baseId);
+    const compare = revisions?.find((revision) => revision.id === compareId);
+    if (!base || !compare) return [];
+    return diffLines(base.content, compare.content);
+  }, [revisions, baseId, compareId]);
+
+  return (
+    <Dialog open={open} onOpenChange={setOpen}>
+      <DialogTrigger asChild>
+        <Button variant="outline">
+          <History className="h-4 w-4 mr-2" />
+          History
+        </Button>
+      </DialogTrigger>
+      <DialogContent className="max-w-4xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Revision History</DialogTitle>
+          <DialogDescription>
+            Every save is kept as a revision. Compare any two of them or
+            restore an earlier version.
+          </DialogDescription>
+        </DialogHeader>
+
+        {isLoading ? (
+          <div className="flex justify-center py-8">
+            <Loader2 className="h-6 w-6 animate-spin" />
+          </div>
+        ) : !revisions?.length ? (
+          <p className="text-sm text-muted-foreground">
+            No revisions yet. Save your resume to start its history.
+          </p>
+        ) : (
+          <div className="space-y-6">
+            <div className="space-y-2">
+              {revisions.map((revision, index) => (
+                <div
+                  key={revision.id}
+                  className="flex items-center justify-between p-3 border rounded-lg"
+                >
+                  <div className="flex items-center gap-2">
+                    <span className="text-sm font-medium">
+                      {formatRevisionDate(revision.createdAt)}
+                    </span>
+                    {index === 0 && <Badge>Current</Badge>}
+                    {revision.atsScore !== null && (
+                      <Badge variant="secondary">
+                        ATS {Math.round(revision.atsScore)}
+                      </Badge>
+                    )}
+                  </div>
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    disabled={index === 0 || isRestoring}
+                    onClick={() => handleRestore(revision.id)}
+                  >
+                    <RotateCcw className="h-4 w-4 mr-2" />
+                    Restore
+                  </Button>
+                </div>
+              ))}
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div className="space-y-2">
+                <Label>Compare from</Label>
+                <Select value={baseId} onValueChange={setBaseId}>
+                  <SelectTrigger>
+                    <SelectValue placeholder="Select a revision" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {revisions.map((revision) => (
+                      <SelectItem key={revision.id} value={revision.id}>
+                        {revisionLabel(revision)}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="space-y-2">
+                <Label>To</Label>
+                <Select value={compareId} onValueChange={setCompareId}>
+                  <SelectTrigger>
+                    <SelectValue placeholder="Select a revision" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {revisions.map((revision) => (
+                      <SelectItem key={revision.id} value={revision.id}>
+                        {revisionLabel(revision)}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            </div>
+
+            <pre className="border rounded-lg p-4 text-xs whitespace-pre-wrap font-mono max-h-[400px] overflow-y-auto">
+              {changes.length === 1 && !changes[0].added && !changes[0].removed ? (
+                <span className="text-muted-foreground">
+                  No differences between these revisions.
+                </span>
+              ) : (
+                changes.map((part, index) => (
+                  <span
+                    key={index}
+                    className={
+                      part.added
+                        ? "block bg-green-500/10 text-green-700"
+                        : part.removed
+                        ? "block bg-red-500/10 text-red-700"
+                        : "block text-muted-foreground"
+                    }
+                  >
+                    {part.value
+                      .replace(/\n$/, "")
+                      .split("\n")
+                      .map((line) =>
+                        `${part.added ? "+" : part.removed ? "-" : " "} ${line}`
+                      )
+                      .join("\n")}
+                  </span>
+                ))
+              )}
+            </pre>
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -12,6 +12,7 @@ import {
   CardTitle,
 } from "@/components/ui/card";
 import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
 import {
   AlertDialog,
   AlertDialogAction,
@@ -25,12 +26,12 @@ import {
 } from "@/components/ui/alert-dialog";
 import { deleteResume } from "@/actions/resume";
 
-export default function ResumeList({ resume }) {
+export default function ResumeList({ resumes }) {
   const router = useRouter();
 
-  const handleDelete = async () => {
+  const handleDelete = async (id) => {
     try {
-      await deleteResume();
+      await deleteResume(id);
       toast.success("Resume deleted successfully!");
       router.refresh();
     } catch (error) {
@@ -38,11 +39,11 @@ export default function ResumeList({ resume }) {
     }
   };
 
-  if (!resume) {
+  if (!resumes?.length) {
     return (
       <Card>
         <CardHeader>
-          <CardTitle>No Resume Yet</CardTitle>
+          <CardTitle>No Resumes Yet</CardTitle>
           <CardDescription>
             Create your first resume to get started
           </CardDescription>
@@ -53,59 +54,67 @@ export default function ResumeList({ resume }) {
 
   return (
     <div className="space-y-4">
-      <Card className="group relative">
-        <CardHeader>
-          <div className="flex items-start justify-between">
-            <div>
-              <CardTitle className="text-xl gradient-title">
-                My Resume
-              </CardTitle>
-              <CardDescription>
-                Last updated {format(new Date(resume.updatedAt), "PPP")}
-              </CardDescription>
+      {resumes.map((resume) => (
+        <Card key={resume.id} className="group relative">
+          <CardHeader>
+            <div className="flex items-start justify-between">
+              <div>
+                <CardTitle className="text-xl gradient-title">
+                  {resume.name}
+                </CardTitle>
+                <CardDescription>
+                  {resume.targetRole && `${resume.targetRole} · `}
+                  Last updated {format(new Date(resume.updatedAt), "PPP")}
+                </CardDescription>
+              </div>
+              <div className="flex items-center space-x-2">
+                {resume.atsScore !== null && (
+                  <Badge variant={resume.atsScore >= 80 ? "default" : "secondary"}>
+                    ATS {Math.round(resume.atsScore)}
+                  </Badge>
+                )}
+                <Button
+                  variant="outline"
+                  size="icon"
+                  onClick={() => router.push(`/resume/${resume.id}`)}
+                >
+                  <Eye className="h-4 w-4" />
+                </Button>
+                <AlertDialog>
+                  <AlertDialogTrigger asChild>
+                    <Button variant="outline" size="icon">
+                      <Trash2 className="h-4 w-4" />
+                    </Button>
+                  </AlertDialogTrigger>
+                  <AlertDialogContent>
+                    <AlertDialogHeader>
+                      <AlertDialogTitle>Delete Resume?</AlertDialogTitle>
+                      <AlertDialogDescription>
+                        This action cannot be undone. This will permanently
+                        delete your resume &quot;{resume.name}&quot;.
+                      </AlertDialogDescription>
+                    </AlertDialogHeader>
+                    <AlertDialogFooter>
+                      <AlertDialogCancel>Cancel</AlertDialogCancel>
+                      <AlertDialogAction
+                        onClick={() => handleDelete(resume.id)}
+                        className="bg-destructive text-destructive-foreground hover:bg-destructive/90"
+                      >
+                        Delete
+                      </AlertDialogAction>
+                    </AlertDialogFooter>
+                  </AlertDialogContent>
+                </AlertDialog>
+              </div>
             </div>
-            <div className="flex space-x-2">
-              <Button
-                variant="outline"
-                size="icon"
-                onClick={() => router.push(`/resume`)}
-              >
-                <Eye className="h-4 w-4" />
-              </Button>
-              <AlertDialog>
-                <AlertDialogTrigger asChild>
-                  <Button variant="outline" size="icon">
-                    <Trash2 className="h-4 w-4" />
-                  </Button>
-                </AlertDialogTrigger>
-                <AlertDialogContent>
-                  <AlertDialogHeader>
-                    <AlertDialogTitle>Delete Resume?</AlertDialogTitle>
-                    <AlertDialogDescription>
-                      This action cannot be undone. This will permanently
-                      delete your resume.
-                    </AlertDialogDescription>
-                  </AlertDialogHeader>
-                  <AlertDialogFooter>
-                    <AlertDialogCancel>Cancel</AlertDialogCancel>
-                    <AlertDialogAction
-                      onClick={handleDelete}
-                      className="bg-destructive text-destructive-foreground hover:bg-destructive/90"
-                    >
-                      Delete
-                    </AlertDialogAction>
-                  </AlertDialogFooter>
-                </AlertDialogContent>
-              </AlertDialog>
+          </CardHeader>
+          <CardContent>
+            <div className="text-muted-foreground text-sm line-clamp-3">
+              {resume.content.substring(0, 200)}...
             </div>
-          </div>
-        </CardHeader>
-        <CardContent>
-          <div className="text-muted-foreground text-sm line-clamp-3">
-            {resume.content.substring(0, 200)}...
-          </div>
-        </CardContent>
-      </Card>
+          </CardContent>
+        </Card>
+      ))}
     </div>
   );
-} 
\ No newline at end of file
+}
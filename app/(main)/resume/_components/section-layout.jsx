@@ -0,0 +1,51 @@
+"use client";
+
+import { Eye, EyeOff, GripVertical } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import useDragReorder from "@/hooks/use-drag-reorder";
+
+// Drag-to-reorder list of the resume's sections with a visibility toggle
+// for each. `sections` comes from resumeSections(); changes are reported as
+// the full new order or the id that was toggled.
+export default function SectionLayout({ sections, onReorder, onToggle }) {
+  const { handleProps, targetProps, isOver, isDragging } = useDragReorder(
+    sections.map((section) => section.id),
+    onReorder
+  );
+
+  return (
+    <ul className="space-y-1">
+      {sections.map((section) => (
+        <li
+          key={section.id}
+          {...handleProps(section.id)}
+          {...targetProps(section.id)}
+          className={`flex items-center gap-2 rounded-md border bg-background px-2 py-1 text-sm cursor-move ${
+            isOver(section.id) ? "border-primary" : ""
+          } ${isDragging(section.id) ? "opacity-50" : ""}`}
+        >
+          <GripVertical className="h-4 w-4 text-muted-foreground" />
+          <span
+            className={`flex-1 ${section.hidden ? "text-muted-foreground line-through" : ""}`}
+          >
+            {section.label}
+          </span>
+          <Button
+            type="button"
+            variant="ghost"
+            size="icon"
+            className="h-7 w-7"
+            title={section.hidden ? "Show section" : "Hide section"}
+            onClick={() => onToggle(section.id)}
+          >
+            {section.hidden ? (
+              <EyeOff className="h-4 w-4" />
+            ) : (
+              <Eye className="h-4 w-4" />
+            )}
+          </Button>
+        </li>
+      ))}
+    </ul>
+  );
+}
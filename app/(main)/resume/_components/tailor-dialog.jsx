@@ -0,0 +1,235 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { useRouter } from "next/navigation";
+import { Loader2, Target } from "lucide-react";
+import { toast } from "sonner";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Label } from "@/components/ui/label";
+import { Textarea } from "@/components/ui/textarea";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+  DialogTrigger,
+} from "@/components/ui/dialog";
+import { analyzeJobFit, createTailoredResume } from "@/actions/resume";
+import useFetch from "@/hooks/use-fetch";
+
+export default function TailorDialog({ resumeId }) {
+  const router = useRouter();
+  const [open, setOpen] = useState(false);
+  const [jobDescription, setJobDescription] = useState("");
+  const [useSummary, setUseSummary] = useState(true);
+  const [acceptedEntries, setAcceptedEntries] = useState([]);
+
+  const {
+    loading: isAnalyzing,
+    fn: analyzeJobFitFn,
+    data: analysis,
+    setData: setAnalysis,
+  } = useFetch(analyzeJobFit);
+
+  const {
+    loading: isCreating,
+    fn: createTailoredResumeFn,
+    data: tailoredResume,
+  } = useFetch(createTailoredResume);
+
+  // Every suggestion starts out accepted
+  useEffect(() => {
+    if (analysis) {
+      setUseSummary(Boolean(analysis.summary));
+      setAcceptedEntries(analysis.experience.map((suggestion) => suggestion.index));
+    }
+  }, [analysis]);
+
+  useEffect(() => {
+    if (tailoredResume && !isCreating) {
+      toast.success("Tailored resume created!");
+      setOpen(false);
+      router.push(`/resume/${tailoredResume.id}`);
+    }
+  }, [tailoredResume, isCreating]);
+
+  const toggleEntry = (index) => {
+    setAcceptedEntries((current) =>
+      current.includes(index)
+        ? current.filter((entryIndex) => entryIndex !== index)
+        : [...current, index]
+    );
+  };
+
+  const handleAnalyze = async () => {
+    if (!jobDescription.trim()) {
+      toast.error("Please paste a job description first");
+      return;
+    }
+    await analyzeJobFitFn({ resumeId, jobDescription });
+  };
+
+  const handleCreate = async () => {
+    await createTailoredResumeFn({
+      resumeId,
+      jobTitle: analysis.jobTitle,
+      summary: useSummary ? analysis.summary : "",
+      experience: analysis.experience.filter((suggestion) =>
+        acceptedEntries.includes(suggestion.index)
+      ),
+    });
+  };
+
+  return (
+    <Dialog
+      open={open}
+      onOpenChange={(isOpen) => {
+        setOpen(isOpen);
+        if (!isOpen) setAnalysis(undefined);
+      }}
+    >
+      <DialogTrigger asChild>
+        <Button variant="outline">
+          <Target className="h-4 w-4 mr-2" />
+          Tailor for Job
+        </Button>
+      </DialogTrigger>
+      <DialogContent className="max-w-3xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Tailor for a Job</DialogTitle>
+          <DialogDescription>
+            Paste a job description to see which keywords your saved resume is
+            missing. Accepted rewrites go into a new resume version; this one
+            stays untouched.
+          </DialogDescription>
+        </DialogHeader>
+
+        {!analysis ? (
+          <div className="space-y-4">
+            <Textarea
+              placeholder="Paste the job description here..."
+              className="h-48"
+              value={jobDescription}
+              onChange={(e) => setJobDescription(e.target.value)}
+            />
+            <DialogFooter>
+              <Button onClick={handleAnalyze} disabled={isAnalyzing}>
+                {isAnalyzing ? (
+                  <>
+                    <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                    Analyzing...
+                  </>
+                ) : (
+                  "Analyze Job Description"
+                )}
+              </Button>
+            </DialogFooter>
+          </div>
+        ) : (
+          <div className="space-y-6">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <h4 className="font-medium mb-2">Keywords you cover</h4>
+                <div className="flex flex-wrap gap-1">
+                  {analysis.matchedKeywords.map((keyword) => (
+                    <Badge key={keyword} variant="secondary">
+                      {keyword}
+                    </Badge>
+                  ))}
+                </div>
+              </div>
+              <div>
+                <h4 className="font-medium mb-2">Missing keywords</h4>
+                <div className="flex flex-wrap gap-1">
+                  {analysis.missingKeywords.map((keyword) => (
+                    <Badge key={keyword} variant="destructive">
+                      {keyword}
+                    </Badge>
+                  ))}
+                </div>
+              </div>
+            </div>
+
+            {analysis.summary && (
+              <div className="space-y-2 p-4 border rounded-lg">
+                <div className="flex items-center space-x-2">
+                  <input
+                    type="checkbox"
+                    id="tailor-summary"
+                    checked={useSummary}
+                    onChange={(e) => setUseSummary(e.target.checked)}
+                  />
+                  <Label htmlFor="tailor-summary">Use tailored summary</Label>
+                </div>
+                <p className="text-sm">{analysis.summary}</p>
+              </div>
+            )}
+
+            {analysis.experience.map((suggestion) => (
+              <div
+                key={suggestion.index}
+                className="space-y-2 p-4 border rounded-lg"
+              >
+                <div className="flex items-center space-x-2">
+                  <input
+                    type="checkbox"
+                    id={`tailor-entry-${suggestion.index}`}
+                    checked={acceptedEntries.includes(suggestion.index)}
+                    onChange={() => toggleEntry(suggestion.index)}
+                  />
+                  <Label htmlFor={`tailor-entry-${suggestion.index}`}>
+                    {suggestion.title} @ {suggestion.organization}
+                  </Label>
+                </div>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-sm">
+                  <div>
+                    <p className="text-xs font-medium text-muted-foreground mb-1">
+                      Current
+                    </p>
+                    <ul className="list-disc pl-4 space-y-1">
+                      {suggestion.original.map((bullet, i) => (
+                        <li key={i}>{bullet}</li>
+                      ))}
+                    </ul>
+                  </div>
+                  <div>
+                    <p className="text-xs font-medium text-muted-foreground mb-1">
+                      Suggested
+                    </p>
+                    <ul className="list-disc pl-4 space-y-1 text-green-700">
+                      {suggestion.bullets.map((bullet, i) => (
+                        <li key={i}>{bullet}</li>
+                      ))}
+                    </ul>
+                  </div>
+                </div>
+                {suggestion.reason && (
+                  <p className="text-xs text-muted-foreground">{suggestion.reason}</p>
+                )}
+              </div>
+            ))}
+
+            <DialogFooter>
+              <Button variant="outline" onClick={() => setAnalysis(undefined)}>
+                Back
+              </Button>
+              <Button onClick={handleCreate} disabled={isCreating}>
+                {isCreating ? (
+                  <>
+                    <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                    Creating...
+                  </>
+                ) : (
+                  "Create Tailored Version"
+                )}
+              </Button>
+            </DialogFooter>
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+}
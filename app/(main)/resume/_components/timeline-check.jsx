@@ -0,0 +1,65 @@
+"use client";
+
+import { useState } from "react";
+import { AlertTriangle, CheckCircle2 } from "lucide-react";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "@/components/ui/select";
+import { checkChronology, GAP_THRESHOLD_MONTHS } from "@/app/lib/chronology";
+
+const gapOptions = [3, GAP_THRESHOLD_MONTHS, 12, 24];
+
+// Overlapping jobs, unexplained gaps and tense problems in the work history,
+// recomputed as the form changes. The gap threshold is a per-session choice.
+export default function TimelineCheck({ formData }) {
+  const [gapMonths, setGapMonths] = useState(GAP_THRESHOLD_MONTHS);
+  const warnings = checkChronology(formData, { gapMonths });
+
+  return (
+    <div className="space-y-3 rounded-lg border p-4">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <h3 className="text-lg font-medium">Timeline Check</h3>
+        <div className="flex items-center gap-2 text-sm text-muted-foreground">
+          Flag gaps longer than
+          <Select
+            value={String(gapMonths)}
+            onValueChange={(value) => setGapMonths(Number(value))}
+          >
+            <SelectTrigger className="w-32">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {gapOptions.map((months) => (
+                <SelectItem key={months} value={String(months)}>
+                  {months} months
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+      </div>
+      {warnings.length ? (
+        <ul className="space-y-2">
+          {warnings.map((warning, index) => (
+            <li
+              key={index}
+              className="flex items-start gap-2 text-sm text-yellow-600"
+            >
+              <AlertTriangle className="h-4 w-4 mt-0.5 shrink-0" />
+              {warning.message}
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="flex items-center gap-2 text-sm text-muted-foreground">
+          <CheckCircle2 className="h-4 w-4 text-green-600" />
+          No overlaps, gaps or tense issues in your work history
+        </p>
+      )}
+    </div>
+  );
+}
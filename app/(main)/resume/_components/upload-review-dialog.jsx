@@ -0,0 +1,465 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { AlertTriangle } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Textarea } from "@/components/ui/textarea";
+import { RadioGroup, RadioGroupItem } from "@/components/ui/radio-group";
+import MonthPicker from "./month-picker";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "@/components/ui/dialog";
+import { entryShapes, entrySections } from "@/app/lib/resume-sections";
+import { contactFields } from "@/app/lib/contact-info";
+import { MONTH_PATTERN } from "@/app/lib/entry-dates";
+import { entryBullets } from "@/app/lib/helper";
+
+// Every extracted item starts out selected
+const selectAll = (content) => ({
+  contactInfo: Object.keys(content.contactInfo || {}).length > 0,
+  summary: Boolean(content.summary),
+  skills: Boolean(content.skills),
+  ...Object.fromEntries(
+    entrySections.map(({ key }) => [key, (content[key] || []).map(() => true)])
+  ),
+  customSections: (content.customSections || []).map((section) =>
+    section.entries.map(() => true)
+  ),
+});
+
+// Blank bullet lines are dropped and the rest trimmed, as on apply
+const prepareEntry = (entry) =>
+  Array.isArray(entry.bullets)
+    ? { ...entry, bullets: entryBullets(entry).map((bullet) => bullet.trim()) }
+    : entry;
+
+// Validation messages by field for an entry as it would be applied; the
+// builder can not save entries that fail their section's schema
+const entryIssues = (entry, shape) => {
+  const result = entryShapes[shape].schema.safeParse(prepareEntry(entry));
+  if (result.success) return {};
+  return Object.fromEntries(
+    [...result.error.issues].reverse().map((issue) => [issue.path[0], issue.message])
+  );
+};
+
+// One extracted entry with a checkbox and editable fields for its shape
+function ReviewEntry({ id, entry, shape, checked, onToggle, onChange, fieldClass }) {
+  const fields = entryShapes[shape].fields;
+  const issues = checked ? entryIssues(entry, shape) : {};
+  const issueList = fields
+    .filter((field) => issues[field.name])
+    .map((field) => `${field.label}: ${issues[field.name]}`);
+  // Fields that would block saving are marked in red, over any warning
+  const classFor = (field) => (issues[field] ? "border-red-500" : fieldClass(field));
+
+  return (
+    <div
+      className={`space-y-2 rounded-lg border p-4 ${checked ? "" : "opacity-50"} ${
+        issueList.length ? "border-red-500" : ""
+      }`}
+    >
+      <div className="flex items-center space-x-2">
+        <input type="checkbox" id={id} checked={checked} onChange={onToggle} />
+        <Label htmlFor={id}>
+          {entry.title || "Untitled"}
+          {entry.organization ? ` @ ${entry.organization}` : ""}
+        </Label>
+      </div>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+        {fields
+          .filter((field) => !["textarea", "bullets"].includes(field.type))
+          .map((field) => (
+            <div key={field.name} className="space-y-1">
+              <Label className="text-xs text-muted-foreground">{field.label}</Label>
+              {field.type === "month" ? (
+                <>
+                  <MonthPicker
+                    value={entry[field.name]}
+                    disabled={field.name === "endDate" && entry.current}
+                    className={classFor(field.name)}
+                    onChange={(value) => onChange(field.name, value)}
+                  />
+                  {/* Text that could not be read as a month is shown for reference */}
+                  {entry[field.name] && !MONTH_PATTERN.test(entry[field.name]) && (
+                    <p className="text-xs text-yellow-600">
+                      Found &quot;{entry[field.name]}&quot;
+                    </p>
+                  )}
+                </>
+              ) : (
+                <Input
+                  value={entry[field.name] || ""}
+                  className={classFor(field.name)}
+                  onChange={(e) => onChange(field.name, e.target.value)}
+                />
+              )}
+            </div>
+          ))}
+      </div>
+      {shape === "dated" && (
+        <div className="flex items-center space-x-2">
+          <input
+            type="checkbox"
+            id={`${id}-current`}
+            checked={entry.current}
+            onChange={(e) => onChange("current", e.target.checked)}
+          />
+          <Label htmlFor={`${id}-current`} className="text-xs">
+            Current
+          </Label>
+        </div>
+      )}
+      {fields
+        .filter((field) => field.type === "textarea")
+        .map((field) => (
+          <Textarea
+            key={field.name}
+            className={`h-24 ${classFor(field.name)}`}
+            value={entry[field.name] || ""}
+            placeholder={field.label}
+            onChange={(e) => onChange(field.name, e.target.value)}
+          />
+        ))}
+      {/* Bullets are edited one per line; blank lines are dropped on apply */}
+      {fields
+        .filter((field) => field.type === "bullets")
+        .map((field) => (
+          <Textarea
+            key={field.name}
+            className={`h-24 ${classFor(field.name)}`}
+            value={(entry[field.name] || []).join("\n")}
+            placeholder={`${field.label}, one per line`}
+            onChange={(e) => onChange(field.name, e.target.value.split("\n"))}
+          />
+        ))}
+      {issueList.length > 0 && (
+        <ul className="space-y-1 text-sm text-red-500">
+          {issueList.map((issue) => (
+            <li key={issue}>{issue}</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default function UploadReviewDialog({
+  open,
+  onOpenChange,
+  content,
+  warnings = [],
+  ocr,
+  defaultMode = "merge",
+  onApply,
+}) {
+  const [draft, setDraft] = useState(null);
+  const [selected, setSelected] = useState(null);
+  const [mode, setMode] = useState(defaultMode);
+
+  useEffect(() => {
+    if (content) {
+      setDraft(content);
+      setSelected(selectAll(content));
+      setMode(defaultMode);
+    }
+  }, [content, defaultMode]);
+
+  if (!draft || !selected) return null;
+
+  const hasWarning = (section, field, index) =>
+    warnings.some(
+      (warning) =>
+        warning.section === section &&
+        warning.field === field &&
+        (index === undefined || warning.index === index)
+    );
+
+  // Problems with the document as a whole rather than with one field
+  const documentWarnings = warnings.filter((warning) => warning.section === "upload");
+
+  const fieldClass = (section, field, index) =>
+    hasWarning(section, field, index) ? "border-yellow-500" : "";
+
+  const updateEntry = (section, index, field, value) => {
+    setDraft((current) => ({
+      ...current,
+      [section]: current[section].map((entry, entryIndex) =>
+        entryIndex === index ? { ...entry, [field]: value } : entry
+      ),
+    }));
+  };
+
+  const toggleEntry = (section, index) => {
+    setSelected((current) => ({
+      ...current,
+      [section]: current[section].map((value, entryIndex) =>
+        entryIndex === index ? !value : value
+      ),
+    }));
+  };
+
+  const updateCustomEntry = (sectionIndex, index, field, value) => {
+    setDraft((current) => ({
+      ...current,
+      customSections: current.customSections.map((section, customIndex) =>
+        customIndex === sectionIndex
+          ? {
+              ...section,
+              entries: section.entries.map((entry, entryIndex) =>
+                entryIndex === index ? { ...entry, [field]: value } : entry
+              ),
+            }
+          : section
+      ),
+    }));
+  };
+
+  const toggleCustomEntry = (sectionIndex, index) => {
+    setSelected((current) => ({
+      ...current,
+      customSections: current.customSections.map((values, customIndex) =>
+        customIndex === sectionIndex
+          ? values.map((value, entryIndex) => (entryIndex === index ? !value : value))
+          : values
+      ),
+    }));
+  };
+
+  // Selected entries that would leave the resume unable to save
+  const invalidCount = [
+    ...entrySections.flatMap(({ key, shape }) =>
+      (draft[key] || []).filter(
+        (entry, index) =>
+          selected[key][index] && Object.keys(entryIssues(entry, shape)).length
+      )
+    ),
+    ...(draft.customSections || []).flatMap((section, sectionIndex) =>
+      section.entries.filter(
+        (entry, index) =>
+          selected.customSections[sectionIndex][index] &&
+          Object.keys(entryIssues(entry, "custom")).length
+      )
+    ),
+  ].length;
+
+  const handleApply = () => {
+    onApply(
+      {
+        // Blank fields are dropped so they do not fail URL/email validation
+        contactInfo: selected.contactInfo
+          ? Object.fromEntries(
+              Object.entries(draft.contactInfo || {}).filter(([, value]) => value)
+            )
+          : undefined,
+        summary: selected.summary ? draft.summary : "",
+        skills: selected.skills ? draft.skills : "",
+        ...Object.fromEntries(
+          entrySections.map(({ key }) => [
+            key,
+            (draft[key] || [])
+              .filter((_, index) => selected[key][index])
+              .map(prepareEntry),
+          ])
+        ),
+        customSections: (draft.customSections || [])
+          .map((section, sectionIndex) => ({
+            ...section,
+            entries: section.entries.filter(
+              (_, index) => selected.customSections[sectionIndex][index]
+            ),
+          }))
+          .filter((section) => section.entries.length),
+        layout: draft.layout,
+      },
+      mode
+    );
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-3xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Review Extracted Resume</DialogTitle>
+          <DialogDescription>
+            Untick anything you do not want, fix fields that were read wrongly,
+            then choose how to apply it. Fields marked in yellow could not be
+            filled in reliably.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-6">
+          {documentWarnings.map((warning, index) => (
+            <div
+              key={index}
+              className="flex items-start gap-2 rounded-lg border border-yellow-500 p-4 text-sm text-yellow-600"
+            >
+              <AlertTriangle className="h-4 w-4 mt-0.5 shrink-0" />
+              <p>{warning.message}</p>
+            </div>
+          ))}
+
+          {ocr && (
+            <div
+              className={`flex items-start gap-2 rounded-lg border p-4 text-sm ${
+                ocr.confidence < 80 ? "border-yellow-500 text-yellow-600" : ""
+              }`}
+            >
+              <AlertTriangle className="h-4 w-4 mt-0.5 shrink-0" />
+              <p>
+                Page {ocr.pages.join(", ")} of your PDF looked like a scan and
+                was read with OCR (confidence {ocr.confidence}%).
+                {ocr.confidence < 80 &&
+                  " The text may contain recognition errors, so check every field carefully."}
+              </p>
+            </div>
+          )}
+
+          <div className="space-y-2 rounded-lg border p-4">
+            <div className="flex items-center space-x-2">
+              <input
+                type="checkbox"
+                id="review-contact"
+                checked={selected.contactInfo}
+                onChange={(e) =>
+                  setSelected({ ...selected, contactInfo: e.target.checked })
+                }
+              />
+              <Label htmlFor="review-contact">Contact Information</Label>
+            </div>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+              {contactFields.map(({ name: key, label }) => (
+                <div key={key} className="space-y-1">
+                  <Label className="text-xs text-muted-foreground">
+                    {label}
+                  </Label>
+                  <Input
+                    value={draft.contactInfo?.[key] || ""}
+                    className={fieldClass("contactInfo", key)}
+                    onChange={(e) =>
+                      setDraft({
+                        ...draft,
+                        contactInfo: { ...draft.contactInfo, [key]: e.target.value },
+                      })
+                    }
+                  />
+                </div>
+              ))}
+            </div>
+          </div>
+
+          {["summary", "skills"].map((field) => (
+            <div key={field} className="space-y-2 rounded-lg border p-4">
+              <div className="flex items-center space-x-2">
+                <input
+                  type="checkbox"
+                  id={`review-${field}`}
+                  checked={selected[field]}
+                  disabled={!content[field]}
+                  onChange={(e) =>
+                    setSelected({ ...selected, [field]: e.target.checked })
+                  }
+                />
+                <Label htmlFor={`review-${field}`}>
+                  {field === "summary" ? "Professional Summary" : "Skills"}
+                </Label>
+              </div>
+              {content[field] ? (
+                <Textarea
+                  className="h-24"
+                  value={draft[field]}
+                  onChange={(e) => setDraft({ ...draft, [field]: e.target.value })}
+                />
+              ) : (
+                <p className="flex items-center gap-2 text-sm text-yellow-600">
+                  <AlertTriangle className="h-4 w-4" />
+                  Nothing was found for this section
+                </p>
+              )}
+            </div>
+          ))}
+
+          {entrySections.map(({ key, heading, shape }) =>
+            draft[key]?.length ? (
+              <div key={key} className="space-y-3">
+                <h3 className="font-medium">{heading}</h3>
+                {draft[key].map((entry, index) => (
+                  <ReviewEntry
+                    key={index}
+                    id={`review-${key}-${index}`}
+                    entry={entry}
+                    shape={shape}
+                    checked={selected[key][index]}
+                    onToggle={() => toggleEntry(key, index)}
+                    onChange={(field, value) => updateEntry(key, index, field, value)}
+                    fieldClass={(field) => fieldClass(key, field, index)}
+                  />
+                ))}
+              </div>
+            ) : null
+          )}
+
+          {(draft.customSections || []).map((section, sectionIndex) => (
+            <div key={section.id} className="space-y-3">
+              <h3 className="font-medium">{section.title}</h3>
+              {section.entries.map((entry, index) => (
+                <ReviewEntry
+                  key={index}
+                  id={`review-${section.id}-${index}`}
+                  entry={entry}
+                  shape="custom"
+                  checked={selected.customSections[sectionIndex][index]}
+                  onToggle={() => toggleCustomEntry(sectionIndex, index)}
+                  onChange={(field, value) =>
+                    updateCustomEntry(sectionIndex, index, field, value)
+                  }
+                  fieldClass={() => ""}
+                />
+              ))}
+            </div>
+          ))}
+
+          <div className="space-y-2 rounded-lg border p-4">
+            <Label>How should this be applied?</Label>
+            <RadioGroup value={mode} onValueChange={setMode}>
+              <div className="flex items-center space-x-2">
+                <RadioGroupItem value="merge" id="review-merge" />
+                <Label htmlFor="review-merge" className="font-normal">
+                  Merge: keep my existing entries and add the new ones
+                </Label>
+              </div>
+              <div className="flex items-center space-x-2">
+                <RadioGroupItem value="replace" id="review-replace" />
+                <Label htmlFor="review-replace" className="font-normal">
+                  Replace: overwrite the sections that were imported
+                </Label>
+              </div>
+            </RadioGroup>
+          </div>
+        </div>
+
+        <DialogFooter className="items-center">
+          {invalidCount > 0 && (
+            <p className="text-sm text-red-500 sm:mr-auto">
+              Fix or untick {invalidCount}{" "}
+              {invalidCount === 1 ? "entry" : "entries"} marked in red to apply
+            </p>
+          )}
+          <Button variant="outline" onClick={() => onOpenChange(false)}>
+            Cancel
+          </Button>
+          <Button onClick={handleApply} disabled={invalidCount > 0}>
+            Apply to Resume
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -4,7 +4,7 @@ export default function NewResumePage() {
   return (
     <div className="container mx-auto py-6">
       <h1 className="text-4xl font-bold gradient-title mb-6">Create New Resume</h1>
-      <ResumeBuilder initialContent="" />
+      <ResumeBuilder />
     </div>
   );
-} 
\ No newline at end of file
+}
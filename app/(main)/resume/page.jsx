@@ -1,17 +1,17 @@
-import { getResume } from "@/actions/resume";
+import { getResumes } from "@/actions/resume";
 import Link from "next/link";
 import { Plus } from "lucide-react";
 import { Button } from "@/components/ui/button";
-import ResumeBuilder from "./_components/resume-builder";
 import ResumeList from "./_components/resume-list";
+import AtsPanel from "./_components/ats-panel";
 
 export default async function ResumePage() {
-  const resume = await getResume();
+  const resumes = await getResumes();
 
   return (
     <div className="container mx-auto py-6">
       <div className="flex flex-col md:flex-row gap-2 items-center justify-between mb-5">
-        <h1 className="text-6xl font-bold gradient-title">My Resume</h1>
+        <h1 className="text-6xl font-bold gradient-title">My Resumes</h1>
         <Link href="/resume/new">
           <Button>
             <Plus className="h-4 w-4 mr-2" />
@@ -20,7 +20,9 @@ export default async function ResumePage() {
         </Link>
       </div>
 
-      <ResumeList resume={resume} />
+      {resumes.length > 0 && <AtsPanel resumes={resumes} />}
+
+      <ResumeList resumes={resumes} />
     </div>
   );
 }
@@ -0,0 +1,89 @@
+import { NextResponse } from "next/server";
+import { auth } from "@clerk/nextjs/server";
+import { db } from "@/lib/prisma";
+import { renderPdf } from "@/lib/pdf";
+import { markdownToDocx } from "@/lib/docx";
+import { toFileName } from "@/lib/utils";
+import { markdownToHtml, renderDocumentHtml } from "@/app/lib/document-html";
+
+const coverLetterStyles = `
+  body {
+    font-size: 11pt;
+    line-height: 1.6;
+  }
+  p {
+    margin: 0 0 10pt;
+  }
+`;
+
+// Download a cover letter, e.g. /api/cover-letter/export?id=...&format=pdf (or docx)
+export async function GET(req) {
+  try {
+    const { userId } = await auth();
+    if (!userId) {
+      return new NextResponse("Unauthorized", { status: 401 });
+    }
+
+    const id = req.nextUrl.searchParams.get("id");
+    const format = req.nextUrl.searchParams.get("format") || "pdf";
+    if (!id) {
+      return new NextResponse("Cover letter id is required", { status: 400 });
+    }
+
+    const user = await db.user.findUnique({
+      where: { clerkUserId: userId },
+    });
+
+    if (!user) {
+      return new NextResponse("User not found", { status: 404 });
+    }
+
+    const coverLetter = await db.coverLetter.findUnique({
+      where: {
+        id,
+        userId: user.id,
+      },
+    });
+
+    if (!coverLetter) {
+      return new NextResponse("Cover letter not found", { status: 404 });
+    }
+
+    const title = `Cover Letter - ${coverLetter.jobTitle} at ${coverLetter.companyName}`;
+    const fileName = toFileName(title, "cover-letter");
+
+    switch (format) {
+      case "pdf": {
+        const html = renderDocumentHtml({
+          title,
+          body: markdownToHtml(coverLetter.content),
+          styles: coverLetterStyles,
+        });
+        const pdf = await renderPdf(html);
+
+        return new NextResponse(pdf, {
+          headers: {
+            "Content-Type": "application/pdf",
+            "Content-Disposition": `attachment; filename="${fileName}.pdf"`,
+          },
+        });
+      }
+      case "docx": {
+        const docx = await markdownToDocx(coverLetter.content, { title });
+
+        return new NextResponse(docx, {
+          headers: {
+            "Content-Type":
+              "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+            "Content-Disposition": `attachment; filename="${fileName}.docx"`,
+          },
+        });
+      }
+      default:
+        return new NextResponse(`Unsupported export format: ${format}`, { status: 400 });
+    }
+  } catch (error) {
+    console.error("Cover letter export error:", error);
+    return new NextResponse(error.message || "Failed to export cover letter", { status: 500 });
+  }
+}
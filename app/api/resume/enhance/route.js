@@ -1,5 +1,11 @@
 import { NextResponse } from "next/server";
+import { auth } from "@clerk/nextjs/server";
 import { GoogleGenerativeAI } from "@google/generative-ai";
+import { db } from "@/lib/prisma";
+import { descriptionToBullets, entryBullets } from "@/app/lib/helper";
+
+const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+const model = genAI.getGenerativeModel({ model: "gemini-1.5-pro" });
 
 // Simple rate limiting implementation
 const RATE_LIMIT_WINDOW = 60000; // 1 minute
@@ -29,11 +35,32 @@ function isRateLimited() {
 // Helper function to delay execution
 const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
+const isRetryableError = (error) =>
+  /429|Too Many Requests|503|overloaded|Service Unavailable/i.test(error.message || "");
+
+// Gemini call with exponential backoff on rate limit and overload errors
+async function generateContentWithRetry(prompt, retries = 3) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await model.generateContent(prompt);
+    } catch (error) {
+      if (attempt >= retries || !isRetryableError(error)) throw error;
+      await delay(2000 * 2 ** attempt);
+    }
+  }
+}
+
 export async function POST(req) {
   try {
-    const { content, type } = await req.json();
+    const { userId } = await auth();
+    if (!userId) {
+      return new NextResponse("Unauthorized", { status: 401 });
+    }
+
+    const body = await req.json();
+    const { content, type } = body;
 
-    if (!content) {
+    if (type && !content) {
       return new NextResponse("Content is required", { status: 400 });
     }
 
@@ -51,6 +78,22 @@ export async function POST(req) {
       }
     }
 
+    // Without a type the whole resume form was posted
+    if (!type) {
+      const user = await db.user.findUnique({
+        where: { clerkUserId: userId },
+        include: {
+          industryInsight: true,
+        },
+      });
+
+      if (!user) {
+        return new NextResponse("User not found", { status: 404 });
+      }
+
+      return enhanceResume(body, user.industryInsight);
+    }
+
     let prompt = "";
     switch (type) {
       case "summary":
@@ -72,12 +115,7 @@ Return only the improved skills text without any additional formatting or explan
     }
 
     try {
-      // Initialize the Gemini API
-      const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-      const model = genAI.getGenerativeModel({ model: "gemini-1.5-pro" });
-      
-      // Generate content
-      const result = await model.generateContent(prompt);
+      const result = await generateContentWithRetry(prompt);
       const response = await result.response;
       const improvedContent = response.text();
 
@@ -107,6 +145,108 @@ Return only the improved skills text without any additional formatting or explan
   }
 }
 
+// Enhances the whole resume form. Progress is streamed back as
+// newline-delimited JSON so the builder can show which entry is being
+// rewritten; the last line carries the enhanced form values.
+function enhanceResume(formData, industryInsight) {
+  const keywords = industryInsight?.topSkills || [];
+  const requirements = industryInsight?.recommendedSkills || [];
+  const { summary, skills } = formData;
+  const experience = formData.experience || [];
+  const education = formData.education || [];
+  const projects = formData.projects || [];
+  const volunteer = formData.volunteer || [];
+
+  const total =
+    (summary ? 1 : 0) +
+    (skills ? 1 : 0) +
+    experience.length +
+    education.length +
+    projects.length +
+    volunteer.length;
+
+  const encoder = new TextEncoder();
+  const stream = new ReadableStream({
+    async start(controller) {
+      const send = (event) =>
+        controller.enqueue(encoder.encode(`${JSON.stringify(event)}\n`));
+
+      let completed = 0;
+      let failed = 0;
+      const report = (section) => (event) => {
+        if (event.status !== "started") {
+          completed++;
+          if (event.status === "failed") failed++;
+        }
+        send({ type: "progress", section, completed, total, ...event });
+      };
+
+      const enhanceText = async (section, value) => {
+        if (!value) return value;
+        const reportText = report(section);
+        reportText({ index: 0, status: "started" });
+        try {
+          const enhanced = await enhanceSection(value, section, keywords, requirements);
+          reportText({ index: 0, status: "done", value: enhanced });
+          return enhanced;
+        } catch (error) {
+          console.error(`${section} enhancement error:`, error);
+          reportText({ index: 0, status: "failed", error: error.message });
+          return value;
+        }
+      };
+
+      try {
+        send({ type: "start", total });
+
+        const content = {
+          ...formData,
+          summary: await enhanceText("summary", summary),
+          skills: await enhanceText("skills", skills),
+          experience: await enhanceExperience(
+            experience,
+            keywords,
+            requirements,
+            report("experience")
+          ),
+          education: await enhanceEducation(
+            education,
+            keywords,
+            requirements,
+            report("education")
+          ),
+          projects: await enhanceProjects(
+            projects,
+            keywords,
+            requirements,
+            report("projects")
+          ),
+          volunteer: await enhanceVolunteer(
+            volunteer,
+            keywords,
+            requirements,
+            report("volunteer")
+          ),
+        };
+
+        send({ type: "done", content, failed });
+      } catch (error) {
+        console.error("Resume enhancement error:", error);
+        send({ type: "error", message: error.message || "Failed to enhance resume" });
+      } finally {
+        controller.close();
+      }
+    },
+  });
+
+  return new NextResponse(stream, {
+    headers: {
+      "Content-Type": "application/x-ndjson",
+      "Cache-Control": "no-cache",
+    },
+  });
+}
+
 async function enhanceSection(content, type, keywords, requirements) {
   const prompt = `
     As an expert resume writer, enhance the following ${type} to make it more impactful and ATS-friendly.
@@ -135,15 +275,42 @@ async function enhanceSection(content, type, keywords, requirements) {
   return response.text().trim();
 }
 
-async function enhanceExperience(experience, keywords, requirements) {
-  const enhancedExperience = [];
-  
-  for (const exp of experience) {
-    const prompt = `
-      As an expert resume writer, enhance the following work experience description to make it more impactful and ATS-friendly.
-      Company: ${exp.company}
-      Position: ${exp.position}
-      Current description: "${exp.description}"
+// Rewrites the entries one at a time. `report` is told when each entry
+// starts and finishes; an entry that still fails after retries keeps its
+// original bullets so the rest of the resume is not lost.
+async function enhanceEntries(entries, report, buildPrompt) {
+  const enhanced = [];
+
+  for (const [index, entry] of entries.entries()) {
+    report({ index, status: "started", entry });
+    try {
+      const result = await generateContentWithRetry(buildPrompt(entry));
+      const bullets = descriptionToBullets(result.response.text());
+      if (!bullets.length) throw new Error("No bullet points were returned");
+      enhanced.push({ ...entry, bullets });
+      report({ index, status: "done", entry: enhanced[index] });
+    } catch (error) {
+      console.error("Entry enhancement error:", error);
+      enhanced.push(entry);
+      report({ index, status: "failed", entry, error: error.message });
+    }
+  }
+
+  return enhanced;
+}
+
+const bulletList = (entry) =>
+  entryBullets(entry)
+    .map((bullet) => `      - ${bullet}`)
+    .join("\n");
+
+async function enhanceExperience(experience, keywords, requirements, report) {
+  return enhanceEntries(experience, report, (exp) => `
+      As an expert resume writer, enhance the bullet points of the following work experience to make them more impactful and ATS-friendly.
+      Company: ${exp.organization}
+      Position: ${exp.title}
+      Current bullet points:
+${bulletList(exp)}
 
       Industry-specific keywords to include: ${keywords.join(", ")}
       Industry requirements to address: ${requirements.join(", ")}
@@ -160,30 +327,17 @@ async function enhanceExperience(experience, keywords, requirements) {
       9. Use present tense for current roles, past tense for previous roles
       10. Avoid generic statements and clichés
 
-      Return only the enhanced description without any additional text or explanations.
-    `;
-
-    const result = await generateContentWithRetry(prompt);
-    const response = result.response;
-    
-    enhancedExperience.push({
-      ...exp,
-      description: response.text().trim(),
-    });
-  }
-
-  return enhancedExperience;
+      Return only the enhanced bullet points, one per line starting with "- ", without any additional text or explanations.
+    `);
 }
 
-async function enhanceEducation(education, keywords, requirements) {
-  const enhancedEducation = [];
-  
-  for (const edu of education) {
-    const prompt = `
-      As an expert resume writer, enhance the following education description to make it more impactful and ATS-friendly.
-      Institution: ${edu.institution}
-      Degree: ${edu.degree}
-      Current description: "${edu.description}"
+async function enhanceEducation(education, keywords, requirements, report) {
+  return enhanceEntries(education, report, (edu) => `
+      As an expert resume writer, enhance the bullet points of the following education entry to make them more impactful and ATS-friendly.
+      Institution: ${edu.organization}
+      Degree: ${edu.title}
+      Current bullet points:
+${bulletList(edu)}
 
       Industry-specific keywords to include: ${keywords.join(", ")}
       Industry requirements to address: ${requirements.join(", ")}
@@ -200,29 +354,16 @@ async function enhanceEducation(education, keywords, requirements) {
       9. Avoid generic statements
       10. Include GPA if above 3.0
 
-      Return only the enhanced description without any additional text or explanations.
-    `;
-
-    const result = await generateContentWithRetry(prompt);
-    const response = result.response;
-    
-    enhancedEducation.push({
-      ...edu,
-      description: response.text().trim(),
-    });
-  }
-
-  return enhancedEducation;
+      Return only the enhanced bullet points, one per line starting with "- ", without any additional text or explanations.
+    `);
 }
 
-async function enhanceProjects(projects, keywords, requirements) {
-  const enhancedProjects = [];
-  
-  for (const project of projects) {
-    const prompt = `
-      As an expert resume writer, enhance the following project description to make it more impactful and ATS-friendly.
-      Project: ${project.name}
-      Current description: "${project.description}"
+async function enhanceProjects(projects, keywords, requirements, report) {
+  return enhanceEntries(projects, report, (project) => `
+      As an expert resume writer, enhance the bullet points of the following project to make them more impactful and ATS-friendly.
+      Project: ${project.title}
+      Current bullet points:
+${bulletList(project)}
 
       Industry-specific keywords to include: ${keywords.join(", ")}
       Industry requirements to address: ${requirements.join(", ")}
@@ -239,17 +380,32 @@ async function enhanceProjects(projects, keywords, requirements) {
       9. Use past tense
       10. Avoid generic statements
 
-      Return only the enhanced description without any additional text or explanations.
-    `;
+      Return only the enhanced bullet points, one per line starting with "- ", without any additional text or explanations.
+    `);
+}
+
+async function enhanceVolunteer(volunteer, keywords, requirements, report) {
+  return enhanceEntries(volunteer, report, (role) => `
+      As an expert resume writer, enhance the bullet points of the following volunteer role to make them more impactful and ATS-friendly.
+      Organization: ${role.organization}
+      Role: ${role.title}
+      Current bullet points:
+${bulletList(role)}
 
-    const result = await generateContentWithRetry(prompt);
-    const response = result.response;
-    
-    enhancedProjects.push({
-      ...project,
-      description: response.text().trim(),
-    });
-  }
+      Industry-specific keywords to include: ${keywords.join(", ")}
+      Industry requirements to address: ${requirements.join(", ")}
+
+      Requirements:
+      1. Use strong action verbs
+      2. Include specific metrics and quantifiable results
+      3. Highlight skills that transfer to paid roles
+      4. Keep it concise but detailed
+      5. Focus on impact on the organization and the people it serves
+      6. Use industry-specific keywords naturally
+      7. Ensure ATS compatibility
+      8. Use present tense for current roles, past tense for previous roles
+      9. Avoid generic statements and clichés
 
-  return enhancedProjects;
-} 
\ No newline at end of file
+      Return only the enhanced bullet points, one per line starting with "- ", without any additional text or explanations.
+    `);
+}
@@ -0,0 +1,78 @@
+import { NextResponse } from "next/server";
+import { auth } from "@clerk/nextjs/server";
+import { db } from "@/lib/prisma";
+import { renderPdf } from "@/lib/pdf";
+import { markdownToDocx } from "@/lib/docx";
+import { toFileName } from "@/lib/utils";
+import { renderResumeHtml } from "@/app/lib/resume-themes";
+
+// Download a saved resume, e.g. /api/resume/export?id=...&format=pdf (or docx)
+export async function GET(req) {
+  try {
+    const { userId } = await auth();
+    if (!userId) {
+      return new NextResponse("Unauthorized", { status: 401 });
+    }
+
+    const id = req.nextUrl.searchParams.get("id");
+    const format = req.nextUrl.searchParams.get("format") || "pdf";
+    if (!id) {
+      return new NextResponse("Resume id is required", { status: 400 });
+    }
+
+    const user = await db.user.findUnique({
+      where: { clerkUserId: userId },
+    });
+
+    if (!user) {
+      return new NextResponse("User not found", { status: 404 });
+    }
+
+    const resume = await db.resume.findUnique({
+      where: {
+        id,
+        userId: user.id,
+      },
+    });
+
+    if (!resume) {
+      return new NextResponse("Resume not found", { status: 404 });
+    }
+
+    const fileName = toFileName(resume.name, "resume");
+
+    switch (format) {
+      case "pdf": {
+        const html = renderResumeHtml({
+          content: resume.content,
+          theme: resume.theme,
+          title: resume.name,
+        });
+        const pdf = await renderPdf(html);
+
+        return new NextResponse(pdf, {
+          headers: {
+            "Content-Type": "application/pdf",
+            "Content-Disposition": `attachment; filename="${fileName}.pdf"`,
+          },
+        });
+      }
+      case "docx": {
+        const docx = await markdownToDocx(resume.content, { title: resume.name });
+
+        return new NextResponse(docx, {
+          headers: {
+            "Content-Type":
+              "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+            "Content-Disposition": `attachment; filename="${fileName}.docx"`,
+          },
+        });
+      }
+      default:
+        return new NextResponse(`Unsupported export format: ${format}`, { status: 400 });
+    }
+  } catch (error) {
+    console.error("Resume export error:", error);
+    return new NextResponse(error.message || "Failed to export resume", { status: 500 });
+  }
+}
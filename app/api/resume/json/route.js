@@ -0,0 +1,104 @@
+import { NextResponse } from "next/server";
+import { auth } from "@clerk/nextjs/server";
+import { db } from "@/lib/prisma";
+import { toFileName } from "@/lib/utils";
+import { fromJsonResume, toJsonResume } from "@/app/lib/json-resume";
+
+// Export a saved resume as JSON Resume
+export async function GET(req) {
+  try {
+    const { userId } = await auth();
+    if (!userId) {
+      return new NextResponse("Unauthorized", { status: 401 });
+    }
+
+    const id = req.nextUrl.searchParams.get("id");
+    if (!id) {
+      return new NextResponse("Resume id is required", { status: 400 });
+    }
+
+    const user = await db.user.findUnique({
+      where: { clerkUserId: userId },
+    });
+
+    if (!user) {
+      return new NextResponse("User not found", { status: 404 });
+    }
+
+    const resume = await db.resume.findUnique({
+      where: {
+        id,
+        userId: user.id,
+      },
+    });
+
+    if (!resume) {
+      return new NextResponse("Resume not found", { status: 404 });
+    }
+
+    if (!resume.formData) {
+      return new NextResponse(
+        "This resume has no form data to export. Save it from the form first.",
+        { status: 400 }
+      );
+    }
+
+    const jsonResume = toJsonResume(resume.formData, {
+      targetRole: resume.targetRole,
+    });
+
+    return new NextResponse(JSON.stringify(jsonResume, null, 2), {
+      headers: {
+        "Content-Type": "application/json",
+        "Content-Disposition": `attachment; filename="${toFileName(resume.name, "resume")}.json"`,
+      },
+    });
+  } catch (error) {
+    console.error("Resume export error:", error);
+    return new NextResponse(error.message || "Internal Server Error", { status: 500 });
+  }
+}
+
+// Import a JSON Resume file into the builder's form values
+export async function POST(req) {
+  try {
+    const { userId } = await auth();
+    if (!userId) {
+      return new NextResponse("Unauthorized", { status: 401 });
+    }
+
+    const formData = await req.formData();
+    const file = formData.get("file");
+
+    if (!file) {
+      return new NextResponse("No file provided", { status: 400 });
+    }
+
+    if (file.size > 1024 * 1024) { // 1MB limit
+      return new NextResponse("File is too large. Maximum size is 1MB", { status: 400 });
+    }
+
+    let json;
+    try {
+      json = JSON.parse(await file.text());
+    } catch (error) {
+      return new NextResponse(`Invalid JSON file: ${error.message}`, { status: 400 });
+    }
+
+    if (!json || typeof json !== "object" || Array.isArray(json)) {
+      return new NextResponse("Invalid JSON Resume: expected an object", { status: 400 });
+    }
+
+    if (!json.basics && !json.work && !json.education) {
+      return new NextResponse(
+        "Invalid JSON Resume: no basics, work or education found",
+        { status: 400 }
+      );
+    }
+
+    return NextResponse.json({ content: fromJsonResume(json) });
+  } catch (error) {
+    console.error("Resume import error:", error);
+    return new NextResponse(error.message || "Internal Server Error", { status: 500 });
+  }
+}
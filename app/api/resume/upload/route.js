@@ -1,66 +1,40 @@
 import { NextResponse } from "next/server";
 import { auth } from "@clerk/nextjs/server";
 import { GoogleGenerativeAI } from "@google/generative-ai";
-import PDFParser from "pdf2json";
-import mammoth from "mammoth";
+import { normalizeParsedResume } from "@/lib/resume-import/normalize";
+import { extractContactInfo } from "@/lib/resume-import/contact";
+import { normalizePhone } from "@/app/lib/contact-info";
+import {
+  chunkResumeText,
+  estimateTokens,
+  extractJson,
+  mergeParsedChunks,
+} from "@/lib/resume-import/chunks";
+import { extractResumeText, MAX_UPLOAD_SIZE } from "@/lib/resume-import/extract-text";
 
 const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
 const model = genAI.getGenerativeModel({ model: "gemini-1.5-pro" });
 
-export async function POST(req) {
-  try {
-    const { userId } = await auth();
-    if (!userId) {
-      return new NextResponse("Unauthorized", { status: 401 });
-    }
-
-    const formData = await req.formData();
-    const file = formData.get("file");
-    
-    if (!file) {
-      return new NextResponse("No file provided", { status: 400 });
-    }
+function buildParsePrompt(text, index, total) {
+  const partNote =
+    total > 1
+      ? `This is part ${index + 1} of ${total} of a longer document. Only extract what appears in this part, and use an empty string or an empty list for sections that are not in it.`
+      : "";
 
-    let text = "";
-    const fileType = file.type;
-    const fileName = file.name.toLowerCase();
-
-    console.log("File type:", fileType);
-    console.log("File name:", fileName);
-
-    try {
-      // Check file type by both MIME type and file extension
-      if (fileType === "application/pdf" || fileName.endsWith(".pdf")) {
-        text = await extractTextFromPDF(file);
-      } else if (
-        fileType === "application/msword" || 
-        fileType === "application/vnd.openxmlformats-officedocument.wordprocessingml.document" ||
-        fileName.endsWith(".doc") || 
-        fileName.endsWith(".docx")
-      ) {
-        text = await extractTextFromDoc(file);
-      } else {
-        return new NextResponse("Unsupported file type. Please upload a PDF or Word document.", { status: 400 });
-      }
-    } catch (error) {
-      console.error("Error extracting text from file:", error);
-      return new NextResponse(`Failed to extract text from file: ${error.message}`, { status: 500 });
-    }
-
-    if (!text || text.trim().length === 0) {
-      return new NextResponse("No text could be extracted from the file", { status: 400 });
-    }
-
-    console.log("Extracted text length:", text.length);
-
-    // Use AI to parse and structure the resume content
-    const prompt = `
+  return `
       Parse the following resume text and extract the following sections in a structured format:
       1. Professional Summary
       2. Skills
-      3. Work Experience (with company, position, dates, and description)
-      4. Education (with institution, degree, dates, and description)
-      5. Projects (with name, dates, and description)
+      3. Work Experience (with company, position, dates, and bullet points)
+      4. Education (with institution, degree, dates, and bullet points)
+      5. Projects (with name, dates, and bullet points)
+      6. Certifications (with name, issuer, date, expiry date and credential URL)
+      7. Languages (with language and proficiency)
+      8. Awards (with title, awarder, date and description)
+      9. Publications (with title, publisher or venue, date, URL and description)
+      10. Volunteer Experience (with organization, role, dates, and bullet points)
+      11. Any other sections (with the section heading and its entries)
+      ${partNote}
 
       Resume text:
       ${text}
@@ -73,204 +47,201 @@ export async function POST(req) {
           {
             "company": "company name",
             "position": "position title",
-            "startDate": "start date",
-            "endDate": "end date",
-            "description": "job description"
+            "startDate": "start date as YYYY-MM",
+            "endDate": "end date as YYYY-MM, or Present",
+            "bullets": ["one achievement or responsibility per item"]
           }
         ],
         "education": [
           {
             "institution": "institution name",
             "degree": "degree name",
-            "startDate": "start date",
-            "endDate": "end date",
-            "description": "education description"
+            "startDate": "start date as YYYY-MM",
+            "endDate": "end date as YYYY-MM, or Present",
+            "bullets": ["one achievement, course or grade per item"]
           }
         ],
         "projects": [
           {
             "name": "project name",
-            "startDate": "start date",
-            "endDate": "end date",
-            "description": "project description"
+            "startDate": "start date as YYYY-MM",
+            "endDate": "end date as YYYY-MM, or Present",
+            "bullets": ["one feature or outcome per item"]
+          }
+        ],
+        "certifications": [
+          {
+            "name": "certification name",
+            "issuer": "issuing organization",
+            "date": "issue date",
+            "expiryDate": "expiry date",
+            "url": "credential URL"
+          }
+        ],
+        "languages": [
+          {
+            "language": "language name",
+            "proficiency": "Native, Fluent, Professional, Conversational or Basic"
+          }
+        ],
+        "awards": [
+          {
+            "title": "award name",
+            "awarder": "awarding organization",
+            "date": "date",
+            "description": "award description"
+          }
+        ],
+        "publications": [
+          {
+            "title": "publication title",
+            "publisher": "publisher, journal or conference",
+            "date": "publication date",
+            "url": "publication URL",
+            "description": "authors or summary"
+          }
+        ],
+        "volunteer": [
+          {
+            "organization": "organization name",
+            "role": "role title",
+            "startDate": "start date as YYYY-MM",
+            "endDate": "end date as YYYY-MM, or Present",
+            "bullets": ["one achievement or responsibility per item"]
+          }
+        ],
+        "otherSections": [
+          {
+            "title": "section heading",
+            "entries": [
+              {
+                "title": "entry title",
+                "subtitle": "organization or subtitle",
+                "date": "date",
+                "description": "entry description"
+              }
+            ]
           }
         ]
       }
     `;
+}
 
-    try {
-      console.log("Sending prompt to AI model");
-      const result = await model.generateContent(prompt);
-      const response = result.response;
-      const responseText = response.text();
-      console.log("AI response received, length:", responseText.length);
-      
-      let parsedContent;
-      try {
-        // Try to find JSON content within the response
-        const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-        if (!jsonMatch) {
-          console.error("No JSON found in response:", responseText);
-          throw new Error("Invalid response format from AI");
-        }
-        
-        parsedContent = JSON.parse(jsonMatch[0]);
-        
-        // Validate the structure of the parsed content
-        if (!parsedContent || typeof parsedContent !== 'object') {
-          throw new Error("Invalid response format from AI");
-        }
-        
-        // Ensure all required fields are present
-        const requiredFields = ['summary', 'skills', 'experience', 'education', 'projects'];
-        const missingFields = requiredFields.filter(field => !parsedContent[field]);
-        
-        if (missingFields.length > 0) {
-          console.error("Missing required fields:", missingFields);
-          throw new Error(`Missing required fields: ${missingFields.join(', ')}`);
-        }
-        
-        // Ensure arrays are properly formatted
-        if (!Array.isArray(parsedContent.experience)) {
-          parsedContent.experience = [];
-        }
-        if (!Array.isArray(parsedContent.education)) {
-          parsedContent.education = [];
-        }
-        if (!Array.isArray(parsedContent.projects)) {
-          parsedContent.projects = [];
-        }
-        
-        // Ensure string fields are strings
-        if (typeof parsedContent.summary !== 'string') {
-          parsedContent.summary = String(parsedContent.summary || '');
-        }
-        if (typeof parsedContent.skills !== 'string') {
-          parsedContent.skills = String(parsedContent.skills || '');
-        }
-        
-        console.log("Successfully parsed AI response");
-        return NextResponse.json({ content: parsedContent });
-      } catch (parseError) {
-        console.error("Error parsing AI response:", parseError);
-        console.log("Raw response:", responseText);
-        return new NextResponse(`Failed to parse AI response: ${parseError.message}`, { status: 500 });
-      }
-    } catch (error) {
-      console.error("Error parsing resume with AI:", error);
-      return new NextResponse(`Failed to parse resume content: ${error.message}`, { status: 500 });
-    }
-  } catch (error) {
-    console.error("Resume upload error:", error);
-    return new NextResponse(error.message || "Internal Server Error", { status: 500 });
+// Parses one chunk of resume text and returns the model's JSON object
+async function parseChunk(text, index, total) {
+  const result = await model.generateContent(buildParsePrompt(text, index, total));
+  const responseText = result.response.text();
+  console.log(`AI response ${index + 1}/${total} received, length:`, responseText.length);
+
+  const parsed = extractJson(responseText);
+  if (!parsed) {
+    console.error("No JSON found in response:", responseText);
+    throw new Error("Invalid response format from AI");
   }
+  return parsed;
 }
 
-async function extractTextFromPDF(file) {
+export async function POST(req) {
   try {
-    console.log("Starting PDF extraction");
+    const { userId } = await auth();
+    if (!userId) {
+      return new NextResponse("Unauthorized", { status: 401 });
+    }
+
+    const formData = await req.formData();
+    const file = formData.get("file");
     
-    // Validate file size
-    const fileSize = file.size;
-    if (fileSize === 0) {
-      throw new Error("File is empty");
+    if (!file) {
+      return new NextResponse("No file provided", { status: 400 });
     }
-    if (fileSize > 10 * 1024 * 1024) { // 10MB limit
-      throw new Error("File is too large. Maximum size is 10MB");
+
+    if (file.size === 0) {
+      return new NextResponse("File is empty", { status: 400 });
     }
-    
-    // Get array buffer from file
-    const arrayBuffer = await file.arrayBuffer();
-    if (!arrayBuffer || arrayBuffer.byteLength === 0) {
-      throw new Error("Failed to read file contents");
+    if (file.size > MAX_UPLOAD_SIZE) {
+      return new NextResponse("File is too large. Maximum size is 10MB", { status: 400 });
     }
-    
-    const buffer = Buffer.from(arrayBuffer);
-    console.log("Buffer created, size:", buffer.length);
-    
-    // Create a new promise for PDF parsing with timeout
-    return new Promise((resolve, reject) => {
-      const timeout = setTimeout(() => {
-        reject(new Error("PDF parsing timed out"));
-      }, 30000); // 30 second timeout
-      
-      const pdfParser = new PDFParser(null, 1); // 1 = processing PDF
-      
-      pdfParser.on("pdfParser_dataReady", (pdfData) => {
-        clearTimeout(timeout);
-        console.log("PDF parsing completed");
-        
-        try {
-          const text = pdfParser.getRawTextContent();
-          
-          // Validate extracted text
-          if (!text || text.trim().length === 0) {
-            reject(new Error("No text content found in PDF"));
-            return;
-          }
-          
-          console.log("Extracted text length:", text.length);
-          resolve(text);
-        } catch (error) {
-          reject(new Error(`Failed to extract text from PDF: ${error.message}`));
-        }
-      });
-      
-      pdfParser.on("pdfParser_dataError", (error) => {
-        clearTimeout(timeout);
-        console.error("PDF parsing error:", error);
-        reject(new Error(`PDF parsing failed: ${error.message || 'Unknown error'}`));
-      });
-      
+
+    // The format is detected from the file's content, not its name
+    // Scanned PDF pages are read with OCR; `ocr` reports how reliable that was
+    let text = "";
+    let ocr;
+    let links = [];
+    try {
+      const buffer = Buffer.from(await file.arrayBuffer());
+      ({ text, ocr, links } = await extractResumeText(buffer, file.name));
+    } catch (error) {
+      console.error("Error extracting text from file:", error);
+      return new NextResponse(error.message, { status: 400 });
+    }
+
+    console.log("Extracted text length:", text.length);
+    if (ocr) {
+      console.log(`OCR used on pages ${ocr.pages.join(", ")}, confidence ${ocr.confidence}`);
+    }
+
+    // Contact details are read locally from the text and the document's
+    // links; the model is only asked for the remaining sections
+    const contactInfo = extractContactInfo(text, links);
+
+    // Long CVs are parsed section by section so no single prompt or reply
+    // outgrows the model's limits
+    const chunks = chunkResumeText(text);
+    console.log(`Parsing ${chunks.length} chunk(s), ~${estimateTokens(text)} tokens`);
+
+    const parts = [];
+    const failedChunks = [];
+    for (const [index, chunk] of chunks.entries()) {
       try {
-        console.log("Starting PDF parsing");
-        pdfParser.parseBuffer(buffer);
+        parts.push(await parseChunk(chunk, index, chunks.length));
       } catch (error) {
-        clearTimeout(timeout);
-        reject(new Error(`Failed to parse PDF buffer: ${error.message}`));
+        console.error(`Error parsing chunk ${index + 1} of ${chunks.length}:`, error);
+        failedChunks.push({ index, error });
       }
-    });
-  } catch (error) {
-    console.error("PDF extraction error:", error);
-    throw new Error(`Failed to process PDF file: ${error.message}`);
-  }
-}
+    }
 
-async function extractTextFromDoc(file) {
-  try {
-    console.log("Starting DOC extraction");
-    
-    // Validate file size
-    const fileSize = file.size;
-    if (fileSize === 0) {
-      throw new Error("File is empty");
+    if (!parts.length) {
+      const { error } = failedChunks[0];
+      return new NextResponse(`Failed to parse resume content: ${error.message}`, { status: 500 });
     }
-    if (fileSize > 10 * 1024 * 1024) { // 10MB limit
-      throw new Error("File is too large. Maximum size is 10MB");
+
+    // A single chunk has nothing to deduplicate against
+    const parsed = parts.length > 1 ? mergeParsedChunks(parts) : parts[0];
+    // Map the parser's field names onto the builder's entry schema
+    const { content, warnings } = normalizeParsedResume(parsed);
+    content.contactInfo = contactInfo;
+    if (!contactInfo.name) {
+      warnings.push({ section: "contactInfo", field: "name", message: "No name was found" });
     }
-    
-    const arrayBuffer = await file.arrayBuffer();
-    if (!arrayBuffer || arrayBuffer.byteLength === 0) {
-      throw new Error("Failed to read file contents");
+    if (!contactInfo.email) {
+      warnings.push({ section: "contactInfo", field: "email", message: "No email address was found" });
     }
-    
-    const buffer = Buffer.from(arrayBuffer);
-    console.log("Buffer created, size:", buffer.length);
-    
-    const result = await mammoth.extractRawText({ buffer });
-    if (!result || !result.value) {
-      throw new Error("Failed to extract text from document");
+    if (contactInfo.mobile && !normalizePhone(contactInfo.mobile)) {
+      warnings.push({
+        section: "contactInfo",
+        field: "mobile",
+        message: "The phone number has no country code; add one so it can be saved",
+      });
     }
-    
-    const text = result.value.trim();
-    if (text.length === 0) {
-      throw new Error("No text content found in document");
+    if (ocr?.skipped.length) {
+      warnings.push({
+        section: "upload",
+        field: "text",
+        message: `Only the first ${ocr.pages.length} scanned pages were read; page(s) ${ocr.skipped.join(", ")} were skipped and their content is missing`,
+      });
     }
-    
-    console.log("DOC extraction completed, text length:", text.length);
-    return text;
+    failedChunks.forEach(({ index }) => {
+      warnings.push({
+        section: "upload",
+        field: "text",
+        message: `Part ${index + 1} of ${chunks.length} of the document could not be parsed; some entries may be missing`,
+      });
+    });
+
+    console.log("Successfully parsed AI response");
+    return NextResponse.json({ content, warnings, ocr });
   } catch (error) {
-    console.error("DOC extraction error:", error);
-    throw new Error(`Failed to process Word document: ${error.message}`);
+    console.error("Resume upload error:", error);
+    return new NextResponse(error.message || "Internal Server Error", { status: 500 });
   }
-} 
\ No newline at end of file
+}
@@ -0,0 +1,12 @@
+// Client-side pacing for the AI rewrite buttons, on top of the enhance
+// route's own rate limit. A new rewrite has to wait a minute after the last
+// one; asking for another variant of a suggestion that is already open does
+// not, since the user is still reviewing that rewrite.
+
+export const AI_COOLDOWN_MS = 60000;
+
+// Milliseconds until another request may be sent; 0 when it can go now
+export function cooldownRemaining(lastRequestAt, { now = Date.now(), regenerate = false } = {}) {
+  if (regenerate || !lastRequestAt) return 0;
+  return Math.max(0, lastRequestAt + AI_COOLDOWN_MS - now);
+}
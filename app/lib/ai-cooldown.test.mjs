@@ -0,0 +1,18 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { AI_COOLDOWN_MS, cooldownRemaining } from "./ai-cooldown.js";
+
+const now = 1_000_000;
+
+test("a first request never waits", () => {
+  assert.equal(cooldownRemaining(0, { now }), 0);
+});
+
+test("a new rewrite waits for the rest of the cooldown", () => {
+  assert.equal(cooldownRemaining(now - 15000, { now }), AI_COOLDOWN_MS - 15000);
+  assert.equal(cooldownRemaining(now - AI_COOLDOWN_MS, { now }), 0);
+});
+
+test("regenerating right after the first suggestion does not wait", () => {
+  assert.equal(cooldownRemaining(now - 1000, { now, regenerate: true }), 0);
+});
@@ -0,0 +1,334 @@
+import { splitMarkdownSections } from "./helper";
+
+// Rule-based ATS checker. It only looks at the resume markdown, so the same
+// resume always gets the same score and every point lost is explained by
+// one of the checks below.
+
+const requiredSections = [
+  { key: "experience", label: "Work Experience" },
+  { key: "education", label: "Education" },
+  { key: "skills", label: "Skills" },
+];
+const recommendedSections = [
+  { key: "summary", label: "Professional Summary" },
+  { key: "contact", label: "Contact Information" },
+];
+
+export const actionVerbs = [
+  "accelerated", "achieved", "acquired", "adapted", "administered", "advised",
+  "analyzed", "architected", "assembled", "assessed", "automated", "boosted",
+  "built", "championed", "coached", "collaborated", "completed", "composed",
+  "conducted", "configured", "consolidated", "coordinated", "created", "cut",
+  "debugged", "decreased", "defined", "delivered", "deployed", "designed",
+  "developed", "devised", "directed", "drove", "eliminated", "enabled",
+  "engineered", "enhanced", "established", "evaluated", "executed", "expanded",
+  "facilitated", "forecasted", "founded", "generated", "grew", "guided",
+  "handled", "headed", "identified", "implemented", "improved", "increased",
+  "initiated", "innovated", "installed", "integrated", "introduced",
+  "investigated", "launched", "led", "maintained", "managed", "mentored",
+  "migrated", "modernized", "monitored", "negotiated", "optimized",
+  "orchestrated", "organized", "oversaw", "partnered", "performed", "piloted",
+  "planned", "presented", "prioritized", "produced", "programmed", "published",
+  "reduced", "redesigned", "refactored", "resolved", "restructured",
+  "reviewed", "revamped", "saved", "scaled", "secured", "shipped",
+  "simplified", "spearheaded", "standardized", "streamlined", "strengthened",
+  "supervised", "supported", "taught", "tested", "trained", "transformed",
+  "tripled", "doubled", "unified", "upgraded", "wrote",
+];
+
+const months =
+  "jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?";
+const dateFormats = [
+  { id: "MMM yyyy", pattern: new RegExp(`^(?:${months})\\.? \\d{4}$`, "i") },
+  { id: "MM/yyyy", pattern: /^(?:0?[1-9]|1[0-2])\/\d{4}$/ },
+  { id: "yyyy-MM", pattern: /^\d{4}-(?:0[1-9]|1[0-2])$/ },
+  { id: "yyyy", pattern: /^\d{4}$/ },
+];
+
+const weights = {
+  sections: 20,
+  contact: 15,
+  keywords: 25,
+  dates: 10,
+  bullets: 15,
+  verbs: 15,
+};
+
+const idealBulletWords = { min: 8, max: 35 };
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const stripMarkdown = (text) =>
+  text
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, "$1")
+    .replace(/[*_`]/g, "")
+    .trim();
+
+const countWords = (text) => text.split(/\s+/).filter(Boolean).length;
+
+// Splits an entries section ("### Title @ Org\nDates\n\nDescription") into
+// its entries
+const parseEntries = (markdown) =>
+  markdown
+    .split(/^###\s+/m)
+    .slice(1)
+    .map((block) => {
+      const [heading, ...rest] = block.split("\n");
+      const lines = rest.map((line) => line.trim()).filter(Boolean);
+      const dateLine = lines.find((line) => /\d{4}|present/i.test(line)) || "";
+      return {
+        heading: stripMarkdown(heading),
+        dateLine,
+        body: lines.filter((line) => line !== dateLine),
+      };
+    });
+
+// Bullet lines count as statements as they are; plain paragraphs are split
+// into sentences
+const toStatements = (lines) => {
+  const bullets = lines.filter((line) => /^[-*•]\s+/.test(line));
+  if (bullets.length) {
+    return bullets.map((line) => stripMarkdown(line.replace(/^[-*•]\s+/, "")));
+  }
+  return lines
+    .join(" ")
+    .split(/(?<=[.!?])\s+/)
+    .map(stripMarkdown)
+    .filter((sentence) => countWords(sentence) > 1);
+};
+
+const detectDateFormat = (value) =>
+  dateFormats.find((format) => format.pattern.test(value.trim()))?.id;
+
+const check = (id, label, maxScore, ratio, details) => {
+  const score = Math.round(maxScore * Math.max(0, Math.min(1, ratio)));
+  return {
+    id,
+    label,
+    score,
+    maxScore,
+    passed: score >= maxScore * 0.8,
+    details,
+  };
+};
+
+function checkSections(sections) {
+  const keys = sections.map((section) => section.key);
+  const missingRequired = requiredSections.filter(({ key }) => !keys.includes(key));
+  const missingRecommended = recommendedSections.filter(({ key }) => !keys.includes(key));
+  const details = [
+    ...missingRequired.map(({ label }) => `Missing required section: ${label}`),
+    ...missingRecommended.map(({ label }) => `Missing recommended section: ${label}`),
+  ];
+  if (!details.length) details.push("All standard sections were detected");
+
+  const ratio =
+    1 - (missingRequired.length * 0.25 + missingRecommended.length * 0.125);
+  return check("sections", "Section detection", weights.sections, ratio, details);
+}
+
+function checkContact(contactMarkdown) {
+  const fields = [
+    { label: "name", found: /\*\*[^*]+\*\*/.test(contactMarkdown) },
+    { label: "email address", found: /[^\s@|]+@[^\s@|]+\.[a-z]{2,}/i.test(contactMarkdown) },
+    { label: "phone number", found: /\+?\d[\d\s().-]{6,}\d/.test(contactMarkdown) },
+    { label: "LinkedIn profile", found: /linkedin/i.test(contactMarkdown) },
+  ];
+  const missing = fields.filter((field) => !field.found);
+  const details = missing.length
+    ? missing.map((field) => `No ${field.label} found in the contact section`)
+    : ["Name, email, phone and LinkedIn are all present"];
+
+  return check(
+    "contact",
+    "Contact completeness",
+    weights.contact,
+    (fields.length - missing.length) / fields.length,
+    details
+  );
+}
+
+function checkKeywords(content, keywords) {
+  const uniqueKeywords = [...new Set(keywords.map((keyword) => keyword.trim()))].filter(
+    Boolean
+  );
+  if (!uniqueKeywords.length) {
+    return {
+      ...check("keywords", "Industry keyword coverage", weights.keywords, 1, [
+        "No industry skills are available to compare against",
+      ]),
+      matched: [],
+      missing: [],
+    };
+  }
+
+  const text = content.toLowerCase();
+  const matched = uniqueKeywords.filter((keyword) =>
+    new RegExp(`(^|[^a-z0-9])${escapeRegExp(keyword.toLowerCase())}($|[^a-z0-9])`).test(
+      text
+    )
+  );
+  const missing = uniqueKeywords.filter((keyword) => !matched.includes(keyword));
+  const details = [
+    `Covers ${matched.length} of ${uniqueKeywords.length} in-demand industry skills`,
+  ];
+  if (missing.length) details.push(`Consider adding: ${missing.join(", ")}`);
+
+  return {
+    // Covering roughly two thirds of the list already earns full marks
+    ...check(
+      "keywords",
+      "Industry keyword coverage",
+      weights.keywords,
+      matched.length / Math.ceil(uniqueKeywords.length * 0.66),
+      details
+    ),
+    matched,
+    missing,
+  };
+}
+
+function checkDates(entries) {
+  if (!entries.length) {
+    return check("dates", "Date formats", weights.dates, 0, [
+      "No dated entries were found",
+    ]);
+  }
+
+  const details = [];
+  const usedFormats = new Set();
+  let valid = 0;
+
+  entries.forEach((entry) => {
+    const [start, end] = entry.dateLine.split(/\s+[-–—]\s+|\s+to\s+/i);
+    const startFormat = start && detectDateFormat(start);
+    const endFormat = end && (/^present$/i.test(end.trim()) ? "present" : detectDateFormat(end));
+
+    if (startFormat && endFormat) {
+      valid++;
+      usedFormats.add(startFormat);
+      if (endFormat !== "present") usedFormats.add(endFormat);
+    } else {
+      details.push(
+        entry.dateLine
+          ? `"${entry.heading}" has an unrecognized date range: ${entry.dateLine}`
+          : `"${entry.heading}" has no date range`
+      );
+    }
+  });
+
+  let ratio = valid / entries.length;
+  if (usedFormats.size > 1) {
+    ratio -= 0.25;
+    details.push(`Dates mix several formats (${[...usedFormats].join(", ")})`);
+  }
+  if (!details.length) details.push("All date ranges use one consistent format");
+
+  return check("dates", "Date formats", weights.dates, ratio, details);
+}
+
+function checkBulletLength(statements) {
+  if (!statements.length) {
+    return check("bullets", "Bullet length", weights.bullets, 0, [
+      "No experience or project descriptions were found",
+    ]);
+  }
+
+  const tooShort = statements.filter((text) => countWords(text) < idealBulletWords.min);
+  const tooLong = statements.filter((text) => countWords(text) > idealBulletWords.max);
+  const details = [];
+  if (tooShort.length) {
+    details.push(
+      `${tooShort.length} bullet(s) are shorter than ${idealBulletWords.min} words`
+    );
+  }
+  if (tooLong.length) {
+    details.push(
+      `${tooLong.length} bullet(s) are longer than ${idealBulletWords.max} words`
+    );
+  }
+  if (!details.length) {
+    details.push(
+      `All bullets are between ${idealBulletWords.min} and ${idealBulletWords.max} words`
+    );
+  }
+
+  return check(
+    "bullets",
+    "Bullet length",
+    weights.bullets,
+    (statements.length - tooShort.length - tooLong.length) / statements.length,
+    details
+  );
+}
+
+function checkActionVerbs(statements) {
+  if (!statements.length) {
+    return check("verbs", "Action verbs", weights.verbs, 0, [
+      "No experience or project descriptions were found",
+    ]);
+  }
+
+  const weak = statements.filter((text) => {
+    const firstWord = text.split(/\s+/)[0].toLowerCase().replace(/[^a-z]/g, "");
+    return !actionVerbs.includes(firstWord);
+  });
+  const details = [
+    `${statements.length - weak.length} of ${statements.length} bullets start with an action verb`,
+  ];
+  if (weak.length) {
+    details.push(
+      `Try a stronger opening for: "${weak[0].split(/\s+/).slice(0, 6).join(" ")}..."`
+    );
+  }
+
+  // Three out of four bullets starting with an action verb earns full marks
+  return check(
+    "verbs",
+    "Action verbs",
+    weights.verbs,
+    (statements.length - weak.length) / Math.ceil(statements.length * 0.75),
+    details
+  );
+}
+
+// Scores resume markdown from 0 to 100. `keywords` is the list of skills the
+// user's industry asks for (IndustryInsight.topSkills).
+export function scoreResume(content = "", { keywords = [] } = {}) {
+  const sections = splitMarkdownSections(content);
+  const sectionMarkdown = (key) =>
+    sections
+      .filter((section) => section.key === key)
+      .map((section) => section.markdown)
+      .join("\n");
+
+  const experience = parseEntries(sectionMarkdown("experience"));
+  const education = parseEntries(sectionMarkdown("education"));
+  const projects = parseEntries(sectionMarkdown("projects"));
+  const statements = [...experience, ...projects].flatMap((entry) =>
+    toStatements(entry.body)
+  );
+
+  const checks = [
+    checkSections(sections),
+    checkContact(sectionMarkdown("contact")),
+    checkKeywords(content, keywords),
+    checkDates([...experience, ...education, ...projects]),
+    checkBulletLength(statements),
+    checkActionVerbs(statements),
+  ];
+
+  return {
+    score: checks.reduce((total, { score }) => total + score, 0),
+    checks,
+  };
+}
+
+// Resume.feedback is stored as a JSON string; older rows may not parse
+export const parseAtsFeedback = (feedback) => {
+  try {
+    return feedback ? JSON.parse(feedback) : null;
+  } catch {
+    return null;
+  }
+};
@@ -0,0 +1,99 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseAtsFeedback, scoreResume } from "./ats.js";
+
+const resume = ({
+  dates = ["Jan 2020 - Present", "Jan 2016 - Dec 2019"],
+  bullets = [
+    "Led the migration of twelve services to Kubernetes with zero downtime",
+    "Reduced PostgreSQL query latency by 40% through indexing and caching",
+  ],
+} = {}) => `## Contact Information
+
+**Jane Doe** | jane@example.com | +1 415 555 2671 | [linkedin.com/in/jane](https://linkedin.com/in/jane)
+
+## Professional Summary
+
+Backend engineer focused on reliable data systems.
+
+## Skills
+
+Python, PostgreSQL, Kubernetes
+
+## Work Experience
+
+### Senior Engineer @ Acme
+${dates[0]}
+
+${bullets.map((bullet) => `- ${bullet}`).join("\n")}
+
+## Education
+
+### BSc Computer Science @ State University
+${dates[1]}`;
+
+const checkOf = (result, id) => result.checks.find((check) => check.id === id);
+
+test("the check weights add up to 100", () => {
+  const { checks } = scoreResume("");
+  assert.equal(checks.reduce((total, check) => total + check.maxScore, 0), 100);
+});
+
+test("a complete resume gets full marks and the same score every time", () => {
+  const options = { keywords: ["Python", "Kubernetes", "PostgreSQL"] };
+  const first = scoreResume(resume(), options);
+  assert.equal(first.score, 100);
+  assert.deepEqual(scoreResume(resume(), options), first);
+});
+
+test("an empty resume scores nothing against industry keywords", () => {
+  const result = scoreResume("", { keywords: ["Python"] });
+  assert.equal(result.score, 0);
+  assert.deepEqual(checkOf(result, "keywords").missing, ["Python"]);
+});
+
+test("missing sections are named", () => {
+  const result = scoreResume("## Skills\n\nPython");
+  const { details, score } = checkOf(result, "sections");
+  assert.ok(details.includes("Missing required section: Work Experience"));
+  assert.ok(details.includes("Missing recommended section: Contact Information"));
+  assert.equal(score, 5);
+});
+
+test("keywords only match whole words", () => {
+  const result = scoreResume(resume(), { keywords: ["Go", "Python"] });
+  const keywords = checkOf(result, "keywords");
+  assert.deepEqual(keywords.matched, ["Python"]);
+  assert.deepEqual(keywords.missing, ["Go"]);
+});
+
+test("mixed date formats and unreadable ranges lose points", () => {
+  const datesCheck = (dates) => checkOf(scoreResume(resume({ dates })), "dates");
+
+  const mixed = datesCheck(["Jan 2020 - Present", "2016-01 - 2019-12"]);
+  assert.ok(mixed.score < mixed.maxScore);
+  assert.ok(mixed.details.some((detail) => detail.startsWith("Dates mix several formats")));
+
+  const unreadable = datesCheck(["Spring 2020 - Present", "Jan 2016 - Dec 2019"]);
+  assert.equal(unreadable.score, 5);
+});
+
+test("short bullets and weak openings are reported", () => {
+  const result = scoreResume(
+    resume({
+      bullets: [
+        "Responsible for the backend",
+        "Worked on many different internal tools for the team",
+      ],
+    })
+  );
+  assert.equal(checkOf(result, "bullets").score, 8);
+  assert.equal(checkOf(result, "verbs").score, 0);
+  assert.match(checkOf(result, "verbs").details[1], /^Try a stronger opening for/);
+});
+
+test("stored feedback that does not parse reads as null", () => {
+  assert.equal(parseAtsFeedback("{not json"), null);
+  assert.equal(parseAtsFeedback(null), null);
+  assert.deepEqual(parseAtsFeedback('{"score":80}'), { score: 80 });
+});
@@ -0,0 +1,184 @@
+import { actionVerbs } from "./ats";
+import { currentMonth, MONTH_PATTERN, monthNumber } from "./entry-dates";
+import { entryBullets } from "./helper";
+
+// Timeline checks for the work history: overlapping jobs, gaps between jobs
+// that no education or volunteering explains, and bullets whose tense does
+// not match whether the role is current. These are warnings for the user to
+// review, not validation errors; a second job or a career break is fine.
+
+export const GAP_THRESHOLD_MONTHS = 6;
+
+// Finishing one job and starting the next in the same month is not an overlap
+const OVERLAP_TOLERANCE_MONTHS = 1;
+
+const irregularVerbs = {
+  lead: "led", build: "built", run: "ran", write: "wrote", drive: "drove",
+  grow: "grew", teach: "taught", oversee: "oversaw", win: "won", make: "made",
+  begin: "began", bring: "brought", hold: "held", sell: "sold", take: "took",
+  give: "gave", speak: "spoke", keep: "kept", spend: "spent", find: "found",
+};
+const irregularPast = Object.values(irregularVerbs);
+
+// A base form is a verb when its past tense is known ("Develop", "Lead")
+const hasPastForm = (word) =>
+  Object.hasOwn(irregularVerbs, word) ||
+  [`${word}ed`, `${word}d`, word.replace(/y$/, "ied")].some((past) =>
+    actionVerbs.includes(past)
+  );
+
+// "past", "base", "third" ("Leads"), "participle" ("Managing"), "-ed" for
+// other words ending in "ed", or null when the word is not a verb form
+const verbForm = (word) => {
+  if (irregularPast.includes(word) || actionVerbs.includes(word)) return "past";
+  if (hasPastForm(word)) return "base";
+  const stem = word.slice(0, -3);
+  if (/..ing$/.test(word) && [stem, `${stem}e`, stem.slice(0, -1)].some(hasPastForm)) {
+    return "participle";
+  }
+  if (/[^s]s$/.test(word) && hasPastForm(word.slice(0, -1))) return "third";
+  if (/..ed$/.test(word)) return "-ed";
+  return null;
+};
+
+// Words that start the object of a verb ("Lead the team", "Managing 5 people")
+const objectStarters = [
+  "a", "an", "the", "all", "new", "our", "my", "their", "its", "his", "her",
+  "multiple", "several", "over", "more",
+];
+// A preposition after the word makes it a noun ("Reviews of code")
+const prepositions = ["of", "for", "on", "in", "at", "with", "to", "from", "by", "and"];
+
+// Tense of the verb a bullet starts with, or null when it does not start
+// with one. Many verb forms are also nouns or adjectives ("Design lead for
+// the app", "Training budget owner", "Distributed systems"), so the less
+// certain forms only count when an object follows them.
+const leadingVerbTense = (bullet) => {
+  const [word = "", next = ""] = bullet
+    .trim()
+    .split(/\s+/)
+    .slice(0, 2)
+    .map((part) => part.toLowerCase().replace(/[^a-z0-9]/g, ""));
+  const form = verbForm(word);
+  const hasObject = objectStarters.includes(next) || /^\d/.test(next);
+
+  if (!form) return null;
+  if (form === "past") return "past";
+  if (form === "-ed") return hasObject ? "past" : null;
+  if (prepositions.includes(next)) return null;
+  if (form === "third") return "present";
+  return hasObject ? "present" : null;
+};
+
+const entryLabel = (entry) =>
+  entry.organization ? `${entry.title} @ ${entry.organization}` : entry.title;
+
+// Month numbers of an entry's range; null when its dates can not be read
+const entryRange = (entry, today) => {
+  if (!MONTH_PATTERN.test(entry.startDate || "")) return null;
+  const end = entry.current ? today : entry.endDate;
+  if (!MONTH_PATTERN.test(end || "")) return null;
+  return { start: monthNumber(entry.startDate), end: monthNumber(end) };
+};
+
+const datedEntries = (entries = [], section, today) =>
+  entries
+    .map((entry, index) => ({ entry, index, section, range: entryRange(entry, today) }))
+    .filter((item) => !item.entry.hidden && item.range);
+
+function findOverlaps(jobs) {
+  const warnings = [];
+  jobs.forEach((first, i) =>
+    jobs.slice(i + 1).forEach((second) => {
+      const months =
+        Math.min(first.range.end, second.range.end) -
+        Math.max(first.range.start, second.range.start) +
+        1;
+      if (months > OVERLAP_TOLERANCE_MONTHS) {
+        warnings.push({
+          type: "overlap",
+          section: second.section,
+          index: second.index,
+          message: `"${entryLabel(first.entry)}" and "${entryLabel(second.entry)}" overlap by ${months} months`,
+        });
+      }
+    })
+  );
+  return warnings;
+}
+
+// A gap is explained when education or volunteering covers part of it
+function findGaps(jobs, explanations, gapMonths) {
+  const warnings = [];
+  const sorted = [...jobs].sort((a, b) => a.range.start - b.range.start);
+
+  let latest = sorted[0];
+  sorted.slice(1).forEach((job) => {
+    const gapStart = latest.range.end + 1;
+    const gapEnd = job.range.start - 1;
+    const months = gapEnd - gapStart + 1;
+    const explained = explanations.some(
+      ({ range }) => range.start <= gapEnd && range.end >= gapStart
+    );
+
+    if (months > gapMonths && !explained) {
+      warnings.push({
+        type: "gap",
+        section: job.section,
+        index: job.index,
+        message: `${months}-month gap between "${entryLabel(latest.entry)}" and "${entryLabel(job.entry)}"`,
+      });
+    }
+    if (job.range.end > latest.range.end) latest = job;
+  });
+
+  return warnings;
+}
+
+function findTenseMismatches(roles) {
+  return roles.flatMap(({ entry, index, section }) => {
+    const mismatched = entryBullets(entry).filter(
+      (bullet) => leadingVerbTense(bullet) === (entry.current ? "past" : "present")
+    );
+    if (!mismatched.length) return [];
+
+    const count =
+      mismatched.length === 1 ? "1 bullet point uses" : `${mismatched.length} bullet points use`;
+    return [
+      {
+        type: "tense",
+        section,
+        index,
+        message: entry.current
+          ? `"${entryLabel(entry)}" is a current role but ${count} the past tense`
+          : `"${entryLabel(entry)}" has ended but ${count} the present tense`,
+      },
+    ];
+  });
+}
+
+// Returns [{ type, section, index, message }] for the form values; `index`
+// is the entry in formData[section] the warning belongs to
+export function checkChronology(
+  formData,
+  { gapMonths = GAP_THRESHOLD_MONTHS, now = new Date() } = {}
+) {
+  const today = currentMonth(now);
+  const jobs = datedEntries(formData.experience, "experience", today);
+  const explanations = [
+    ...datedEntries(formData.education, "education", today),
+    ...datedEntries(formData.volunteer, "volunteer", today),
+  ];
+  // Tense only depends on whether the role is current, not on its dates
+  const roles = ["experience", "volunteer"].flatMap((section) =>
+    (formData[section] || [])
+      .map((entry, index) => ({ entry, index, section }))
+      .filter(({ entry }) => !entry.hidden)
+  );
+
+  return [
+    ...findOverlaps(jobs),
+    ...(jobs.length > 1 ? findGaps(jobs, explanations, gapMonths) : []),
+    ...findTenseMismatches(roles),
+  ];
+}
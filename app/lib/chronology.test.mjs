@@ -0,0 +1,109 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { checkChronology } from "./chronology.js";
+
+const job = (title, startDate, endDate, extra = {}) => ({
+  title,
+  organization: "Acme",
+  startDate,
+  endDate,
+  current: !endDate,
+  bullets: [],
+  ...extra,
+});
+
+const now = new Date(2024, 5, 15);
+const types = (formData, options) =>
+  checkChronology(formData, { now, ...options }).map((warning) => warning.type);
+
+test("overlapping jobs are flagged, a shared month is not", () => {
+  const overlapping = checkChronology(
+    { experience: [job("A", "2018-01", "2020-06"), job("B", "2020-01", "2022-01")] },
+    { now }
+  );
+  assert.deepEqual(overlapping.map((warning) => warning.type), ["overlap"]);
+  assert.match(overlapping[0].message, /overlap by 6 months/);
+  assert.equal(overlapping[0].index, 1);
+
+  assert.deepEqual(
+    types({ experience: [job("A", "2018-01", "2020-06"), job("B", "2020-06", "2022-01")] }),
+    []
+  );
+});
+
+test("a current role overlaps up to this month", () => {
+  assert.deepEqual(
+    types({ experience: [job("A", "2020-01"), job("B", "2024-01", "2024-03")] }),
+    ["overlap"]
+  );
+});
+
+test("gaps longer than the threshold are flagged", () => {
+  const experience = [job("A", "2015-01", "2016-12"), job("B", "2017-09", "2019-01")];
+  assert.deepEqual(types({ experience }), ["gap"]);
+  assert.deepEqual(types({ experience }, { gapMonths: 8 }), []);
+  assert.deepEqual(
+    types({ experience: [job("A", "2015-01", "2016-12"), job("B", "2017-07", "2019-01")] }),
+    []
+  );
+});
+
+test("education or volunteering during a gap explains it", () => {
+  const experience = [job("A", "2015-01", "2016-12"), job("B", "2019-01", "2020-01")];
+  assert.deepEqual(
+    types({ experience, education: [job("MSc", "2017-01", "2018-12")] }),
+    []
+  );
+  assert.deepEqual(
+    types({ experience, volunteer: [job("Mentor", "2018-03", "2018-05")] }),
+    []
+  );
+});
+
+test("hidden entries and unreadable dates are left out", () => {
+  assert.deepEqual(
+    types({
+      experience: [
+        job("A", "2018-01", "2020-06"),
+        job("B", "2019-01", "2020-01", { hidden: true }),
+        job("C", "2019", "2020-01"),
+      ],
+    }),
+    []
+  );
+});
+
+test("bullets in the wrong tense for the role are flagged", () => {
+  const ended = job("A", "2018-01", "2019-01", {
+    bullets: ["Leads the team", "Managing a team of five", "Lead the redesign"],
+  });
+  const [warning] = checkChronology({ experience: [ended] }, { now });
+  assert.equal(warning.type, "tense");
+  assert.match(warning.message, /has ended but 3 bullet points use the present tense/);
+
+  const current = job("B", "2020-01", "", { bullets: ["Led the migration", "Built APIs"] });
+  assert.match(
+    checkChronology({ experience: [current] }, { now })[0].message,
+    /is a current role but 2 bullet points use the past tense/
+  );
+});
+
+test("the tense check only reads a leading verb, not nouns", () => {
+  const ended = job("A", "2018-01", "2019-01", {
+    bullets: [
+      "Constructor of things",
+      "Reviews of code",
+      "Design lead for the app",
+      "Lead engineer on payments",
+      "Training budget owner",
+      "Test automation framework",
+      "Present at conferences",
+    ],
+  });
+  assert.deepEqual(types({ experience: [ended] }), []);
+
+  const current = job("B", "2020-01", "", {
+    bullets: ["Embedded systems engineer", "Distributed tracing owner"],
+  });
+  assert.deepEqual(types({ experience: [current] }), []);
+});
@@ -0,0 +1,45 @@
+import { parsePhoneNumberFromString } from "libphonenumber-js";
+
+// Contact fields of the resume builder, in the order they are shown and
+// rendered. `links` (extra labelled links) is edited separately.
+export const contactFields = [
+  { name: "name", label: "Full Name", placeholder: "John Doe" },
+  { name: "email", label: "Email", type: "email", placeholder: "your@email.com" },
+  { name: "mobile", label: "Mobile Number", type: "tel", placeholder: "+1 234 567 8900" },
+  { name: "location", label: "Location", placeholder: "City, Country" },
+  { name: "linkedin", label: "LinkedIn URL", type: "url", placeholder: "https://linkedin.com/in/your-profile" },
+  { name: "github", label: "GitHub URL", type: "url", placeholder: "https://github.com/your-username" },
+  { name: "portfolio", label: "Portfolio URL", type: "url", placeholder: "https://your-portfolio.com" },
+  { name: "website", label: "Website", type: "url", placeholder: "https://your-site.com" },
+  { name: "twitter", label: "Twitter/X Profile", type: "url", placeholder: "https://twitter.com/your-handle" },
+];
+
+// Profile links must point at the network they are entered for
+export const profileDomains = {
+  linkedin: ["linkedin.com"],
+  github: ["github.com"],
+  twitter: ["twitter.com", "x.com"],
+};
+
+// True when the URL's host is one of the domains or a subdomain of one
+// (www.linkedin.com, uk.linkedin.com)
+export function isUrlOnDomain(value, domains) {
+  try {
+    const host = new URL(value).hostname.toLowerCase();
+    return domains.some((domain) => host === domain || host.endsWith(`.${domain}`));
+  } catch {
+    return false;
+  }
+}
+
+// Formats a phone number in international format ("+1 415 555 2671").
+// Returns null when the number is not valid; numbers without a country code
+// can only be read when defaultCountry (e.g. "US") is given.
+export function normalizePhone(value, defaultCountry) {
+  const phone = parsePhoneNumberFromString(String(value || ""), defaultCountry);
+  return phone?.isValid() ? phone.formatInternational() : null;
+}
+
+// "https://www.github.com/jane/" -> "github.com/jane", for display
+export const displayUrl = (url) =>
+  url.replace(/^https?:\/\/(?:www\.)?/i, "").replace(/\/$/, "");
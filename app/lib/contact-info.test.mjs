@@ -0,0 +1,70 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { displayUrl, isUrlOnDomain, normalizePhone } from "./contact-info.js";
+import { contactInfoSchema } from "./schema.js";
+import { contactToMarkdown, resumeToMarkdown } from "./helper.js";
+
+test("phone numbers are formatted in international format", () => {
+  assert.equal(normalizePhone("+14155552671"), "+1 415 555 2671");
+  assert.equal(normalizePhone("(415) 555-2671", "US"), "+1 415 555 2671");
+});
+
+test("phone numbers without a country code or that are invalid are rejected", () => {
+  assert.equal(normalizePhone("(415) 555-2671"), null);
+  assert.equal(normalizePhone("12345"), null);
+  assert.equal(normalizePhone(""), null);
+});
+
+test("profile URLs must be on the network's domain or a subdomain of it", () => {
+  assert.equal(isUrlOnDomain("https://www.linkedin.com/in/jane", ["linkedin.com"]), true);
+  assert.equal(isUrlOnDomain("https://uk.linkedin.com/in/jane", ["linkedin.com"]), true);
+  assert.equal(isUrlOnDomain("https://notlinkedin.com/in/jane", ["linkedin.com"]), false);
+  assert.equal(isUrlOnDomain("linkedin.com/in/jane", ["linkedin.com"]), false);
+});
+
+test("links are displayed without scheme, www and trailing slash", () => {
+  assert.equal(displayUrl("https://www.github.com/jane/"), "github.com/jane");
+});
+
+test("cleared contact fields do not block saving", () => {
+  const result = contactInfoSchema.safeParse({
+    name: "Jane Doe",
+    email: "",
+    mobile: "",
+    linkedin: "",
+    github: "",
+    website: "",
+  });
+  assert.equal(result.success, true);
+});
+
+test("the phone number is stored normalized and profile domains are checked", () => {
+  const parsed = contactInfoSchema.safeParse({ name: "Jane", mobile: "+14155552671" });
+  assert.equal(parsed.data.mobile, "+1 415 555 2671");
+
+  const wrongDomain = contactInfoSchema.safeParse({
+    name: "Jane",
+    github: "https://gitlab.com/jane",
+  });
+  assert.equal(wrongDomain.success, false);
+  assert.deepEqual(wrongDomain.error.issues[0].path, ["github"]);
+});
+
+test("the contact block is plain text with the link addresses shown", () => {
+  const markdown = contactToMarkdown({
+    name: "Jane Doe",
+    email: "jane@example.com",
+    github: "https://github.com/jane",
+    links: [{ label: "Blog", url: "https://jane.dev" }],
+  });
+  assert.equal(
+    markdown,
+    "## Contact Information\n\n**Jane Doe** | jane@example.com | " +
+      "[github.com/jane](https://github.com/jane) | Blog: [jane.dev](https://jane.dev)"
+  );
+});
+
+test("markdown built from the parsed form shows the normalized phone", () => {
+  const { data } = contactInfoSchema.safeParse({ name: "Jane", mobile: "+14155552671" });
+  assert.match(resumeToMarkdown({ contactInfo: data }), /\+1 415 555 2671/);
+});
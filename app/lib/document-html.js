@@ -0,0 +1,98 @@
+import { Marked } from "marked";
+
+// Shared markdown-to-HTML pipeline for printable documents (resumes and
+// cover letters). The same HTML is used for the PDF export.
+
+const escapeHtml = (value = "") =>
+  value
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// Raw HTML in the markdown (typed by the user, written by the AI or found in
+// an upload) is shown as text rather than rendered, so it can not load
+// anything when the PDF is generated on the server
+const marked = new Marked({
+  gfm: true,
+  breaks: true,
+  async: false,
+  renderer: {
+    html: ({ text }) => escapeHtml(text),
+  },
+});
+
+export function markdownToHtml(markdown = "") {
+  return marked.parse(markdown);
+}
+
+const baseStyles = `
+  @page {
+    size: A4;
+    margin: 18mm 16mm;
+  }
+  * {
+    box-sizing: border-box;
+  }
+  body {
+    margin: 0;
+    font-family: Arial, Helvetica, sans-serif;
+    font-size: 10.5pt;
+    line-height: 1.45;
+    color: #1f2937;
+  }
+  h1, h2, h3 {
+    color: #111827;
+    break-after: avoid;
+    page-break-after: avoid;
+  }
+  h2 {
+    font-size: 13pt;
+    border-bottom: 1px solid #d1d5db;
+    padding-bottom: 3pt;
+    margin: 14pt 0 6pt;
+  }
+  h3 {
+    font-size: 11pt;
+    margin: 10pt 0 2pt;
+  }
+  p {
+    margin: 0 0 6pt;
+  }
+  ul, ol {
+    margin: 0 0 6pt;
+    padding-left: 16pt;
+  }
+  li, p {
+    break-inside: avoid;
+    page-break-inside: avoid;
+    orphans: 3;
+    widows: 3;
+  }
+  a {
+    color: inherit;
+  }
+  /* On screen (the in-app preview) show the document as a printed page */
+  @media screen {
+    body {
+      max-width: 210mm;
+      margin: 0 auto;
+      padding: 18mm 16mm;
+      background: #ffffff;
+    }
+  }
+`;
+
+export function renderDocumentHtml({ title = "Document", body, styles = "" }) {
+  return `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8" />
+    <title>${escapeHtml(title)}</title>
+    <style>${baseStyles}${styles}</style>
+  </head>
+  <body>
+    ${body}
+  </body>
+</html>`;
+}
@@ -0,0 +1,66 @@
+// Entry dates are stored as "yyyy-MM", the value of a month picker, and
+// only formatted as "Jan 2020" when they are displayed
+
+export const MONTH_PATTERN = /^\d{4}-(?:0[1-9]|1[0-2])$/;
+
+export const monthNames = [
+  "Jan", "Feb", "Mar", "Apr", "May", "Jun",
+  "Jul", "Aug", "Sep", "Oct", "Nov", "Dec",
+];
+
+const monthValue = (year, month) => `${year}-${String(month).padStart(2, "0")}`;
+
+// Two digit years up to five years ahead are read as this century
+const fullYear = (year) => {
+  if (year.length === 4) return +year;
+  const pivot = (new Date().getFullYear() % 100) + 5;
+  return +year <= pivot ? 2000 + +year : 1900 + +year;
+};
+
+// Reads a month in the formats older resumes and uploads use ("2020-03",
+// "2020/03/15", "03/2020", "03/20", "March 2020", "Sept 2020") as "yyyy-MM".
+// Returns "" for an empty value and null when the value is not a month; a
+// year on its own is not enough.
+export function readMonth(value) {
+  const text = String(value ?? "").replace(/[.,]/g, " ").replace(/\s+/g, " ").trim();
+  if (!text) return "";
+
+  // 2020-03, 2020/03, 2020-03-15
+  let match = text.match(/^(\d{4})[-/](\d{1,2})(?:[-/]\d{1,2})?$/);
+  if (match && +match[2] >= 1 && +match[2] <= 12) {
+    return monthValue(match[1], +match[2]);
+  }
+
+  // 03/2020, 3-2020, 03/20
+  match = text.match(/^(\d{1,2})[-/](\d{4}|\d{2})$/);
+  if (match && +match[1] >= 1 && +match[1] <= 12) {
+    return monthValue(fullYear(match[2]), +match[1]);
+  }
+
+  // March 2020, Mar 2020, Sept 2020
+  match = text.match(/^([a-z]{3,9}) (\d{4})$/i);
+  if (match) {
+    const month = monthNames.findIndex((name) =>
+      match[1].toLowerCase().startsWith(name.toLowerCase())
+    );
+    if (month >= 0) return monthValue(match[2], month + 1);
+  }
+
+  return null;
+}
+
+// "2020-03" -> "Mar 2020"; anything else is shown as it was written
+export function formatMonth(value) {
+  if (!MONTH_PATTERN.test(value || "")) return value || "";
+  const [year, month] = value.split("-");
+  return `${monthNames[month - 1]} ${year}`;
+}
+
+export const currentMonth = (now = new Date()) =>
+  monthValue(now.getFullYear(), now.getMonth() + 1);
+
+// Months since year 0, for comparing and measuring ranges
+export const monthNumber = (value) => {
+  const [year, month] = value.split("-").map(Number);
+  return year * 12 + month - 1;
+};
@@ -0,0 +1,39 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { currentMonth, formatMonth, monthNumber, readMonth } from "./entry-dates.js";
+
+test("the month formats of older resumes and uploads are read as yyyy-MM", () => {
+  assert.equal(readMonth("2020-03"), "2020-03");
+  assert.equal(readMonth("2020/3/15"), "2020-03");
+  assert.equal(readMonth("03/2020"), "2020-03");
+  assert.equal(readMonth("3-2020"), "2020-03");
+  assert.equal(readMonth("March 2020"), "2020-03");
+  assert.equal(readMonth("Sept. 2020"), "2020-09");
+  assert.equal(readMonth("jan, 2020"), "2020-01");
+});
+
+test("two digit years are read as this century up to five years ahead", () => {
+  assert.equal(readMonth("01/20"), "2020-01");
+  const ahead = (new Date().getFullYear() % 100) + 6;
+  assert.equal(readMonth(`01/${ahead}`), `19${ahead}-01`);
+});
+
+test("values that are not a month are null and empty values are empty", () => {
+  assert.equal(readMonth("2020"), null);
+  assert.equal(readMonth("13/2020"), null);
+  assert.equal(readMonth("2020-00"), null);
+  assert.equal(readMonth("Present"), null);
+  assert.equal(readMonth(""), "");
+  assert.equal(readMonth(undefined), "");
+});
+
+test("months are formatted for display and other text is kept", () => {
+  assert.equal(formatMonth("2020-03"), "Mar 2020");
+  assert.equal(formatMonth("Summer 2019"), "Summer 2019");
+  assert.equal(formatMonth(undefined), "");
+});
+
+test("month numbers measure ranges across years", () => {
+  assert.equal(monthNumber("2021-01") - monthNumber("2020-12"), 1);
+  assert.equal(currentMonth(new Date(2024, 0, 31)), "2024-01");
+});
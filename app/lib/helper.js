@@ -1,16 +1,360 @@
+import { displayUrl } from "./contact-info";
+import { formatMonth, readMonth } from "./entry-dates";
+import { entryShapes, entrySections } from "./resume-sections";
+
+// Empty values for the resume builder form
+export const emptyResumeForm = {
+  contactInfo: {},
+  summary: "",
+  skills: "",
+  ...Object.fromEntries(entrySections.map((section) => [section.key, []])),
+  customSections: [],
+  layout: { order: [], hidden: [] },
+};
+
+// Helper function to split a free-text description into bullet points, one
+// per line, without their list markers
+export function descriptionToBullets(description = "") {
+  return description
+    .split("\n")
+    .map((line) => line.replace(/^\s*(?:[-*•▪◦]|\d+[.)])\s*/, "").trim())
+    .filter(Boolean);
+}
+
+// Bullets of a dated entry; entries saved before bullets existed only have
+// a description
+export const entryBullets = (entry) =>
+  Array.isArray(entry.bullets)
+    ? entry.bullets.filter((bullet) => bullet.trim())
+    : descriptionToBullets(entry.description);
+
+const datedSectionKeys = entrySections
+  .filter((section) => section.shape === "dated")
+  .map((section) => section.key);
+
+// Month fields saved as display text ("Jan 2020") are read back as
+// "yyyy-MM"; values that are not a month are left for the user to fix
+const migrateDates = (entry, shape) => {
+  const migrated = { ...entry };
+  entryShapes[shape].fields
+    .filter((field) => field.type === "month")
+    .forEach(({ name }) => {
+      migrated[name] = readMonth(entry[name]) ?? entry[name];
+    });
+  return migrated;
+};
+
+// Helper function to move saved form data onto the current entry shape:
+// descriptions of dated entries become bullet lists and dates are stored
+// as "yyyy-MM"
+export function migrateFormData(formData) {
+  const migrated = { ...emptyResumeForm, ...formData };
+  entrySections.forEach(({ key, shape }) => {
+    migrated[key] = (migrated[key] || []).map((entry) => migrateDates(entry, shape));
+  });
+  datedSectionKeys.forEach((key) => {
+    migrated[key] = migrated[key].map((entry) => {
+      if (Array.isArray(entry.bullets)) return entry;
+      const { description, ...rest } = entry;
+      return { ...rest, bullets: descriptionToBullets(description) };
+    });
+  });
+  migrated.customSections = (migrated.customSections || []).map((section) => ({
+    ...section,
+    entries: (section.entries || []).map((entry) => migrateDates(entry, "custom")),
+  }));
+  return migrated;
+}
+
+// Helper function to render the date line of an entry of any shape
+export function entryDateLine(entry, shape = "dated") {
+  switch (shape) {
+    case "dated":
+      return entry.current
+        ? `${formatMonth(entry.startDate)} - Present`
+        : `${formatMonth(entry.startDate)} - ${formatMonth(entry.endDate)}`;
+    case "certification":
+      return [
+        entry.date && `Issued ${formatMonth(entry.date)}`,
+        entry.expiryDate && `Expires ${formatMonth(entry.expiryDate)}`,
+      ]
+        .filter(Boolean)
+        .join(" | ");
+    case "language":
+      return entry.proficiency || "";
+    default:
+      return formatMonth(entry.date);
+  }
+}
+
+const entryToMarkdown = (entry, shape) => {
+  const heading = entry.organization
+    ? `### ${entry.title} @ ${entry.organization}`
+    : `### ${entry.title}`;
+  return [
+    [heading, entryDateLine(entry, shape)].filter(Boolean).join("\n"),
+    entry.url && `[${entry.url}](${entry.url})`,
+    entry.description,
+  ]
+    .filter(Boolean)
+    .join("\n\n");
+};
+
 // Helper function to convert entries to markdown
-export function entriesToMarkdown(entries, type) {
+export function entriesToMarkdown(entries, type, shape = "dated") {
   if (!entries?.length) return "";
 
-  return (
-    `## ${type}\n\n` +
-    entries
-      .map((entry) => {
-        const dateRange = entry.current
-          ? `${entry.startDate} - Present`
-          : `${entry.startDate} - ${entry.endDate}`;
-        return `### ${entry.title} @ ${entry.organization}\n${dateRange}\n\n${entry.description}`;
-      })
-      .join("\n\n")
+  // Languages are short enough to read as a list
+  if (shape === "language") {
+    return (
+      `## ${type}\n\n` +
+      entries
+        .map((entry) =>
+          entry.proficiency ? `- **${entry.title}**: ${entry.proficiency}` : `- **${entry.title}**`
+        )
+        .join("\n")
+    );
+  }
+
+  if (shape === "dated") {
+    return (
+      `## ${type}\n\n` +
+      entries
+        .map((entry) => {
+          const dateRange = entryDateLine(entry, shape);
+          const bullets = entryBullets(entry).map((bullet) => `- ${bullet}`);
+          return [
+            `### ${entry.title} @ ${entry.organization}\n${dateRange}`,
+            bullets.join("\n"),
+          ]
+            .filter(Boolean)
+            .join("\n\n");
+        })
+        .join("\n\n")
+    );
+  }
+
+  return `## ${type}\n\n` + entries.map((entry) => entryToMarkdown(entry, shape)).join("\n\n");
+}
+
+// Helper function to render the contact block of the resume form
+// Plain text only: ATS parsers misread the emoji and icons often used as
+// labels here. Links show their address so it survives copy and paste.
+export function contactToMarkdown(contactInfo = {}) {
+  const link = (url) => `[${displayUrl(url)}](${url})`;
+  const parts = [
+    contactInfo.name && `**${contactInfo.name}**`,
+    contactInfo.location,
+    contactInfo.email,
+    contactInfo.mobile,
+    ...["linkedin", "github", "portfolio", "website", "twitter"]
+      .filter((field) => contactInfo[field])
+      .map((field) => link(contactInfo[field])),
+    ...(contactInfo.links || [])
+      .filter((extra) => extra.label && extra.url)
+      .map((extra) => `${extra.label}: ${link(extra.url)}`),
+  ].filter(Boolean);
+
+  return parts.length > 0
+    ? `## Contact Information\n\n${parts.join(" | ")}`
+    : "";
+}
+
+export const customSectionId = (section) => `custom-${section.id}`;
+
+// Helper function to list the sections after the contact header in the
+// user's order. Sections missing from layout.order (e.g. a newly added
+// custom section) keep their default position relative to each other at
+// the end.
+export function resumeSections(formData) {
+  const { layout = {}, customSections = [] } = formData;
+  const order = layout.order || [];
+  const hidden = layout.hidden || [];
+
+  const sections = [
+    { id: "summary", label: "Professional Summary" },
+    { id: "skills", label: "Skills" },
+    ...entrySections.map(({ key, heading }) => ({ id: key, label: heading })),
+    ...customSections.map((section) => ({
+      id: customSectionId(section),
+      label: section.title || "Untitled section",
+    })),
+  ];
+
+  const position = (id) => {
+    const index = order.indexOf(id);
+    return index === -1 ? order.length : index;
+  };
+
+  // Array.prototype.sort is stable, so ties keep the default order
+  return sections
+    .map((section) => ({ ...section, hidden: hidden.includes(section.id) }))
+    .sort((a, b) => position(a.id) - position(b.id));
+}
+
+const visibleEntries = (entries = []) => entries.filter((entry) => !entry.hidden);
+
+const sectionToMarkdown = (formData, id) => {
+  if (id === "summary") {
+    return formData.summary && `## Professional Summary\n\n${formData.summary}`;
+  }
+  if (id === "skills") {
+    return formData.skills && `## Skills\n\n${formData.skills}`;
+  }
+
+  const entrySection = entrySections.find((section) => section.key === id);
+  if (entrySection) {
+    return entriesToMarkdown(
+      visibleEntries(formData[id]),
+      entrySection.heading,
+      entrySection.shape
+    );
+  }
+
+  const custom = (formData.customSections || []).find(
+    (section) => customSectionId(section) === id
   );
+  return custom && entriesToMarkdown(visibleEntries(custom.entries), custom.title, "custom");
+};
+
+// Helper function to render the whole resume form to markdown, leaving out
+// hidden sections and entries
+export function resumeToMarkdown(formData) {
+  return [
+    contactToMarkdown(formData.contactInfo),
+    ...resumeSections(formData)
+      .filter((section) => !section.hidden)
+      .map((section) => sectionToMarkdown(formData, section.id)),
+  ]
+    .filter(Boolean)
+    .join("\n\n");
+}
+
+const sectionKeys = {
+  "contact information": "contact",
+  "professional summary": "summary",
+  summary: "summary",
+  skills: "skills",
+  "work experience": "experience",
+  experience: "experience",
+  education: "education",
+  projects: "projects",
+  certifications: "certifications",
+  publications: "publications",
+  awards: "awards",
+  "volunteer experience": "volunteer",
+  volunteer: "volunteer",
+  languages: "languages",
+};
+
+const toSectionKey = (heading) =>
+  sectionKeys[heading.toLowerCase()] ||
+  heading.toLowerCase().replace(/[^a-z0-9]+/g, "-");
+
+// Helper function to split resume markdown into its "## Heading" sections
+export function splitMarkdownSections(markdown = "") {
+  const sections = [];
+  let current = { key: "intro", heading: null, lines: [] };
+
+  for (const line of markdown.split("\n")) {
+    const match = line.match(/^##\s+(.+)$/);
+    if (match) {
+      sections.push(current);
+      current = { key: toSectionKey(match[1].trim()), heading: match[1].trim(), lines: [] };
+    } else {
+      current.lines.push(line);
+    }
+  }
+  sections.push(current);
+
+  return sections
+    .map((section) => ({ ...section, markdown: section.lines.join("\n").trim() }))
+    .filter((section) => section.markdown);
+}
+
+const entryKey = (entry) =>
+  `${entry.title}|${entry.organization}`.toLowerCase().replace(/\s+/g, " ").trim();
+
+// Helper function to apply imported resume content to the current form
+// values. "replace" overwrites every imported section; "merge" keeps the
+// existing entries and skills, adds the new ones and only fills an empty
+// summary and empty contact fields. An imported section order (`layout`)
+// only replaces the current one in "replace" mode.
+export function mergeResumeContent(current, incoming, mode = "replace") {
+  const next = { ...current };
+
+  if (incoming.contactInfo && Object.keys(incoming.contactInfo).length > 0) {
+    next.contactInfo =
+      mode === "merge"
+        ? Object.fromEntries(
+            Object.entries({ ...incoming.contactInfo, ...current.contactInfo }).map(
+              ([key, value]) => [key, value || incoming.contactInfo[key]]
+            )
+          )
+        : incoming.contactInfo;
+
+    // Extra links are combined, skipping addresses that are already there
+    if (mode === "merge" && incoming.contactInfo.links?.length) {
+      const existing = current.contactInfo?.links || [];
+      const urls = existing.map((extra) => extra.url);
+      next.contactInfo.links = [
+        ...existing,
+        ...incoming.contactInfo.links.filter((extra) => !urls.includes(extra.url)),
+      ];
+    }
+  }
+
+  if (incoming.summary && (mode !== "merge" || !current.summary)) {
+    next.summary = incoming.summary;
+  }
+
+  if (incoming.skills) {
+    next.skills =
+      mode === "merge" && current.skills && !current.skills.includes(incoming.skills)
+        ? `${current.skills}\n${incoming.skills}`
+        : incoming.skills;
+  }
+
+  entrySections.forEach(({ key: section }) => {
+    const entries = incoming[section] || [];
+    if (!entries.length) return;
+    if (mode === "merge") {
+      const existing = current[section] || [];
+      const keys = existing.map(entryKey);
+      next[section] = [
+        ...existing,
+        ...entries.filter((entry) => !keys.includes(entryKey(entry))),
+      ];
+    } else {
+      next[section] = entries;
+    }
+  });
+
+  // Custom sections are matched by title; merged sections keep their
+  // existing entries and gain the new ones
+  if (incoming.customSections?.length) {
+    const existing = mode === "merge" ? current.customSections || [] : [];
+    const sections = existing.map((section) => ({ ...section }));
+    incoming.customSections.forEach((section) => {
+      const match = sections.find(
+        (candidate) => candidate.title.toLowerCase() === section.title.toLowerCase()
+      );
+      if (match) {
+        const keys = match.entries.map(entryKey);
+        match.entries = [
+          ...match.entries,
+          ...section.entries.filter((entry) => !keys.includes(entryKey(entry))),
+        ];
+      } else {
+        sections.push(section);
+      }
+    });
+    next.customSections = sections;
+  }
+
+  if (incoming.layout && mode !== "merge") {
+    next.layout = incoming.layout;
+  }
+
+  return next;
 }
@@ -0,0 +1,301 @@
+import { normalizePhone } from "./contact-info";
+import { readMonth } from "./entry-dates";
+import { customSectionId, entryBullets, resumeSections } from "./helper";
+
+// Conversion between the resume builder form and the JSON Resume format
+// (https://jsonresume.org/schema)
+
+const JSON_RESUME_SCHEMA =
+  "https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json";
+
+// JSON Resume dates are ISO 8601 ("2020-01-15", "2020-01" or "2020"), the
+// builder stores "yyyy-MM". A year on its own is kept as it is and flagged
+// in the import review for the user to pick the month.
+const fromIsoDate = (value) => (value ? readMonth(value) ?? value : "");
+
+const toIsoDate = (value) => {
+  if (/^\d{4}$/.test(value || "")) return value;
+  return readMonth(value) || undefined;
+};
+
+// A summary and highlights both become bullets; the builder has no
+// separate summary for an entry
+const toBullets = (summary, highlights = []) =>
+  [summary, ...highlights].map((bullet) => bullet?.trim()).filter(Boolean);
+
+const findProfile = (profiles = [], networks) =>
+  profiles.find((profile) =>
+    networks.includes(profile.network?.toLowerCase())
+  );
+
+const toEntry = ({ title, organization, startDate, endDate, bullets }) => ({
+  title: title || "",
+  organization: organization || "",
+  startDate: fromIsoDate(startDate),
+  endDate: fromIsoDate(endDate),
+  bullets,
+  current: Boolean(startDate) && !endDate,
+});
+
+export function fromJsonResume(json) {
+  const basics = json.basics || {};
+  const linkedin = findProfile(basics.profiles, ["linkedin"]);
+  const github = findProfile(basics.profiles, ["github"]);
+  const twitter = findProfile(basics.profiles, ["twitter", "x"]);
+  const portfolio = findProfile(basics.profiles, ["portfolio"]);
+  // Every other profile becomes an extra labelled link
+  const links = (basics.profiles || [])
+    .filter(
+      (profile) =>
+        profile.url && ![linkedin, github, twitter, portfolio].includes(profile)
+    )
+    .map((profile) => ({ label: profile.network || "Link", url: profile.url }));
+  const location = basics.location || {};
+
+  const contactInfo = Object.fromEntries(
+    Object.entries({
+      name: basics.name,
+      email: basics.email,
+      mobile: basics.phone && (normalizePhone(basics.phone) || basics.phone),
+      location: [location.address, location.city, location.region, location.countryCode]
+        .filter(Boolean)
+        .join(", "),
+      linkedin: linkedin?.url,
+      github: github?.url,
+      portfolio: portfolio?.url,
+      website: basics.url,
+      twitter: twitter?.url,
+      links: links.length ? links : undefined,
+    }).filter(([, value]) => value)
+  );
+
+  // Skills with keywords read as "Languages: Go, Python", one group per line
+  const skills = (json.skills || [])
+    .map((skill) =>
+      skill.keywords?.length
+        ? `${skill.name}: ${skill.keywords.join(", ")}`
+        : skill.name
+    )
+    .filter(Boolean)
+    .join("\n");
+
+  return {
+    contactInfo,
+    summary: basics.summary || "",
+    skills,
+    experience: (json.work || []).map((work) =>
+      toEntry({
+        title: work.position,
+        organization: work.name,
+        startDate: work.startDate,
+        endDate: work.endDate,
+        bullets: toBullets(work.summary, work.highlights),
+      })
+    ),
+    education: (json.education || []).map((education) =>
+      toEntry({
+        title: [education.studyType, education.area]
+          .filter(Boolean)
+          .join(" in "),
+        organization: education.institution,
+        startDate: education.startDate,
+        endDate: education.endDate,
+        bullets: toBullets(
+          education.score && `GPA: ${education.score}`,
+          education.courses
+        ),
+      })
+    ),
+    projects: (json.projects || []).map((project) =>
+      toEntry({
+        title: project.name,
+        organization: project.entity,
+        startDate: project.startDate,
+        endDate: project.endDate,
+        bullets: toBullets(project.description, project.highlights),
+      })
+    ),
+    certifications: (json.certificates || []).map((certificate) => ({
+      title: certificate.name || "",
+      organization: certificate.issuer || "",
+      date: fromIsoDate(certificate.date),
+      expiryDate: "",
+      url: certificate.url || "",
+      description: "",
+    })),
+    languages: (json.languages || []).map((language) => ({
+      title: language.language || "",
+      proficiency: language.fluency || "",
+    })),
+    awards: (json.awards || []).map((award) => ({
+      title: award.title || "",
+      organization: award.awarder || "",
+      date: fromIsoDate(award.date),
+      description: award.summary || "",
+    })),
+    publications: (json.publications || []).map((publication) => ({
+      title: publication.name || "",
+      organization: publication.publisher || "",
+      date: fromIsoDate(publication.releaseDate),
+      url: publication.url || "",
+      description: publication.summary || "",
+    })),
+    volunteer: (json.volunteer || []).map((volunteer) =>
+      toEntry({
+        title: volunteer.position,
+        organization: volunteer.organization,
+        startDate: volunteer.startDate,
+        endDate: volunteer.endDate,
+        bullets: toBullets(volunteer.summary, volunteer.highlights),
+      })
+    ),
+    // JSON Resume has no free-form sections or section order, so they
+    // travel in meta
+    customSections: (json.meta?.customSections || []).map((section) => ({
+      id: section.id || crypto.randomUUID(),
+      title: section.title || "",
+      entries: (section.entries || []).map((entry) => ({
+        title: entry.title || "",
+        organization: entry.subtitle || "",
+        date: fromIsoDate(entry.date),
+        description: entry.summary || "",
+      })),
+    })),
+    ...(Array.isArray(json.meta?.layout?.order) && {
+      layout: {
+        order: json.meta.layout.order.filter((id) => typeof id === "string"),
+        hidden: [],
+      },
+    }),
+  };
+}
+
+// Only what the resume shows is exported: hidden sections and entries are
+// left out and sections keep the user's order
+export function toJsonResume(formData, { targetRole } = {}) {
+  const contactInfo = formData.contactInfo || {};
+  const sections = resumeSections(formData).filter((section) => !section.hidden);
+  const isShown = (id) => sections.some((section) => section.id === id);
+  const shownEntries = (key) =>
+    isShown(key) ? (formData[key] || []).filter((entry) => !entry.hidden) : [];
+
+  const profiles = [
+    contactInfo.linkedin && { network: "LinkedIn", url: contactInfo.linkedin },
+    contactInfo.github && { network: "GitHub", url: contactInfo.github },
+    contactInfo.twitter && { network: "Twitter", url: contactInfo.twitter },
+    contactInfo.portfolio && { network: "Portfolio", url: contactInfo.portfolio },
+    ...(contactInfo.links || []).map((extra) => ({ network: extra.label, url: extra.url })),
+  ].filter(Boolean);
+
+  const skills = (isShown("skills") ? formData.skills || "" : "")
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .flatMap((line) => {
+      const [name, keywords] = line.split(/:(.*)/s);
+      if (keywords) {
+        return [
+          {
+            name: name.trim(),
+            keywords: keywords.split(",").map((keyword) => keyword.trim()).filter(Boolean),
+          },
+        ];
+      }
+      return line
+        .split(",")
+        .map((skill) => skill.trim())
+        .filter(Boolean)
+        .map((skill) => ({ name: skill }));
+    });
+
+  const dates = (entry) => ({
+    startDate: toIsoDate(entry.startDate),
+    endDate: entry.current ? undefined : toIsoDate(entry.endDate),
+  });
+
+  return {
+    $schema: JSON_RESUME_SCHEMA,
+    basics: {
+      name: contactInfo.name,
+      label: targetRole || undefined,
+      email: contactInfo.email,
+      phone: contactInfo.mobile,
+      url: contactInfo.website || undefined,
+      // The builder keeps the location as one line of text
+      location: contactInfo.location ? { address: contactInfo.location } : undefined,
+      summary: (isShown("summary") && formData.summary) || undefined,
+      profiles,
+    },
+    work: shownEntries("experience").map((entry) => ({
+      name: entry.organization,
+      position: entry.title,
+      ...dates(entry),
+      highlights: entryBullets(entry),
+    })),
+    education: shownEntries("education").map((entry) => {
+      // A "GPA: 3.8" bullet is the score, the other bullets are courses
+      const bullets = entryBullets(entry);
+      const gpa = bullets.find((bullet) => /^GPA:/i.test(bullet));
+      return {
+        institution: entry.organization,
+        studyType: entry.title,
+        ...dates(entry),
+        score: gpa?.match(/GPA:\s*(\S+)/i)?.[1],
+        courses: bullets.filter((bullet) => bullet !== gpa),
+      };
+    }),
+    skills,
+    projects: shownEntries("projects").map((entry) => ({
+      name: entry.title,
+      entity: entry.organization || undefined,
+      ...dates(entry),
+      highlights: entryBullets(entry),
+    })),
+    certificates: shownEntries("certifications").map((entry) => ({
+      name: entry.title,
+      issuer: entry.organization || undefined,
+      date: toIsoDate(entry.date),
+      url: entry.url || undefined,
+    })),
+    languages: shownEntries("languages").map((entry) => ({
+      language: entry.title,
+      fluency: entry.proficiency || undefined,
+    })),
+    awards: shownEntries("awards").map((entry) => ({
+      title: entry.title,
+      awarder: entry.organization || undefined,
+      date: toIsoDate(entry.date),
+      summary: entry.description || undefined,
+    })),
+    publications: shownEntries("publications").map((entry) => ({
+      name: entry.title,
+      publisher: entry.organization || undefined,
+      releaseDate: toIsoDate(entry.date),
+      url: entry.url || undefined,
+      summary: entry.description || undefined,
+    })),
+    volunteer: shownEntries("volunteer").map((entry) => ({
+      organization: entry.organization,
+      position: entry.title,
+      ...dates(entry),
+      highlights: entryBullets(entry),
+    })),
+    meta: {
+      layout: { order: sections.map((section) => section.id) },
+      customSections: (formData.customSections || [])
+        .filter((section) => isShown(customSectionId(section)))
+        .map((section) => ({
+          id: section.id,
+          title: section.title,
+          entries: section.entries
+            .filter((entry) => !entry.hidden)
+            .map((entry) => ({
+              title: entry.title,
+              subtitle: entry.organization || undefined,
+              date: toIsoDate(entry.date),
+              summary: entry.description || undefined,
+            })),
+        })),
+    },
+  };
+}
@@ -0,0 +1,176 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { fromJsonResume, toJsonResume } from "./json-resume.js";
+import { emptyResumeForm, mergeResumeContent } from "./helper.js";
+import { resumeSchema } from "./schema.js";
+
+const formData = {
+  contactInfo: {
+    name: "Jane Doe",
+    email: "jane@example.com",
+    mobile: "+1 415 555 2671",
+    location: "Berlin, Germany",
+    linkedin: "https://linkedin.com/in/jane",
+    github: "https://github.com/jane",
+    website: "https://jane.dev",
+    links: [{ label: "Mastodon", url: "https://mastodon.social/@jane" }],
+  },
+  summary: "Backend engineer.",
+  skills: "Languages: Go, Python\nDocker",
+  experience: [
+    {
+      title: "Senior Engineer",
+      organization: "Acme",
+      startDate: "2020-01",
+      endDate: "",
+      current: true,
+      bullets: ["Led the platform team"],
+    },
+    {
+      title: "Engineer",
+      organization: "Initech",
+      startDate: "2016-03",
+      endDate: "2019-12",
+      current: false,
+      bullets: ["Built the billing service", "Cut costs by 20%"],
+    },
+  ],
+  education: [
+    {
+      title: "BSc in Computer Science",
+      organization: "State University",
+      startDate: "2012-09",
+      endDate: "2016-06",
+      current: false,
+      bullets: ["GPA: 3.8", "Distributed Systems"],
+    },
+  ],
+  projects: [],
+  certifications: [
+    {
+      title: "CKA",
+      organization: "CNCF",
+      date: "2021-05",
+      expiryDate: "",
+      url: "https://cncf.io/cka",
+      description: "",
+    },
+  ],
+  languages: [{ title: "German", proficiency: "Fluent" }],
+  awards: [],
+  publications: [],
+  volunteer: [],
+  customSections: [
+    {
+      id: "talks",
+      title: "Talks",
+      entries: [
+        { title: "Scaling Go", organization: "GopherCon", date: "2022-07", description: "" },
+      ],
+    },
+  ],
+};
+
+test("an exported resume imports back to the same form values", () => {
+  const { layout, ...imported } = fromJsonResume(toJsonResume(formData));
+  assert.deepEqual(imported, formData);
+  assert.deepEqual(layout.order, [
+    "summary",
+    "skills",
+    "experience",
+    "education",
+    "projects",
+    "certifications",
+    "publications",
+    "awards",
+    "volunteer",
+    "languages",
+    "custom-talks",
+  ]);
+});
+
+test("the export follows the JSON Resume schema's field names and ISO dates", () => {
+  const json = toJsonResume(formData, { targetRole: "Staff Engineer" });
+  assert.equal(json.basics.label, "Staff Engineer");
+  assert.deepEqual(json.basics.profiles.map((profile) => profile.network), [
+    "LinkedIn",
+    "GitHub",
+    "Mastodon",
+  ]);
+  assert.deepEqual(json.work[0], {
+    name: "Acme",
+    position: "Senior Engineer",
+    startDate: "2020-01",
+    endDate: undefined,
+    highlights: ["Led the platform team"],
+  });
+  assert.equal(json.education[0].score, "3.8");
+  assert.deepEqual(json.education[0].courses, ["Distributed Systems"]);
+  assert.deepEqual(json.skills, [
+    { name: "Languages", keywords: ["Go", "Python"] },
+    { name: "Docker" },
+  ]);
+});
+
+test("full ISO dates are read as months and a year alone is kept for review", () => {
+  const { experience } = fromJsonResume({
+    work: [
+      { name: "Acme", position: "Engineer", startDate: "2019-03-15", endDate: "2020-01-31" },
+      { name: "Initech", position: "Intern", startDate: "2018" },
+    ],
+  });
+  assert.equal(experience[0].startDate, "2019-03");
+  assert.equal(experience[0].endDate, "2020-01");
+  assert.equal(experience[0].current, false);
+  assert.equal(experience[1].startDate, "2018");
+  assert.equal(experience[1].current, true);
+});
+
+test("imported contact details are normalized and extra profiles become links", () => {
+  const { contactInfo } = fromJsonResume({
+    basics: {
+      name: "Jane",
+      phone: "+14155552671",
+      location: { city: "Berlin", countryCode: "DE" },
+      profiles: [
+        { network: "LinkedIn", url: "https://linkedin.com/in/jane" },
+        { network: "Dribbble", url: "https://dribbble.com/jane" },
+      ],
+    },
+  });
+  assert.equal(contactInfo.mobile, "+1 415 555 2671");
+  assert.equal(contactInfo.location, "Berlin, DE");
+  assert.deepEqual(contactInfo.links, [{ label: "Dribbble", url: "https://dribbble.com/jane" }]);
+});
+
+test("an imported resume with full dates passes the form's validation", () => {
+  const imported = fromJsonResume(toJsonResume(formData));
+  assert.equal(resumeSchema.safeParse({ ...emptyResumeForm, ...imported }).success, true);
+});
+
+test("hidden sections and entries are left out of the export", () => {
+  const json = toJsonResume({
+    ...formData,
+    experience: [formData.experience[0], { ...formData.experience[1], hidden: true }],
+    layout: { order: [], hidden: ["summary", "languages", "custom-talks"] },
+  });
+  assert.deepEqual(json.work.map((work) => work.name), ["Acme"]);
+  assert.equal(json.basics.summary, undefined);
+  assert.deepEqual(json.languages, []);
+  assert.deepEqual(json.meta.customSections, []);
+  assert.ok(!json.meta.layout.order.includes("summary"));
+});
+
+test("the section order is exported and restored when an import replaces the form", () => {
+  const order = ["education", "custom-talks", "experience"];
+  const json = toJsonResume({ ...formData, layout: { order, hidden: [] } });
+  assert.deepEqual(json.meta.layout.order.slice(0, 3), order);
+
+  const imported = fromJsonResume(json);
+  const current = { ...emptyResumeForm, layout: { order: ["skills"], hidden: ["projects"] } };
+  assert.deepEqual(
+    mergeResumeContent(current, imported, "replace").layout,
+    { order: json.meta.layout.order, hidden: [] }
+  );
+  assert.deepEqual(mergeResumeContent(current, imported, "merge").layout, current.layout);
+});
@@ -0,0 +1,110 @@
+import {
+  awardSchema,
+  certificationSchema,
+  customEntrySchema,
+  entrySchema,
+  languageSchema,
+  publicationSchema,
+} from "./schema";
+
+// Entry shapes for the list sections of a resume. Every shape keeps its
+// main fields in title and organization so entries of any section can be
+// shown, matched and deduplicated the same way; the remaining fields depend
+// on the kind of section.
+export const entryShapes = {
+  dated: {
+    schema: entrySchema,
+    fields: [
+      { name: "title", label: "Title/Position" },
+      { name: "organization", label: "Organization/Company" },
+      { name: "startDate", label: "Start Date", type: "month" },
+      { name: "endDate", label: "End Date", type: "month" },
+      { name: "bullets", label: "Bullet Points", type: "bullets" },
+    ],
+  },
+  certification: {
+    schema: certificationSchema,
+    fields: [
+      { name: "title", label: "Certification Name" },
+      { name: "organization", label: "Issuing Organization" },
+      { name: "date", label: "Issue Date", type: "month" },
+      { name: "expiryDate", label: "Expiry Date", type: "month" },
+      { name: "url", label: "Credential URL", type: "url" },
+      { name: "description", label: "Description", type: "textarea" },
+    ],
+  },
+  language: {
+    schema: languageSchema,
+    fields: [
+      { name: "title", label: "Language" },
+      { name: "proficiency", label: "Proficiency", type: "select" },
+    ],
+  },
+  award: {
+    schema: awardSchema,
+    fields: [
+      { name: "title", label: "Award" },
+      { name: "organization", label: "Awarded By" },
+      { name: "date", label: "Date", type: "month" },
+      { name: "description", label: "Description", type: "textarea" },
+    ],
+  },
+  publication: {
+    schema: publicationSchema,
+    fields: [
+      { name: "title", label: "Title" },
+      { name: "organization", label: "Publisher/Venue" },
+      { name: "date", label: "Publication Date", type: "month" },
+      { name: "url", label: "URL", type: "url" },
+      { name: "description", label: "Authors, summary or citation", type: "textarea" },
+    ],
+  },
+  custom: {
+    schema: customEntrySchema,
+    fields: [
+      { name: "title", label: "Title" },
+      { name: "organization", label: "Subtitle/Organization" },
+      { name: "date", label: "Date", type: "month" },
+      { name: "description", label: "Description", type: "textarea" },
+    ],
+  },
+};
+
+export const proficiencyLevels = [
+  "Native",
+  "Fluent",
+  "Professional",
+  "Conversational",
+  "Basic",
+];
+
+// Every list section of the form, in the order they are rendered. User
+// defined sections live in formData.customSections and use the "custom" shape.
+export const entrySections = [
+  { key: "experience", heading: "Work Experience", entryLabel: "Experience", shape: "dated" },
+  { key: "education", heading: "Education", entryLabel: "Education", shape: "dated" },
+  { key: "projects", heading: "Projects", entryLabel: "Project", shape: "dated" },
+  { key: "certifications", heading: "Certifications", entryLabel: "Certification", shape: "certification" },
+  { key: "publications", heading: "Publications", entryLabel: "Publication", shape: "publication" },
+  { key: "awards", heading: "Awards", entryLabel: "Award", shape: "award" },
+  { key: "volunteer", heading: "Volunteer Experience", entryLabel: "Volunteer Role", shape: "dated" },
+  { key: "languages", heading: "Languages", entryLabel: "Language", shape: "language" },
+];
+
+export const entrySectionKeys = entrySections.map((section) => section.key);
+
+// Empty values for an entry of the given shape
+export const emptyEntry = (shape) =>
+  Object.fromEntries([
+    ...entryShapes[shape].fields.map((field) => [
+      field.name,
+      field.type === "bullets" ? [] : "",
+    ]),
+    ...(shape === "dated" ? [["current", false]] : []),
+  ]);
+
+export const newCustomSection = (title = "") => ({
+  id: crypto.randomUUID(),
+  title,
+  entries: [],
+});
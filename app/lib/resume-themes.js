@@ -0,0 +1,159 @@
+import { markdownToHtml, renderDocumentHtml } from "./document-html";
+import { splitMarkdownSections } from "./helper";
+
+// Visual themes for resumes. A theme only changes how the resume is
+// rendered (typography, layout, columns and print styles); the content
+// always comes from the user's own resume.
+
+export const resumeThemes = [
+  {
+    id: "modern",
+    name: "Modern",
+    description: "Clean sans-serif layout with a blue accent",
+    layout: "single",
+    styles: `
+      body { font-family: "Helvetica Neue", Arial, sans-serif; color: #1f2937; }
+      .resume-header { border-left: 4pt solid #2563eb; padding-left: 10pt; margin-bottom: 12pt; }
+      .resume-header h1 { font-size: 24pt; margin: 0; color: #111827; }
+      .resume-header .contact { color: #4b5563; margin-top: 4pt; }
+      h2 { color: #2563eb; text-transform: uppercase; letter-spacing: 0.08em; font-size: 11pt; border-bottom: 1.5pt solid #2563eb; }
+      h3 { color: #111827; }
+    `,
+  },
+  {
+    id: "professional",
+    name: "Professional",
+    description: "Traditional serif layout with a centered header",
+    layout: "single",
+    styles: `
+      body { font-family: Georgia, "Times New Roman", serif; font-size: 11pt; color: #1a1a1a; }
+      .resume-header { text-align: center; border-bottom: 2pt solid #1e3a5f; padding-bottom: 8pt; margin-bottom: 10pt; }
+      .resume-header h1 { font-size: 22pt; margin: 0; color: #1e3a5f; font-variant: small-caps; letter-spacing: 0.05em; }
+      .resume-header .contact { margin-top: 4pt; }
+      h2 { color: #1e3a5f; font-variant: small-caps; font-size: 13pt; border-bottom: 0.75pt solid #1e3a5f; }
+      h3 { font-style: italic; }
+    `,
+  },
+  {
+    id: "minimal",
+    name: "Minimal",
+    description: "Understated typography with generous whitespace",
+    layout: "single",
+    styles: `
+      @page { margin: 22mm 20mm; }
+      body { font-family: "Helvetica Neue", Arial, sans-serif; font-size: 10pt; font-weight: 300; color: #374151; line-height: 1.6; }
+      .resume-header { margin-bottom: 18pt; }
+      .resume-header h1 { font-size: 20pt; font-weight: 300; margin: 0; letter-spacing: 0.02em; }
+      .resume-header .contact { color: #6b7280; font-size: 9pt; margin-top: 4pt; }
+      h2 { border: none; color: #9ca3af; text-transform: uppercase; letter-spacing: 0.2em; font-size: 9pt; font-weight: 400; margin-top: 18pt; }
+      h3 { font-weight: 500; font-size: 10.5pt; }
+    `,
+  },
+  {
+    id: "creative",
+    name: "Creative",
+    description: "Two columns with a colored sidebar for skills, education and languages",
+    layout: "sidebar",
+    sidebarSections: ["contact", "skills", "education", "certifications", "languages"],
+    styles: `
+      body { font-family: "Trebuchet MS", Arial, sans-serif; color: #1f2937; }
+      .resume-header { background: #0f766e; color: #ffffff; padding: 14pt 16pt; margin-bottom: 12pt; border-radius: 4pt; }
+      .resume-header h1 { font-size: 24pt; margin: 0; color: #ffffff; }
+      .resume-columns { display: grid; grid-template-columns: 34% 1fr; gap: 14pt; }
+      .resume-sidebar { background: #f0fdfa; padding: 10pt 12pt; border-radius: 4pt; font-size: 9.5pt; }
+      .resume-sidebar h2 { color: #0f766e; border-bottom-color: #99f6e4; margin-top: 4pt; }
+      .resume-main h2 { color: #0f766e; border-bottom: 1.5pt solid #0f766e; }
+      .resume-sidebar .contact-list { list-style: none; padding: 0; }
+      .resume-sidebar .contact-list li { margin-bottom: 4pt; word-break: break-word; }
+    `,
+  },
+];
+
+export const defaultThemeId = resumeThemes[0].id;
+
+export const getResumeTheme = (id) =>
+  resumeThemes.find((theme) => theme.id === id) || resumeThemes[0];
+
+// The contact section is "**Name** | item | item"; the name becomes the
+// document heading and the rest is laid out by the theme
+const parseContact = (markdown) => {
+  const parts = markdown
+    .split(/\s*\|\s*|\n+/)
+    .map((part) => part.trim())
+    .filter(Boolean);
+  const nameIndex = parts.findIndex((part) => /^\*\*.+\*\*$/.test(part));
+  const name = nameIndex >= 0 ? parts[nameIndex].replace(/\*\*/g, "") : "";
+  const items = parts.filter((_, index) => index !== nameIndex);
+  return { name, items };
+};
+
+const renderInline = (markdown) =>
+  markdownToHtml(markdown).replace(/^<p>|<\/p>\s*$/g, "");
+
+const renderSection = ({ key, heading, markdown }) =>
+  `<section class="resume-section section-${key}">
+    ${heading ? `<h2>${renderInline(heading)}</h2>` : ""}
+    ${markdownToHtml(markdown)}
+  </section>`;
+
+export function renderResumeBody(content, themeId) {
+  const theme = getResumeTheme(themeId);
+  const sections = splitMarkdownSections(content);
+  const contactSection = sections.find((section) => section.key === "contact");
+  const contact = contactSection ? parseContact(contactSection.markdown) : null;
+  const bodySections = sections.filter((section) => section !== contactSection);
+
+  if (theme.layout === "sidebar") {
+    const sidebar = bodySections.filter((section) =>
+      theme.sidebarSections.includes(section.key)
+    );
+    const main = bodySections.filter((section) => !sidebar.includes(section));
+
+    return `<div class="resume theme-${theme.id}">
+      ${contact?.name ? `<header class="resume-header"><h1>${renderInline(contact.name)}</h1></header>` : ""}
+      <div class="resume-columns">
+        <aside class="resume-sidebar">
+          ${
+            contact?.items.length
+              ? `<section class="resume-section section-contact">
+                  <h2>Contact</h2>
+                  <ul class="contact-list">${contact.items
+                    .map((item) => `<li>${renderInline(item)}</li>`)
+                    .join("")}</ul>
+                </section>`
+              : ""
+          }
+          ${sidebar.map(renderSection).join("")}
+        </aside>
+        <main class="resume-main">${main.map(renderSection).join("")}</main>
+      </div>
+    </div>`;
+  }
+
+  return `<div class="resume theme-${theme.id}">
+    ${
+      contact
+        ? `<header class="resume-header">
+            ${contact.name ? `<h1>${renderInline(contact.name)}</h1>` : ""}
+            ${
+              contact.items.length
+                ? `<div class="contact">${contact.items
+                    .map(renderInline)
+                    .join(" &nbsp;|&nbsp; ")}</div>`
+                : ""
+            }
+          </header>`
+        : ""
+    }
+    ${bodySections.map(renderSection).join("")}
+  </div>`;
+}
+
+// Full printable HTML document for the preview and the PDF export
+export function renderResumeHtml({ content, theme, title = "Resume" }) {
+  return renderDocumentHtml({
+    title,
+    body: renderResumeBody(content, theme),
+    styles: getResumeTheme(theme).styles,
+  });
+}
@@ -1,4 +1,6 @@
 import { z } from "zod";
+import { isUrlOnDomain, normalizePhone, profileDomains } from "./contact-info";
+import { MONTH_PATTERN } from "./entry-dates";
 
 export const onboardingSchema = z.object({
   industry: z.string({
@@ -27,22 +29,74 @@ export const onboardingSchema = z.object({
   ),
 });
 
+// Form inputs send "" for an empty link, which z.string().url() rejects
+const optionalUrl = (message) => z.union([z.literal(""), z.string().url(message)]).optional();
+
+const optionalProfileUrl = (network, label) =>
+  z
+    .union([
+      z.literal(""),
+      z
+        .string()
+        .url(`Invalid ${label} URL`)
+        .refine((value) => isUrlOnDomain(value, profileDomains[network]), {
+          message: `${label} URL must be on ${profileDomains[network].join(" or ")}`,
+        }),
+    ])
+    .optional();
+
+// Phone numbers are stored in international format
+const optionalPhone = z
+  .string()
+  .trim()
+  .optional()
+  .transform((value, ctx) => {
+    if (!value) return value;
+    const phone = normalizePhone(value);
+    if (!phone) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: "Enter a valid phone number with its country code, e.g. +1 415 555 2671",
+      });
+      return z.NEVER;
+    }
+    return phone;
+  });
+
+export const contactLinkSchema = z.object({
+  label: z.string().trim().min(1, "Link label is required"),
+  url: z.string().url("Invalid link URL"),
+});
+
 export const contactInfoSchema = z.object({
   name: z.string().min(1, "Name is required"),
-  email: z.string().email("Invalid email address").optional(),
-  mobile: z.string().optional(),
-  linkedin: z.string().url("Invalid LinkedIn URL").optional(),
-  twitter: z.string().url("Invalid Twitter URL").optional(),
+  email: z.union([z.literal(""), z.string().email("Invalid email address")]).optional(),
+  mobile: optionalPhone,
+  location: z.string().optional(),
+  linkedin: optionalProfileUrl("linkedin", "LinkedIn"),
+  github: optionalProfileUrl("github", "GitHub"),
+  portfolio: optionalUrl("Invalid portfolio URL"),
+  website: optionalUrl("Invalid website URL"),
+  twitter: optionalProfileUrl("twitter", "Twitter"),
+  links: z.array(contactLinkSchema).optional(),
 });
 
+// Dates are "yyyy-MM" (see app/lib/entry-dates); being the same length,
+// they compare correctly as strings
+const month = (message) => z.string().regex(MONTH_PATTERN, message);
+const optionalMonth = z.union([z.literal(""), month("Pick a month and year")]).optional();
+
 export const entrySchema = z
   .object({
     title: z.string().min(1, "Title is required"),
     organization: z.string().min(1, "Organization is required"),
-    startDate: z.string().min(1, "Start date is required"),
-    endDate: z.string().optional(),
-    description: z.string().min(1, "Description is required"),
+    startDate: month("Start date is required"),
+    endDate: optionalMonth,
+    bullets: z
+      .array(z.string().trim().min(1, "Bullet points can not be empty"))
+      .min(1, "Add at least one bullet point"),
     current: z.boolean().default(false),
+    hidden: z.boolean().optional(),
   })
   .refine(
     (data) => {
@@ -55,7 +109,70 @@ export const entrySchema = z
       message: "End date is required unless this is your current position",
       path: ["endDate"],
     }
-  );
+  )
+  .refine((data) => data.current || !data.endDate || data.endDate >= data.startDate, {
+    message: "End date can not be before the start date",
+    path: ["endDate"],
+  });
+
+export const certificationSchema = z
+  .object({
+    title: z.string().min(1, "Certification name is required"),
+    organization: z.string().min(1, "Issuing organization is required"),
+    date: optionalMonth,
+    expiryDate: optionalMonth,
+    url: optionalUrl("Invalid credential URL"),
+    description: z.string().optional(),
+    hidden: z.boolean().optional(),
+  })
+  .refine((data) => !data.date || !data.expiryDate || data.expiryDate >= data.date, {
+    message: "Expiry date can not be before the issue date",
+    path: ["expiryDate"],
+  });
+
+export const languageSchema = z.object({
+  title: z.string().min(1, "Language is required"),
+  proficiency: z.string().min(1, "Proficiency is required"),
+  hidden: z.boolean().optional(),
+});
+
+export const awardSchema = z.object({
+  title: z.string().min(1, "Award name is required"),
+  organization: z.string().optional(),
+  date: optionalMonth,
+  description: z.string().optional(),
+  hidden: z.boolean().optional(),
+});
+
+export const publicationSchema = z.object({
+  title: z.string().min(1, "Title is required"),
+  organization: z.string().optional(),
+  date: optionalMonth,
+  url: optionalUrl("Invalid publication URL"),
+  description: z.string().optional(),
+  hidden: z.boolean().optional(),
+});
+
+export const customEntrySchema = z.object({
+  title: z.string().min(1, "Title is required"),
+  organization: z.string().optional(),
+  date: optionalMonth,
+  description: z.string().optional(),
+  hidden: z.boolean().optional(),
+});
+
+export const customSectionSchema = z.object({
+  id: z.string(),
+  title: z.string().min(1, "Section title is required"),
+  entries: z.array(customEntrySchema),
+});
+
+// Order and visibility of the sections after the contact header. Ids are
+// "summary", "skills", the entry section keys and "custom-<id>".
+export const layoutSchema = z.object({
+  order: z.array(z.string()),
+  hidden: z.array(z.string()),
+});
 
 export const resumeSchema = z.object({
   contactInfo: contactInfoSchema,
@@ -64,6 +181,13 @@ export const resumeSchema = z.object({
   experience: z.array(entrySchema),
   education: z.array(entrySchema),
   projects: z.array(entrySchema),
+  certifications: z.array(certificationSchema),
+  languages: z.array(languageSchema),
+  awards: z.array(awardSchema),
+  publications: z.array(publicationSchema),
+  volunteer: z.array(entrySchema),
+  customSections: z.array(customSectionSchema),
+  layout: layoutSchema,
 });
 
 export const coverLetterSchema = z.object({
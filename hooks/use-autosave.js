@@ -0,0 +1,112 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+
+// Saves `value` with `save(value)` once it has stopped changing for `delay`
+// ms. `save` resolves to { conflict, draftSavedAt }; after a conflict nothing
+// is saved until resolveConflict() is called. While the value differs from
+// the last stored one, leaving the page asks for confirmation, including
+// through links inside the app.
+const useAutosave = (value, save, { delay = 2000, enabled = true } = {}) => {
+  const serialized = JSON.stringify(value);
+  const [persisted, setPersisted] = useState(serialized);
+  // idle | saving | saved | error | conflict
+  const [status, setStatus] = useState("idle");
+  const [savedAt, setSavedAt] = useState(null);
+  const saveRef = useRef(save);
+  saveRef.current = save;
+
+  const hasUnsavedChanges = serialized !== persisted;
+
+  useEffect(() => {
+    if (!enabled || !hasUnsavedChanges) return;
+    if (status === "saving" || status === "conflict") return;
+
+    // Failed saves are retried, but less eagerly
+    const wait = status === "error" ? delay * 5 : delay;
+    const timer = setTimeout(async () => {
+      setStatus("saving");
+      try {
+        const result = await saveRef.current(JSON.parse(serialized));
+        if (result?.conflict) {
+          setStatus("conflict");
+          return;
+        }
+        setPersisted(serialized);
+        setSavedAt(new Date(result?.draftSavedAt ?? Date.now()));
+        setStatus("saved");
+      } catch (error) {
+        console.error("Autosave error:", error);
+        setStatus("error");
+      }
+    }, wait);
+
+    return () => clearTimeout(timer);
+  }, [serialized, hasUnsavedChanges, enabled, status, delay]);
+
+  useEffect(() => {
+    if (!hasUnsavedChanges) return;
+
+    const handleBeforeUnload = (event) => {
+      event.preventDefault();
+      event.returnValue = "";
+    };
+
+    // Next.js links change the page without unloading it, so they are
+    // caught before their own click handler runs
+    const handleLinkClick = (event) => {
+      const link = event.target.closest?.("a[href]");
+      if (
+        !link ||
+        event.button !== 0 ||
+        event.metaKey ||
+        event.ctrlKey ||
+        event.shiftKey ||
+        event.altKey ||
+        link.target === "_blank" ||
+        link.hasAttribute("download")
+      ) {
+        return;
+      }
+      const url = new URL(link.href, window.location.href);
+      if (
+        url.origin !== window.location.origin ||
+        (url.pathname === window.location.pathname && url.search === window.location.search)
+      ) {
+        return;
+      }
+      if (!window.confirm("You have unsaved changes. Leave this page?")) {
+        event.preventDefault();
+        event.stopPropagation();
+      }
+    };
+
+    window.addEventListener("beforeunload", handleBeforeUnload);
+    document.addEventListener("click", handleLinkClick, true);
+    return () => {
+      window.removeEventListener("beforeunload", handleBeforeUnload);
+      document.removeEventListener("click", handleLinkClick, true);
+    };
+  }, [hasUnsavedChanges]);
+
+  // For values stored some other way, such as a full save or a reload
+  const markPersisted = useCallback((stored) => {
+    setPersisted(JSON.stringify(stored));
+    setStatus((current) => (current === "conflict" ? current : "idle"));
+  }, []);
+  const reportConflict = useCallback(() => setStatus("conflict"), []);
+  // With keepLocal the value is saved again, over the other copy
+  const resolveConflict = useCallback((keepLocal = false) => {
+    if (keepLocal) setPersisted(null);
+    setStatus("idle");
+  }, []);
+
+  return {
+    status,
+    savedAt,
+    hasUnsavedChanges,
+    markPersisted,
+    reportConflict,
+    resolveConflict,
+  };
+};
+
+export default useAutosave;
@@ -0,0 +1,57 @@
+import { useState } from "react";
+
+// Native HTML5 drag-and-drop reordering for a list of ids. Spread
+// handleProps(id) on the element that starts the drag and targetProps(id) on
+// the row it can be dropped on (often the same element); onReorder receives
+// every id in its new order.
+const useDragReorder = (ids, onReorder) => {
+  const [draggedId, setDraggedId] = useState(null);
+  const [overId, setOverId] = useState(null);
+
+  const reset = () => {
+    setDraggedId(null);
+    setOverId(null);
+  };
+
+  const handleDrop = (targetId) => {
+    if (draggedId !== null && draggedId !== targetId) {
+      const order = [...ids];
+      order.splice(order.indexOf(draggedId), 1);
+      order.splice(ids.indexOf(targetId), 0, draggedId);
+      onReorder(order);
+    }
+    reset();
+  };
+
+  const handleProps = (id) => ({
+    draggable: true,
+    onDragStart: (e) => {
+      e.dataTransfer.effectAllowed = "move";
+      // Firefox only starts a drag when some data is set
+      e.dataTransfer.setData("text/plain", String(id));
+      setDraggedId(id);
+    },
+    onDragEnd: reset,
+  });
+
+  const targetProps = (id) => ({
+    onDragOver: (e) => {
+      if (draggedId === null) return;
+      e.preventDefault();
+      setOverId(id);
+    },
+    onDragLeave: () => setOverId(null),
+    onDrop: (e) => {
+      e.preventDefault();
+      handleDrop(id);
+    },
+  });
+
+  // Highlight for the row the dragged item would land on
+  const isOver = (id) => overId === id && draggedId !== id;
+  const isDragging = (id) => draggedId === id;
+
+  return { handleProps, targetProps, isOver, isDragging };
+};
+
+export default useDragReorder;
@@ -0,0 +1,150 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+
+const isEditable = (element) =>
+  element instanceof HTMLElement &&
+  (element.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(element.tagName));
+
+// Undo/redo over the values of a react-hook-form form. Every step is a
+// snapshot of all values with a label for the history list. Typing is
+// grouped into one step per pause, labeled with describe(fieldName); larger
+// changes such as AI rewrites or imports go through track(label, apply) so
+// they are a step of their own.
+//
+// Ctrl/Cmd+Z undoes and Ctrl/Cmd+Shift+Z or Ctrl+Y redoes. Text fields
+// outside `scopeRef` (e.g. a markdown editor) or inside an element marked
+// data-native-undo keep the browser's own undo.
+const useFormHistory = (
+  { getValues, reset, watch },
+  { initialLabel = "Opened", describe, scopeRef, delay = 1000, limit = 100 } = {}
+) => {
+  const [history, setHistory] = useState(() => ({
+    steps: [{ label: initialLabel, values: structuredClone(getValues()), at: new Date() }],
+    index: 0,
+  }));
+  // Mirrors `history` so the callbacks always see the latest steps
+  const historyRef = useRef(history);
+  const pendingRef = useRef(null);
+  const timerRef = useRef(null);
+  const applyingRef = useRef(false);
+  const describeRef = useRef(describe);
+  describeRef.current = describe;
+
+  const commit = useCallback((next) => {
+    historyRef.current = next;
+    setHistory(next);
+  }, []);
+
+  // Adds the current values as a step, dropping anything that was undone
+  const push = useCallback(
+    (label) => {
+      const { steps, index } = historyRef.current;
+      const kept = steps.slice(0, index + 1);
+      const step = { label, values: structuredClone(getValues()), at: new Date() };
+      const next = [...kept, step].slice(-limit);
+      commit({ steps: next, index: next.length - 1 });
+    },
+    [getValues, limit, commit]
+  );
+
+  // Records typing that has not been turned into a step yet
+  const flush = useCallback(() => {
+    clearTimeout(timerRef.current);
+    if (!pendingRef.current) return;
+    const label = pendingRef.current;
+    pendingRef.current = null;
+    push(label);
+  }, [push]);
+
+  useEffect(() => {
+    const subscription = watch((_, { name }) => {
+      if (applyingRef.current) return;
+      const label = describeRef.current?.(name) || "Edited form";
+      // Edits to different parts of the form in one burst share a step
+      pendingRef.current =
+        pendingRef.current && pendingRef.current !== label ? "Edited form" : label;
+      clearTimeout(timerRef.current);
+      timerRef.current = setTimeout(flush, delay);
+    });
+    return () => {
+      subscription.unsubscribe();
+      clearTimeout(timerRef.current);
+    };
+  }, [watch, flush, delay]);
+
+  const withoutRecording = (apply) => {
+    applyingRef.current = true;
+    try {
+      apply();
+    } finally {
+      applyingRef.current = false;
+    }
+  };
+
+  // Applies a change as one labeled step, e.g.
+  // track("AI improved summary", () => setValue("summary", text))
+  const track = useCallback(
+    (label, apply) => {
+      flush();
+      withoutRecording(apply);
+      push(label);
+    },
+    [flush, push]
+  );
+
+  const goTo = useCallback(
+    (target) => {
+      flush();
+      const { steps } = historyRef.current;
+      if (target < 0 || target >= steps.length) return;
+      withoutRecording(() =>
+        reset(structuredClone(steps[target].values), { keepDefaultValues: true })
+      );
+      commit({ steps, index: target });
+    },
+    [flush, reset, commit]
+  );
+
+  const undo = useCallback(() => {
+    flush();
+    goTo(historyRef.current.index - 1);
+  }, [flush, goTo]);
+
+  const redo = useCallback(() => goTo(historyRef.current.index + 1), [goTo]);
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+      const key = event.key.toLowerCase();
+      const isUndo = key === "z" && !event.shiftKey;
+      const isRedo = (key === "z" && event.shiftKey) || (key === "y" && event.ctrlKey);
+      if (!isUndo && !isRedo) return;
+      if (
+        isEditable(event.target) &&
+        (!scopeRef?.current?.contains(event.target) ||
+          event.target.closest("[data-native-undo]"))
+      ) {
+        return;
+      }
+
+      event.preventDefault();
+      if (isUndo) undo();
+      else redo();
+    };
+
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [undo, redo, scopeRef]);
+
+  return {
+    steps: history.steps,
+    index: history.index,
+    canUndo: history.index > 0 || Boolean(pendingRef.current),
+    canRedo: history.index < history.steps.length - 1,
+    undo,
+    redo,
+    goTo,
+    track,
+  };
+};
+
+export default useFormHistory;
@@ -0,0 +1,171 @@
+import {
+  AlignmentType,
+  Document,
+  ExternalHyperlink,
+  HeadingLevel,
+  LevelFormat,
+  Packer,
+  Paragraph,
+  TextRun,
+} from "docx";
+import { marked } from "marked";
+
+// Word export for markdown documents (resumes and cover letters). The
+// markdown is tokenized with the same parser as the HTML/PDF pipeline and
+// mapped onto Word headings, lists and hyperlinks.
+
+const headingLevels = {
+  1: HeadingLevel.HEADING_1,
+  2: HeadingLevel.HEADING_2,
+  3: HeadingLevel.HEADING_3,
+  4: HeadingLevel.HEADING_4,
+};
+
+const decodeEntities = (text = "") =>
+  text
+    .replace(/&amp;/g, "&")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'");
+
+// Inline markdown tokens become runs; formatting is inherited by nested tokens
+const toRuns = (tokens = [], format = {}) =>
+  tokens.flatMap((token) => {
+    switch (token.type) {
+      case "strong":
+        return toRuns(token.tokens, { ...format, bold: true });
+      case "em":
+        return toRuns(token.tokens, { ...format, italics: true });
+      case "del":
+        return toRuns(token.tokens, { ...format, strike: true });
+      case "codespan":
+        return [new TextRun({ ...format, text: decodeEntities(token.text), font: "Consolas" })];
+      case "br":
+        return [new TextRun({ ...format, text: "", break: 1 })];
+      case "link":
+        return [
+          new ExternalHyperlink({
+            link: token.href,
+            children: toRuns(token.tokens, { ...format, style: "Hyperlink" }),
+          }),
+        ];
+      case "text":
+        return token.tokens
+          ? toRuns(token.tokens, format)
+          : [new TextRun({ ...format, text: decodeEntities(token.text) })];
+      default:
+        return token.text
+          ? [new TextRun({ ...format, text: decodeEntities(token.text) })]
+          : [];
+    }
+  });
+
+const listToParagraphs = (list, level = 0) =>
+  list.items.flatMap((item) =>
+    item.tokens.flatMap((token) => {
+      if (token.type === "list") return listToParagraphs(token, level + 1);
+      return [
+        new Paragraph({
+          children: toRuns(token.tokens || [token]),
+          ...(list.ordered
+            ? { numbering: { reference: "ordered-list", level } }
+            : { bullet: { level } }),
+        }),
+      ];
+    })
+  );
+
+const toParagraphs = (tokens) =>
+  tokens.flatMap((token) => {
+    switch (token.type) {
+      case "heading":
+        return [
+          new Paragraph({
+            heading: headingLevels[token.depth] || HeadingLevel.HEADING_4,
+            children: toRuns(token.tokens),
+          }),
+        ];
+      case "paragraph":
+        return [new Paragraph({ children: toRuns(token.tokens) })];
+      case "list":
+        return listToParagraphs(token);
+      case "blockquote":
+        return toParagraphs(token.tokens);
+      case "hr":
+        return [
+          new Paragraph({
+            border: { bottom: { style: "single", size: 6, color: "999999", space: 1 } },
+          }),
+        ];
+      case "code":
+        return token.text.split("\n").map(
+          (line) => new Paragraph({ children: [new TextRun({ text: line, font: "Consolas" })] })
+        );
+      default:
+        return [];
+    }
+  });
+
+export async function markdownToDocx(markdown = "", { title = "Document" } = {}) {
+  const tokens = marked.lexer(markdown, { gfm: true, breaks: true });
+
+  const document = new Document({
+    title,
+    creator: "Sensai",
+    styles: {
+      default: {
+        document: {
+          run: { font: "Calibri", size: 21, color: "1F2937" },
+          paragraph: { spacing: { after: 100, line: 276 } },
+        },
+        heading1: {
+          run: { size: 36, bold: true, color: "111827" },
+          paragraph: { spacing: { after: 120 } },
+        },
+        heading2: {
+          run: { size: 26, bold: true, color: "1E3A5F" },
+          paragraph: {
+            spacing: { before: 240, after: 80 },
+            border: { bottom: { style: "single", size: 6, color: "D1D5DB", space: 1 } },
+          },
+        },
+        heading3: {
+          run: { size: 22, bold: true, color: "111827" },
+          paragraph: { spacing: { before: 160, after: 40 } },
+        },
+        hyperlink: {
+          run: { color: "2563EB", underline: { type: "single" } },
+        },
+      },
+    },
+    numbering: {
+      config: [
+        {
+          reference: "ordered-list",
+          levels: [0, 1, 2].map((level) => ({
+            level,
+            format: LevelFormat.DECIMAL,
+            text: `%${level + 1}.`,
+            alignment: AlignmentType.START,
+            style: {
+              paragraph: { indent: { left: 720 * (level + 1), hanging: 360 } },
+            },
+          })),
+        },
+      ],
+    },
+    sections: [
+      {
+        properties: {
+          page: {
+            margin: { top: 1020, bottom: 1020, left: 910, right: 910 },
+          },
+        },
+        children: toParagraphs(tokens),
+      },
+    ],
+  });
+
+  return await Packer.toBuffer(document);
+}
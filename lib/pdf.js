@@ -0,0 +1,66 @@
+import puppeteer from "puppeteer";
+
+// Headless Chrome is expensive to start, so a single browser is shared
+// between requests (and across hot reloads in development, like Prisma).
+// The launch promise is cached so requests arriving together share one.
+const getBrowser = () => {
+  if (!globalThis.pdfBrowser) {
+    globalThis.pdfBrowser = puppeteer
+      .launch({
+        headless: true,
+        args: ["--no-sandbox", "--disable-setuid-sandbox", "--font-render-hinting=none"],
+      })
+      .then(
+        (browser) => {
+          // Start a new browser next time if this one exits or crashes
+          browser.on("disconnected", () => {
+            globalThis.pdfBrowser = null;
+          });
+          return browser;
+        },
+        (error) => {
+          globalThis.pdfBrowser = null;
+          throw error;
+        }
+      );
+  }
+  return globalThis.pdfBrowser;
+};
+
+const footerTemplate = `
+  <div style="width: 100%; font-size: 8pt; color: #6b7280; text-align: center;">
+    <span class="pageNumber"></span> / <span class="totalPages"></span>
+  </div>
+`;
+
+// Renders a complete HTML document to an A4 PDF. Page size and margins
+// come from the document's @page rule.
+export async function renderPdf(html) {
+  const browser = await getBrowser();
+  const page = await browser.newPage();
+
+  try {
+    // Documents are static; nothing in them needs to run or be fetched
+    await page.setJavaScriptEnabled(false);
+    await page.setRequestInterception(true);
+    page.on("request", (request) => {
+      if (/^(data|about):/.test(request.url())) request.continue();
+      else request.abort();
+    });
+    await page.setContent(html, { waitUntil: "load" });
+    await page.emulateMediaType("print");
+
+    const pdf = await page.pdf({
+      format: "A4",
+      printBackground: true,
+      preferCSSPageSize: true,
+      displayHeaderFooter: true,
+      headerTemplate: "<span></span>",
+      footerTemplate,
+    });
+
+    return Buffer.from(pdf);
+  } finally {
+    await page.close();
+  }
+}
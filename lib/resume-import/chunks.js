@@ -0,0 +1,316 @@
+// Helpers for parsing long resumes and CVs in several model calls. The text
+// is split at section headings into chunks that fit a token budget, each
+// chunk's reply is read with a balanced-brace JSON extractor, and the parsed
+// chunks are merged back into one result with duplicate entries removed.
+
+import { readMonth } from "@/app/lib/entry-dates";
+
+// Rough estimate for English prose; good enough for budgeting prompts
+const CHARS_PER_TOKEN = 4;
+
+// Kept well below the model's limits so the JSON reply for a chunk is never
+// cut off by the output token limit
+export const MAX_CHUNK_TOKENS = 3000;
+
+export const estimateTokens = (text = "") => Math.ceil(text.length / CHARS_PER_TOKEN);
+
+const headingWords = [
+  "summary", "professional summary", "profile", "about me", "objective",
+  "skills", "technical skills", "core competencies", "experience",
+  "work experience", "professional experience", "employment",
+  "employment history", "work history", "education", "academic background",
+  "projects", "research", "research experience", "publications",
+  "presentations", "conference talks", "teaching", "teaching experience",
+  "grants", "awards", "honors", "awards and honors", "certifications",
+  "languages", "volunteer", "volunteering", "interests", "references",
+];
+
+// A heading is a short line that names a known section or is all capitals
+const isHeading = (line) => {
+  const text = line.replace(/^#+\s*/, "").replace(/:$/, "").trim();
+  if (!text || text.length > 40) return false;
+  if (headingWords.includes(text.toLowerCase())) return true;
+  return /^[A-Z][A-Z &/-]{3,}$/.test(text);
+};
+
+// Splits text into [{ heading, text }] at section headings. Anything before
+// the first heading (name, contact details) becomes a section of its own.
+export function splitIntoSections(text) {
+  const sections = [];
+  let current = { heading: "", lines: [] };
+
+  for (const line of text.split("\n")) {
+    if (isHeading(line.trim())) {
+      sections.push(current);
+      current = { heading: line.trim(), lines: [line] };
+    } else {
+      current.lines.push(line);
+    }
+  }
+  sections.push(current);
+
+  return sections
+    .map(({ heading, lines }) => ({ heading, text: lines.join("\n").trim() }))
+    .filter((section) => section.text);
+}
+
+// Splits text longer than maxChars after its last sentence that fits, or
+// at the last space when a sentence is too long on its own. PDF extraction
+// often returns whole pages without a line break.
+function splitLongText(text, maxChars) {
+  const pieces = [];
+  let rest = text;
+  while (rest.length > maxChars) {
+    const window = rest.slice(0, maxChars + 1);
+    let cut = Math.max(...[". ", "! ", "? "].map((end) => window.lastIndexOf(end))) + 1;
+    if (cut <= 0) cut = window.lastIndexOf(" ");
+    if (cut <= 0) cut = maxChars;
+    pieces.push(rest.slice(0, cut).trim());
+    rest = rest.slice(cut).trim();
+  }
+  if (rest) pieces.push(rest);
+  return pieces;
+}
+
+// Splits one oversized section at blank lines (or single lines, then
+// sentences, when a paragraph is still too long), repeating the heading on
+// every piece so the model knows which section it is reading
+function splitSection({ heading, text }, maxTokens) {
+  const newline = text.indexOf("\n");
+  // A section that is only its heading has nothing to split
+  if (heading && newline === -1) return [text];
+  const body = heading ? text.slice(newline + 1) : text;
+  const maxChars = maxTokens * CHARS_PER_TOKEN - (heading ? heading.length + 1 : 0);
+  const paragraphs = body.split(/\n\s*\n/).flatMap((paragraph) =>
+    paragraph.length > maxChars
+      ? paragraph.split("\n").flatMap((line) => splitLongText(line, maxChars))
+      : [paragraph]
+  );
+
+  const pieces = [];
+  let piece = "";
+  for (const paragraph of paragraphs) {
+    if (piece && estimateTokens(`${heading}\n${piece}\n\n${paragraph}`) > maxTokens) {
+      pieces.push(piece);
+      piece = "";
+    }
+    piece = piece ? `${piece}\n\n${paragraph}` : paragraph;
+  }
+  if (piece) pieces.push(piece);
+
+  return pieces.map((content) => (heading ? `${heading}\n${content}` : content));
+}
+
+// Packs whole sections into chunks of at most maxTokens. Short documents
+// come back as a single chunk.
+export function chunkResumeText(text, maxTokens = MAX_CHUNK_TOKENS) {
+  if (estimateTokens(text) <= maxTokens) return [text];
+
+  const chunks = [];
+  let chunk = "";
+  for (const section of splitIntoSections(text)) {
+    const pieces =
+      estimateTokens(section.text) > maxTokens
+        ? splitSection(section, maxTokens)
+        : [section.text];
+
+    for (const piece of pieces) {
+      if (chunk && estimateTokens(`${chunk}\n\n${piece}`) > maxTokens) {
+        chunks.push(chunk);
+        chunk = "";
+      }
+      chunk = chunk ? `${chunk}\n\n${piece}` : piece;
+    }
+  }
+  if (chunk) chunks.push(chunk);
+
+  return chunks;
+}
+
+// Finds the first complete top-level JSON object in a model reply, skipping
+// prose and code fences around it and braces inside strings. Returns null
+// when no object parses.
+export function extractJson(text = "") {
+  for (let start = text.indexOf("{"); start !== -1; start = text.indexOf("{", start + 1)) {
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+
+    for (let i = start; i < text.length; i++) {
+      const char = text[i];
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (char === "\\") escaped = true;
+        else if (char === '"') inString = false;
+      } else if (char === '"') {
+        inString = true;
+      } else if (char === "{") {
+        depth++;
+      } else if (char === "}" && --depth === 0) {
+        try {
+          return JSON.parse(text.slice(start, i + 1));
+        } catch {
+          break;
+        }
+      }
+    }
+  }
+  return null;
+}
+
+const entryKeys = {
+  experience: [["position", "title"], ["company", "organization"]],
+  education: [["degree", "title"], ["institution", "organization"]],
+  projects: [["name", "title"], []],
+  certifications: [["name", "title"], ["issuer", "organization"]],
+  languages: [["language", "name", "title"], []],
+  awards: [["title", "name"], ["awarder", "organization"]],
+  publications: [["title", "name"], ["publisher", "organization"]],
+  volunteer: [["role", "title", "position"], ["organization", "company"]],
+  custom: [["title", "name"], ["subtitle", "organization"]],
+};
+
+const normalizeKey = (value) =>
+  String(value || "").toLowerCase().replace(/[^a-z0-9]+/g, " ").trim();
+
+const entryKey = (entry, section) =>
+  entryKeys[section]
+    .map((fields) => normalizeKey(fields.map((field) => entry?.[field]).find(Boolean)))
+    .join("|");
+
+// Parser field names that may hold an entry's start date, or its only date
+const startFields = ["startDate", "start", "from", "date", "releaseDate", "dates"];
+
+const entryStart = (entry) => {
+  const text = String(startFields.map((field) => entry?.[field]).find(Boolean) || "");
+  return readMonth(text) || normalizeKey(text);
+};
+
+// Combines two copies of the same entry, keeping every field that either
+// chunk filled in and the longer description or bullet list
+const mergeEntry = (first, second) => {
+  const merged = { ...second, ...first };
+  Object.keys(second).forEach((field) => {
+    if (!first[field]) merged[field] = second[field];
+  });
+  if (String(second.description || "").length > String(first.description || "").length) {
+    merged.description = second.description;
+  }
+  if (
+    Array.isArray(second.bullets) &&
+    second.bullets.length > (Array.isArray(first.bullets) ? first.bullets.length : 0)
+  ) {
+    merged.bullets = second.bullets;
+  }
+  return merged;
+};
+
+// Each list holds one chunk's entries. An entry is only merged into an entry
+// from another chunk with the same title, organization and start date; a
+// missing start date on one side still matches, since an entry cut at a
+// chunk border may lose its dates. Entries of one chunk are never merged, so
+// two roles with the same title at one company stay apart.
+const mergeEntries = (lists, section) => {
+  const merged = [];
+
+  lists.forEach((list, chunk) =>
+    list.forEach((entry) => {
+      if (!entry) return;
+      const key = entryKey(entry, section);
+      const start = entryStart(entry);
+      // Entries without a title or organization can not be matched safely
+      const match =
+        key.replace(/\|/g, "") &&
+        merged.find(
+          (item) =>
+            item.key === key &&
+            !item.chunks.has(chunk) &&
+            (!item.start || !start || item.start === start)
+        );
+
+      if (match) {
+        match.entry = mergeEntry(match.entry, entry);
+        match.start ||= start;
+        match.chunks.add(chunk);
+      } else {
+        merged.push({ entry, key, start, chunks: new Set([chunk]) });
+      }
+    })
+  );
+
+  return merged.map((item) => item.entry);
+};
+
+// Grouped skills ("Languages: Go, Python") are kept line by line, plain
+// lists are split at commas
+const skillList = (skills) => {
+  if (Array.isArray(skills)) return skills.filter(Boolean);
+  if (skills && typeof skills === "object") {
+    return Object.entries(skills).map(
+      ([category, list]) => `${category}: ${[].concat(list).join(", ")}`
+    );
+  }
+  const text = String(skills || "");
+  return text
+    .split(/\n|:/.test(text) ? "\n" : ",")
+    .map((skill) => skill.trim())
+    .filter(Boolean);
+};
+
+const joinSkills = (skills) => {
+  if (skills.some((skill) => typeof skill !== "string")) return skills;
+  return skills.join(skills.some((skill) => skill.includes(":")) ? "\n" : ", ");
+};
+
+// Merges the parser output of every chunk. The longest summary wins, skills
+// are combined without repeats and entries are deduplicated by title,
+// organization and start date, since headings repeated across chunks can
+// make the model return the same entry twice.
+export function mergeParsedChunks(parts) {
+  const summary = parts
+    .map((part) => String(part.summary || "").trim())
+    .reduce((longest, text) => (text.length > longest.length ? text : longest), "");
+
+  const skills = [];
+  const seenSkills = new Set();
+  parts.forEach((part) =>
+    skillList(part.skills).forEach((skill) => {
+      const key = typeof skill === "string" ? normalizeKey(skill) : JSON.stringify(skill);
+      if (!seenSkills.has(key)) {
+        seenSkills.add(key);
+        skills.push(skill);
+      }
+    })
+  );
+
+  // Other sections are matched by heading, then merged like any list
+  const otherSections = new Map();
+  parts.forEach((part) =>
+    (Array.isArray(part.otherSections) ? part.otherSections : []).forEach((section) => {
+      const key = normalizeKey(section?.title);
+      if (!key) return;
+      const existing = otherSections.get(key);
+      otherSections.set(key, {
+        title: existing?.title || section.title,
+        entries: mergeEntries([existing?.entries || [], section.entries || []], "custom"),
+      });
+    })
+  );
+
+  return {
+    summary,
+    skills: joinSkills(skills),
+    ...Object.fromEntries(
+      Object.keys(entryKeys)
+        .filter((section) => section !== "custom")
+        .map((section) => [
+          section,
+          mergeEntries(
+            parts.map((part) => (Array.isArray(part[section]) ? part[section] : [])),
+            section
+          ),
+        ])
+    ),
+    otherSections: [...otherSections.values()],
+  };
+}
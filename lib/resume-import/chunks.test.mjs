@@ -0,0 +1,97 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  chunkResumeText,
+  estimateTokens,
+  extractJson,
+  mergeParsedChunks,
+  splitIntoSections,
+} from "./chunks.js";
+
+test("short documents are a single chunk", () => {
+  const text = "Jane Doe\n\nEXPERIENCE\nEngineer at Acme";
+  assert.deepEqual(chunkResumeText(text), [text]);
+});
+
+test("sections are split at known and all-capital headings", () => {
+  const sections = splitIntoSections("Jane Doe\nExperience\nAcme\nRESEARCH INTERESTS\nML");
+  assert.deepEqual(
+    sections.map((section) => section.heading),
+    ["", "Experience", "RESEARCH INTERESTS"]
+  );
+});
+
+test("every chunk stays within the token budget", () => {
+  const role = (n) => `Engineer ${n} at Acme\n${"Built things that mattered. ".repeat(20)}`;
+  const text = `Jane Doe\n\nEXPERIENCE\n${Array.from({ length: 60 }, (_, n) => role(n)).join("\n\n")}`;
+  const chunks = chunkResumeText(text, 500);
+  assert.ok(chunks.length > 1);
+  chunks.forEach((chunk) => assert.ok(estimateTokens(chunk) <= 500));
+  assert.ok(chunks.slice(1).every((chunk) => chunk.startsWith("EXPERIENCE\n")));
+});
+
+test("text without line breaks is split at sentences to fit the budget", () => {
+  const chunks = chunkResumeText("Shipped the product on time. ".repeat(2000), 500);
+  assert.ok(chunks.length > 1);
+  chunks.forEach((chunk) => {
+    assert.ok(estimateTokens(chunk) <= 500);
+    assert.ok(chunk.endsWith("."));
+  });
+});
+
+test("an unsplittable line is cut at spaces, then at the budget", () => {
+  chunkResumeText("word ".repeat(20000), 3000).forEach((chunk) =>
+    assert.ok(estimateTokens(chunk) <= 3000)
+  );
+  const chunks = chunkResumeText("x".repeat(5000), 500);
+  assert.equal(chunks.join(""), "x".repeat(5000));
+  chunks.forEach((chunk) => assert.ok(estimateTokens(chunk) <= 500));
+});
+
+test("a section that is only a heading is kept once", () => {
+  assert.deepEqual(chunkResumeText("Jane Doe\nAWARDS", 1), ["Jane", "Doe", "AWARDS"]);
+});
+
+test("the first complete JSON object is read from a reply", () => {
+  assert.deepEqual(
+    extractJson('Here you go:\n```json\n{"summary": "Uses {braces}"}\n```\n{"other": 1}'),
+    { summary: "Uses {braces}" }
+  );
+  assert.equal(extractJson('{"cut": "off'), null);
+});
+
+test("the same entry from two chunks is merged, keeping the fuller copy", () => {
+  const parsed = mergeParsedChunks([
+    { experience: [{ position: "Engineer", company: "Acme", startDate: "Jan 2020" }] },
+    {
+      experience: [
+        { position: "Engineer", company: "ACME", startDate: "2020-01", bullets: ["Built X"] },
+      ],
+    },
+  ]);
+  assert.equal(parsed.experience.length, 1);
+  assert.deepEqual(parsed.experience[0].bullets, ["Built X"]);
+});
+
+test("entries with different start dates or from one chunk stay apart", () => {
+  const role = (startDate) => ({ position: "Engineer", company: "Acme", startDate });
+  assert.equal(
+    mergeParsedChunks([{ experience: [role("2018-01")] }, { experience: [role("2021-01")] }])
+      .experience.length,
+    2
+  );
+  assert.equal(
+    mergeParsedChunks([{ experience: [role("2018-01"), role("2018-01")] }, {}]).experience
+      .length,
+    2
+  );
+});
+
+test("skills are combined without repeats and the longest summary wins", () => {
+  const parsed = mergeParsedChunks([
+    { summary: "Short.", skills: "Go, Python" },
+    { summary: "A longer summary.", skills: ["python", "Rust"] },
+  ]);
+  assert.equal(parsed.summary, "A longer summary.");
+  assert.equal(parsed.skills, "Go, Python, Rust");
+});
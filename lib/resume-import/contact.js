@@ -0,0 +1,103 @@
+import { normalizePhone } from "@/app/lib/contact-info";
+
+// Deterministic contact extraction for uploaded resumes. Emails, phone
+// numbers and profile links are found with regexes in the text and in the
+// document's own hyperlinks, so contactInfo does not depend on the model.
+
+const EMAIL_PATTERN = /[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}/gi;
+
+// Runs of digits on one line with optional country code, brackets and
+// separators; candidates are checked for digit count and dates afterwards
+const PHONE_PATTERN = /\+?\(?\d[\d \t().-]{5,}\d/g;
+
+// Year ranges ("2019 - 2021") and ISO dates ("2020-03-15") look like numbers
+const DATE_PATTERN = /^(?:\d{4}\s*[-–]\s*\d{4}|\d{4}[-/.]\d{1,2}(?:[-/.]\d{1,2})?|\d{1,2}[-/.]\d{1,2}[-/.]\d{2,4})$/;
+
+const URL_PATTERN = /(?:https?:\/\/)?(?:[a-z0-9-]+\.)+[a-z]{2,}(?:\/[^\s<>()"'|,]*)?/gi;
+
+const profilePatterns = {
+  linkedin: /^(?:https?:\/\/)?(?:[a-z]{2,3}\.)?linkedin\.com\/(?:in|pub)\/[^/?#\s]+/i,
+  github: /^(?:https?:\/\/)?(?:www\.)?github\.com\/[a-z0-9-]+(?=\/?$|[/?#])/i,
+  twitter: /^(?:https?:\/\/)?(?:www\.|mobile\.)?(?:twitter|x)\.com\/[a-z0-9_]{1,15}(?=\/?$|[/?#])/i,
+};
+
+// Headings that often sit where the name would be
+const notNames = /^(resume|r[ée]sum[ée]|curriculum vitae|cv|profile|contact|summary)$/i;
+
+const toHttps = (url) => url.replace(/^(?:https?:\/\/)?/i, "https://").replace(/\/$/, "");
+
+const unique = (values) => [...new Set(values)];
+
+function findEmail(text, links) {
+  const mailto = links
+    .filter((link) => /^mailto:/i.test(link))
+    .map((link) => link.replace(/^mailto:/i, "").split("?")[0]);
+  return unique([...mailto, ...(text.match(EMAIL_PATTERN) || [])])[0];
+}
+
+function findPhone(text, links) {
+  const tel = links
+    .filter((link) => /^tel:/i.test(link))
+    .map((link) => decodeURIComponent(link.replace(/^tel:/i, "")));
+
+  const candidates = [...tel, ...(text.match(PHONE_PATTERN) || [])]
+    .map((value) => value.trim())
+    .filter((value) => {
+      const digits = value.replace(/\D/g, "");
+      return !DATE_PATTERN.test(value) && digits.length >= 7 && digits.length <= 15;
+    });
+
+  // Numbers with a country code are stored in international format; others
+  // are kept as written for the user to complete
+  const phone = candidates.map((value) => normalizePhone(value)).find(Boolean);
+  return phone || candidates[0];
+}
+
+function findProfile(urls, network) {
+  for (const url of urls) {
+    const match = url.match(profilePatterns[network]);
+    if (match) return toHttps(match[0]);
+  }
+  return undefined;
+}
+
+// The name is usually the first short line made only of words
+function findName(text) {
+  const lines = text
+    .split("\n")
+    .map((line) => line.replace(/[|•·]+.*$/, "").trim())
+    .filter(Boolean)
+    .slice(0, 8);
+
+  return lines.find((line) => {
+    const words = line.split(/\s+/);
+    return (
+      words.length >= 2 &&
+      words.length <= 4 &&
+      !notNames.test(line) &&
+      /^[\p{L}][\p{L}'’.-]*(?:\s+[\p{L}][\p{L}'’.-]*)+$/u.test(line)
+    );
+  });
+}
+
+// Returns the contact fields that could be found; missing ones are left out
+export function extractContactInfo(text = "", links = []) {
+  const header = text.slice(0, 2000);
+  const urls = unique([
+    ...links.filter((link) => /^https?:/i.test(link)),
+    ...(text.match(URL_PATTERN) || []),
+  ]);
+
+  const contactInfo = {
+    name: findName(header),
+    email: findEmail(text, links),
+    mobile: findPhone(header, links),
+    linkedin: findProfile(urls, "linkedin"),
+    github: findProfile(urls, "github"),
+    twitter: findProfile(urls, "twitter"),
+  };
+
+  return Object.fromEntries(
+    Object.entries(contactInfo).filter(([, value]) => value)
+  );
+}
@@ -0,0 +1,56 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { extractContactInfo } from "./contact.js";
+
+test("contact details are read from the top of a resume", () => {
+  const text = [
+    "RESUME",
+    "Jane Mary Doe",
+    "jane.doe@example.com | +1 (415) 555-2671 | linkedin.com/in/jane-doe",
+    "github.com/janedoe/projects  twitter.com/jane_doe",
+    "",
+    "EXPERIENCE",
+    "Engineer, Acme 2019 - 2021",
+  ].join("\n");
+
+  assert.deepEqual(extractContactInfo(text), {
+    name: "Jane Mary Doe",
+    email: "jane.doe@example.com",
+    mobile: "+1 415 555 2671",
+    linkedin: "https://linkedin.com/in/jane-doe",
+    github: "https://github.com/janedoe",
+    twitter: "https://twitter.com/jane_doe",
+  });
+});
+
+test("the document's own links are used when the text hides them", () => {
+  const contact = extractContactInfo("Jane Doe\nEmail | Phone | LinkedIn", [
+    "mailto:jane@example.com?subject=Hi",
+    "tel:+44%2020%207946%200958",
+    "https://www.linkedin.com/in/jane/",
+  ]);
+  assert.equal(contact.email, "jane@example.com");
+  assert.equal(contact.mobile, "+44 20 7946 0958");
+  assert.equal(contact.linkedin, "https://www.linkedin.com/in/jane");
+});
+
+test("dates and year ranges are not read as phone numbers", () => {
+  const contact = extractContactInfo("Jane Doe\n2019 - 2021\n2020-03-15\n03/15/2020");
+  assert.equal(contact.mobile, undefined);
+});
+
+test("a number without a country code is kept as written", () => {
+  assert.equal(extractContactInfo("Jane Doe\n(415) 555-2671").mobile, "(415) 555-2671");
+});
+
+test("headings are not taken for the name and missing fields are left out", () => {
+  assert.deepEqual(extractContactInfo("Curriculum Vitae\nSKILLS\nGo, Python"), {});
+});
+
+test("profile links must point at a profile, not just the site", () => {
+  const contact = extractContactInfo(
+    "Jane Doe\nhttps://github.com\nhttps://linkedin.com/company/acme"
+  );
+  assert.equal(contact.github, undefined);
+  assert.equal(contact.linkedin, undefined);
+});
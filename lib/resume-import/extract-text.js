@@ -0,0 +1,415 @@
+import PDFParser from "pdf2json";
+import mammoth from "mammoth";
+import JSZip from "jszip";
+import WordExtractor from "word-extractor";
+import { getDocument } from "pdfjs-dist/legacy/build/pdf.mjs";
+import { ocrConfidence, ocrPdfPages } from "./ocr";
+
+// Text extraction for uploaded resumes. The format is detected from the
+// file's content (magic bytes, archive entries) rather than trusted from the
+// extension or MIME type, and each extractor reports its own errors.
+
+export const MAX_UPLOAD_SIZE = 10 * 1024 * 1024; // 10MB
+
+export const supportedFormatsLabel = "PDF, Word (.docx or .doc), OpenDocument (.odt), RTF, Markdown or plain text";
+
+const startsWith = (buffer, bytes) =>
+  bytes.every((byte, index) => buffer[index] === byte);
+
+const OLE_SIGNATURE = [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1];
+const ZIP_SIGNATURE = [0x50, 0x4b, 0x03, 0x04];
+
+const isText = (buffer) => {
+  const sample = buffer.subarray(0, 8192);
+  if (sample.includes(0)) return false;
+  try {
+    new TextDecoder("utf-8", { fatal: true }).decode(sample);
+    return true;
+  } catch {
+    // A multi-byte character may have been cut off at the end of the sample
+    return sample.length === 8192;
+  }
+};
+
+// Returns one of pdf, docx, doc, odt, rtf, markdown or text, or null when
+// the content is not a supported resume format
+export async function detectFormat(buffer, fileName = "") {
+  const head = buffer.subarray(0, 1024).toString("latin1");
+
+  if (head.includes("%PDF-")) return "pdf";
+  if (startsWith(buffer, OLE_SIGNATURE)) return "doc";
+  if (/^\s*\{\\rtf/.test(head)) return "rtf";
+
+  if (startsWith(buffer, ZIP_SIGNATURE)) {
+    try {
+      const zip = await JSZip.loadAsync(buffer);
+      if (zip.file("word/document.xml")) return "docx";
+      const mimetype = await zip.file("mimetype")?.async("string");
+      if (mimetype?.trim() === "application/vnd.oasis.opendocument.text") return "odt";
+    } catch {
+      return null;
+    }
+    return null;
+  }
+
+  if (isText(buffer)) {
+    return /\.(md|markdown)$/i.test(fileName) ? "markdown" : "text";
+  }
+
+  return null;
+}
+
+function extractFromPdf(buffer) {
+  // Create a new promise for PDF parsing with timeout
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => {
+      reject(new Error("PDF parsing timed out"));
+    }, 30000); // 30 second timeout
+
+    const pdfParser = new PDFParser(null, 1); // 1 = processing PDF
+
+    pdfParser.on("pdfParser_dataReady", () => {
+      clearTimeout(timeout);
+      try {
+        const text = pdfParser.getRawTextContent();
+
+        // Validate extracted text
+        if (!text || text.trim().length === 0) {
+          reject(new Error("No text content found in PDF"));
+          return;
+        }
+
+        resolve(text);
+      } catch (error) {
+        reject(new Error(`Failed to extract text from PDF: ${error.message}`));
+      }
+    });
+
+    pdfParser.on("pdfParser_dataError", (error) => {
+      clearTimeout(timeout);
+      console.error("PDF parsing error:", error);
+      reject(new Error(`PDF parsing failed: ${error.parserError?.message || error.message || "Unknown error"}`));
+    });
+
+    try {
+      pdfParser.parseBuffer(buffer);
+    } catch (error) {
+      clearTimeout(timeout);
+      reject(new Error(`Failed to parse PDF buffer: ${error.message}`));
+    }
+  });
+}
+
+const PDF_PAGE_BREAK = /-{16}Page \(\d+\) Break-{16}/;
+
+// Pages with less text than this are treated as scanned images
+const MIN_PAGE_TEXT_LENGTH = 20;
+
+// Reads the PDF's text layer and OCRs the pages that have none
+async function extractFromPdfWithOcr(buffer) {
+  let pages = [];
+  try {
+    pages = (await extractFromPdf(buffer)).split(PDF_PAGE_BREAK);
+    if (!pages[pages.length - 1].trim()) pages.pop();
+  } catch (error) {
+    if (!/No text content found/.test(error.message)) throw error;
+  }
+
+  const imagePages = pages
+    .map((pageText, index) => ({ page: index + 1, length: pageText.replace(/\s/g, "").length }))
+    .filter((page) => page.length < MIN_PAGE_TEXT_LENGTH)
+    .map((page) => page.page);
+
+  if (pages.length && !imagePages.length) {
+    return { text: pages.join("\n\n") };
+  }
+
+  // With no text layer at all every page is OCRed
+  let ocrPages;
+  let skipped;
+  try {
+    ({ pages: ocrPages, skipped } = await ocrPdfPages(
+      buffer,
+      pages.length ? imagePages : []
+    ));
+  } catch (error) {
+    console.error("PDF OCR error:", error);
+    if (pages.some((pageText) => pageText.trim())) {
+      return { text: pages.join("\n\n") };
+    }
+    throw new Error(`This PDF looks like a scan and OCR failed: ${error.message}`);
+  }
+
+  ocrPages.forEach((ocrPage) => {
+    pages[ocrPage.page - 1] = ocrPage.text;
+  });
+
+  return {
+    text: pages.join("\n\n"),
+    ocr: {
+      pages: ocrPages.map((ocrPage) => ocrPage.page),
+      confidence: ocrConfidence(ocrPages),
+      skipped,
+    },
+  };
+}
+
+// Link annotations carry the real URL behind text such as "LinkedIn"
+async function pdfLinks(buffer) {
+  const pdf = await getDocument({
+    data: new Uint8Array(buffer),
+    isEvalSupported: false,
+    verbosity: 0,
+  }).promise;
+
+  try {
+    const links = [];
+    for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+      const page = await pdf.getPage(pageNumber);
+      const annotations = await page.getAnnotations();
+      links.push(
+        ...annotations
+          .filter((annotation) => annotation.subtype === "Link" && annotation.url)
+          .map((annotation) => annotation.url)
+      );
+      page.cleanup();
+    }
+    return links;
+  } finally {
+    await pdf.destroy();
+  }
+}
+
+async function extractFromDocx(buffer) {
+  const result = await mammoth.extractRawText({ buffer });
+  return result?.value || "";
+}
+
+async function extractFromDoc(buffer) {
+  const extractor = new WordExtractor();
+  const document = await extractor.extract(buffer);
+  return [document.getBody(), document.getFootnotes(), document.getEndnotes()]
+    .filter(Boolean)
+    .join("\n");
+}
+
+const decodeXmlEntities = (text) =>
+  text
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(+code))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&amp;/g, "&");
+
+async function extractFromOdt(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+  const xml = await zip.file("content.xml")?.async("string");
+  if (!xml) throw new Error("The document has no content.xml");
+
+  const body = xml.replace(/^[\s\S]*?<office:body>|<\/office:body>[\s\S]*$/g, "");
+  return decodeXmlEntities(
+    body
+      .replace(/<text:s(?: text:c="(\d+)")?\s*\/>/g, (_, count) => " ".repeat(+count || 1))
+      .replace(/<text:tab\s*\/>/g, "\t")
+      .replace(/<text:line-break\s*\/>/g, "\n")
+      .replace(/<text:list-item>/g, "- ")
+      .replace(/<\/text:(p|h)>/g, "\n")
+      .replace(/<[^>]+>/g, "")
+  );
+}
+
+async function docxLinks(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+  const rels = await zip.file("word/_rels/document.xml.rels")?.async("string");
+  return [...(rels || "").matchAll(/<Relationship\b[^>]*>/g)]
+    .map(([tag]) => tag)
+    .filter((tag) => /TargetMode="External"/.test(tag))
+    .map((tag) => decodeXmlEntities(tag.match(/Target="([^"]*)"/)?.[1] || ""));
+}
+
+async function odtLinks(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+  const xml = await zip.file("content.xml")?.async("string");
+  return [...(xml || "").matchAll(/<text:a\b[^>]*xlink:href="([^"]*)"/g)].map(
+    ([, href]) => decodeXmlEntities(href)
+  );
+}
+
+// Hyperlink targets sit in field instructions, which rtfToText skips
+const rtfLinks = async (buffer) =>
+  [...buffer.toString("latin1").matchAll(/HYPERLINK\s+"([^"]+)"/g)].map(([, url]) => url);
+
+// RTF groups that hold metadata, fonts, images etc. rather than body text
+const rtfSkipDestinations = new Set([
+  "fonttbl", "colortbl", "stylesheet", "info", "pict", "header", "footer",
+  "headerl", "headerr", "footerl", "footerr", "listtable", "listoverridetable",
+  "themedata", "colorschememapping", "latentstyles", "datastore", "xmlnstbl",
+  "rsidtbl", "generator", "object", "fldinst", "filetbl", "revtbl",
+]);
+
+const rtfSymbols = {
+  emdash: "—",
+  endash: "–",
+  bullet: "•",
+  lquote: "‘",
+  rquote: "’",
+  ldblquote: "“",
+  rdblquote: "”",
+  tab: "\t",
+  cell: "\t",
+  par: "\n",
+  line: "\n",
+  sect: "\n",
+  row: "\n",
+};
+
+export function rtfToText(rtf) {
+  const windows1252 = new TextDecoder("windows-1252");
+  const stack = [];
+  let skip = false;
+  let unicodeSkip = 1;
+  let text = "";
+
+  for (let i = 0; i < rtf.length; i++) {
+    const char = rtf[i];
+
+    if (char === "{") {
+      stack.push({ skip, unicodeSkip });
+    } else if (char === "}") {
+      ({ skip, unicodeSkip } = stack.pop() || { skip: false, unicodeSkip: 1 });
+    } else if (char === "\\") {
+      const next = rtf[i + 1];
+
+      if (next === "\\" || next === "{" || next === "}") {
+        if (!skip) text += next;
+        i++;
+      } else if (next === "'") {
+        if (!skip) {
+          text += windows1252.decode(Uint8Array.of(parseInt(rtf.substr(i + 2, 2), 16)));
+        }
+        i += 3;
+      } else if (next === "*") {
+        skip = true;
+        i++;
+      } else if (next === "~") {
+        if (!skip) text += " ";
+        i++;
+      } else if (next === "\n" || next === "\r") {
+        if (!skip) text += "\n";
+        i++;
+      } else {
+        const match = /^([a-z]+)(-?\d+)? ?/i.exec(rtf.slice(i + 1, i + 40));
+        if (!match) {
+          i++;
+          continue;
+        }
+        i += match[0].length;
+        const [, word, param] = match;
+
+        if (word === "uc") {
+          unicodeSkip = Number(param);
+        } else if (rtfSkipDestinations.has(word)) {
+          skip = true;
+        } else if (!skip && word === "u") {
+          const code = Number(param);
+          text += String.fromCharCode(code < 0 ? code + 65536 : code);
+          // Skip the fallback characters that follow a unicode character
+          for (let fallback = 0; fallback < unicodeSkip; fallback++) {
+            i += rtf.startsWith("\\'", i + 1) ? 4 : 1;
+          }
+        } else if (!skip && rtfSymbols[word]) {
+          text += rtfSymbols[word];
+        }
+      }
+    } else if (char !== "\r" && char !== "\n" && !skip) {
+      text += char;
+    }
+  }
+
+  return text;
+}
+
+const formats = {
+  pdf: {
+    label: "PDF",
+    extract: extractFromPdfWithOcr,
+    links: pdfLinks,
+  },
+  docx: {
+    label: "Word document",
+    extract: extractFromDocx,
+    links: docxLinks,
+  },
+  doc: {
+    label: "Word 97-2003 (.doc) document",
+    extract: extractFromDoc,
+  },
+  odt: {
+    label: "OpenDocument text file",
+    extract: extractFromOdt,
+    links: odtLinks,
+  },
+  rtf: {
+    label: "RTF document",
+    extract: async (buffer) => rtfToText(buffer.toString("latin1")),
+    links: rtfLinks,
+  },
+  markdown: {
+    label: "Markdown file",
+    extract: async (buffer) => buffer.toString("utf8"),
+  },
+  text: {
+    label: "text file",
+    extract: async (buffer) => buffer.toString("utf8"),
+  },
+};
+
+const cleanText = (text) =>
+  text
+    .replace(/^\uFEFF/, "")
+    .replace(/\r\n?/g, "\n")
+    .replace(/[ \t]+\n/g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+
+// Extracts the text of an uploaded resume. Resolves to
+// { text, format, ocr, links }: ocr is only set when scanned PDF pages were
+// read with OCR ({ pages, confidence, skipped }), and links lists the
+// document's hyperlink targets. Rejects
+// with a message naming the detected format when reading the text fails.
+export async function extractResumeText(buffer, fileName) {
+  const format = await detectFormat(buffer, fileName);
+  if (!format) {
+    throw new Error(`Unsupported file type. Please upload a ${supportedFormatsLabel} file.`);
+  }
+
+  const { label, extract, links: extractLinks } = formats[format];
+  let text;
+  let ocr;
+  try {
+    const result = await extract(buffer);
+    ({ text, ocr } = typeof result === "string" ? { text: result } : result);
+    text = cleanText(text);
+  } catch (error) {
+    console.error(`${label} extraction error:`, error);
+    throw new Error(`Could not read this ${label}: ${error.message}`);
+  }
+
+  if (!text) {
+    throw new Error(`No text content found in this ${label}`);
+  }
+
+  // Links only help with contact details, so failing to read them is not fatal
+  let links = [];
+  if (extractLinks) {
+    try {
+      links = await extractLinks(buffer);
+    } catch (error) {
+      console.error(`${label} link extraction error:`, error);
+    }
+  }
+
+  return { text, format, ocr, links };
+}
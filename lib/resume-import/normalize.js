@@ -0,0 +1,282 @@
+import { descriptionToBullets } from "@/app/lib/helper";
+import { readMonth } from "@/app/lib/entry-dates";
+import { proficiencyLevels } from "@/app/lib/resume-sections";
+
+// Maps whatever the resume parser returned onto the builder's form values
+// (entrySchema: title, organization, startDate, endDate, current,
+// bullets, and the shapes of the additional sections in
+// app/lib/resume-sections). Anything that could not be filled is reported
+// as a warning instead of failing the whole upload.
+
+const entryFields = {
+  experience: {
+    title: ["title", "position", "role", "jobTitle", "job_title"],
+    organization: ["organization", "company", "employer", "companyName"],
+  },
+  education: {
+    title: ["title", "degree", "qualification", "studyType", "program"],
+    organization: ["organization", "institution", "school", "university", "college"],
+  },
+  projects: {
+    title: ["title", "name", "projectName"],
+    organization: ["organization", "company", "client", "context"],
+  },
+  volunteer: {
+    title: ["title", "role", "position"],
+    organization: ["organization", "company", "cause"],
+  },
+  certifications: {
+    title: ["title", "name", "certification"],
+    organization: ["organization", "issuer", "authority"],
+  },
+  awards: {
+    title: ["title", "name", "award"],
+    organization: ["organization", "awarder", "issuer"],
+  },
+  publications: {
+    title: ["title", "name"],
+    organization: ["organization", "publisher", "venue", "journal"],
+  },
+  custom: {
+    title: ["title", "name"],
+    organization: ["organization", "subtitle"],
+  },
+};
+
+const entryLabels = {
+  experience: "Work experience",
+  education: "Education",
+  projects: "Project",
+  volunteer: "Volunteer role",
+  certifications: "Certification",
+  awards: "Award",
+  publications: "Publication",
+  languages: "Language",
+};
+
+const currentPattern = /^(present|current|now|ongoing|today|till date|to date)$/i;
+
+const toText = (value) => {
+  if (value === null || value === undefined) return "";
+  if (Array.isArray(value)) return value.map(toText).filter(Boolean).join(", ");
+  if (typeof value === "object") return Object.values(value).map(toText).join(" ");
+  return String(value).trim();
+};
+
+const pick = (source, keys) => {
+  for (const key of keys) {
+    const value = toText(source[key]);
+    if (value) return value;
+  }
+  return "";
+};
+
+// Reads a date as "yyyy-MM"; text that is not a month is kept as it was
+// written, with a warning, for the user to fix in the review dialog
+const readDate = (text, field, label, warn) => {
+  const month = readMonth(text);
+  if (month !== null) return month;
+  warn(
+    field,
+    /^\d{4}$/.test(text)
+      ? `only the year was found for the ${label} (${text}); pick the month`
+      : `could not read the ${label} "${text}"`
+  );
+  return text;
+};
+
+// Descriptions and highlights both end up as bullets; a description in
+// one string is split at line breaks
+const toBullets = (entry) => {
+  const description = entry.description ?? entry.summary ?? entry.details;
+  const highlights = entry.bullets ?? entry.highlights ?? entry.achievements;
+
+  return [description, highlights]
+    .flatMap((value) => (Array.isArray(value) ? value : [value]))
+    .flatMap((line) => descriptionToBullets(toText(line)));
+};
+
+function normalizeEntry(raw, section, index, warnings) {
+  const source = raw && typeof raw === "object" ? raw : { description: raw };
+  const fields = entryFields[section];
+  const label = `${entryLabels[section]} ${index + 1}`;
+  const warn = (field, message) =>
+    warnings.push({ section, index, field, message: `${label}: ${message}` });
+
+  let startText = toText(source.startDate ?? source.start ?? source.from);
+  let endText = toText(source.endDate ?? source.end ?? source.to);
+
+  // Some parsers return a single "dates" string such as "Jan 2020 - Present"
+  const range = toText(source.dates ?? source.date ?? source.duration);
+  if (!startText && range) {
+    [startText = "", endText = ""] = range
+      .split(/\s+[-–—]\s+|\s*[–—]\s*|\s+(?:to|until)\s+/i)
+      .map((part) => part.trim());
+  }
+
+  const current =
+    source.current === true || currentPattern.test(endText) || /present/i.test(range);
+
+  const entry = {
+    title: pick(source, fields.title),
+    organization: pick(source, fields.organization),
+    startDate: "",
+    endDate: "",
+    bullets: toBullets(source),
+    current,
+  };
+
+  // Education often comes as a degree plus a separate field of study
+  const area = toText(source.area ?? source.fieldOfStudy ?? source.field);
+  if (section === "education" && area && !entry.title.includes(area)) {
+    entry.title = entry.title ? `${entry.title} in ${area}` : area;
+  }
+
+  entry.startDate = readDate(startText, "startDate", "start date", warn);
+  if (!current) {
+    entry.endDate = readDate(endText, "endDate", "end date", warn);
+  }
+
+  if (!entry.title) warn("title", "no title was found");
+  if (!entry.organization) warn("organization", "no organization was found");
+  if (!entry.startDate) warn("startDate", "no start date was found");
+  if (!current && !entry.endDate) {
+    warn("endDate", "no end date was found and the entry is not marked as current");
+  }
+  if (!entry.bullets.length) warn("bullets", "no bullet points were found");
+
+  return entry;
+}
+
+// Certifications, awards, publications and custom section entries have a
+// single optional date rather than a range
+function normalizeDatedItem(raw, section, index, warnings) {
+  const source = raw && typeof raw === "object" ? raw : { title: raw };
+  const fields = entryFields[section] || entryFields.custom;
+  const label = `${entryLabels[section] || "Entry"} ${index + 1}`;
+  const warn = (field, message) =>
+    warnings.push({ section, index, field, message: `${label}: ${message}` });
+
+  const entry = {
+    title: pick(source, fields.title),
+    organization: pick(source, fields.organization),
+    date: "",
+    description: toText(source.description ?? source.summary),
+  };
+
+  const dateText = toText(source.date ?? source.releaseDate ?? source.year);
+  entry.date = readDate(dateText, "date", "date", warn);
+
+  if (section === "certifications") {
+    const expiryText = toText(source.expiryDate ?? source.expires);
+    entry.expiryDate = readDate(expiryText, "expiryDate", "expiry date", warn);
+  }
+  if (section === "certifications" || section === "publications") {
+    entry.url = /^https?:\/\//i.test(toText(source.url)) ? toText(source.url) : "";
+  }
+
+  if (!entry.title) warn("title", "no title was found");
+  if (section === "certifications" && !entry.organization) {
+    warn("organization", "no issuing organization was found");
+  }
+
+  return entry;
+}
+
+// Proficiency is matched onto the builder's levels where possible
+function normalizeLanguage(raw) {
+  const source = raw && typeof raw === "object" ? raw : { language: raw };
+  const level = pick(source, ["proficiency", "fluency", "level"]);
+  return {
+    title: pick(source, ["language", "name", "title"]),
+    proficiency:
+      proficiencyLevels.find((name) => level.toLowerCase().startsWith(name.toLowerCase())) ||
+      level,
+  };
+}
+
+// Skills may arrive as a string, a list or a { category: [skills] } object
+const normalizeSkills = (skills) => {
+  if (!skills) return "";
+  if (Array.isArray(skills)) {
+    return skills
+      .map((skill) =>
+        skill && typeof skill === "object"
+          ? `${toText(skill.name ?? skill.category)}: ${toText(skill.keywords ?? skill.skills)}`
+          : toText(skill)
+      )
+      .filter(Boolean)
+      .join(skills.some((skill) => skill && typeof skill === "object") ? "\n" : ", ");
+  }
+  if (typeof skills === "object") {
+    return Object.entries(skills)
+      .map(([category, list]) => `${category}: ${toText(list)}`)
+      .join("\n");
+  }
+  return toText(skills);
+};
+
+const toList = (value) => (Array.isArray(value) ? value : value ? [value] : []);
+
+export function normalizeParsedResume(parsed = {}) {
+  const warnings = [];
+
+  const content = {
+    summary: toText(parsed.summary ?? parsed.professionalSummary ?? parsed.objective),
+    skills: normalizeSkills(parsed.skills),
+    experience: toList(parsed.experience ?? parsed.work ?? parsed.workExperience).map(
+      (entry, index) => normalizeEntry(entry, "experience", index, warnings)
+    ),
+    education: toList(parsed.education).map((entry, index) =>
+      normalizeEntry(entry, "education", index, warnings)
+    ),
+    projects: toList(parsed.projects).map((entry, index) =>
+      normalizeEntry(entry, "projects", index, warnings)
+    ),
+    certifications: toList(parsed.certifications ?? parsed.certificates).map(
+      (entry, index) => normalizeDatedItem(entry, "certifications", index, warnings)
+    ),
+    languages: toList(parsed.languages)
+      .map(normalizeLanguage)
+      .filter((entry) => entry.title),
+    awards: toList(parsed.awards ?? parsed.honors).map((entry, index) =>
+      normalizeDatedItem(entry, "awards", index, warnings)
+    ),
+    publications: toList(parsed.publications).map((entry, index) =>
+      normalizeDatedItem(entry, "publications", index, warnings)
+    ),
+    volunteer: toList(parsed.volunteer ?? parsed.volunteering).map((entry, index) =>
+      normalizeEntry(entry, "volunteer", index, warnings)
+    ),
+    // Sections the builder has no field for become custom sections
+    customSections: toList(parsed.otherSections ?? parsed.customSections)
+      .map((section) => ({
+        id: crypto.randomUUID(),
+        title: toText(section?.title ?? section?.heading),
+        entries: toList(section?.entries ?? section?.items)
+          .map((entry, index) => normalizeDatedItem(entry, "custom", index, []))
+          .filter((entry) => entry.title),
+      }))
+      .filter((section) => section.title && section.entries.length),
+  };
+
+  content.languages.forEach((entry, index) => {
+    if (!entry.proficiency) {
+      warnings.push({
+        section: "languages",
+        index,
+        field: "proficiency",
+        message: `${entryLabels.languages} ${index + 1}: no proficiency was found`,
+      });
+    }
+  });
+
+  if (!content.summary) {
+    warnings.push({ section: "summary", field: "summary", message: "No professional summary was found" });
+  }
+  if (!content.skills) {
+    warnings.push({ section: "skills", field: "skills", message: "No skills were found" });
+  }
+
+  return { content, warnings };
+}
@@ -0,0 +1,97 @@
+import { createCanvas } from "@napi-rs/canvas";
+import { getDocument } from "pdfjs-dist/legacy/build/pdf.mjs";
+import { createWorker } from "tesseract.js";
+import engData from "@tesseract.js-data/eng";
+
+// Local OCR for scanned resumes. Pages are rendered with pdf.js and read
+// with tesseract using the English model bundled in @tesseract.js-data/eng,
+// so nothing is downloaded at runtime.
+
+// 2x the PDF's 72 DPI is enough for tesseract on typical resume fonts
+const RENDER_SCALE = 2;
+const MAX_OCR_PAGES = 10;
+
+class CanvasFactory {
+  create(width, height) {
+    const canvas = createCanvas(width, height);
+    return { canvas, context: canvas.getContext("2d") };
+  }
+
+  reset(canvasAndContext, width, height) {
+    canvasAndContext.canvas.width = width;
+    canvasAndContext.canvas.height = height;
+  }
+
+  destroy(canvasAndContext) {
+    canvasAndContext.canvas.width = 0;
+    canvasAndContext.canvas.height = 0;
+    canvasAndContext.canvas = null;
+    canvasAndContext.context = null;
+  }
+}
+
+async function renderPage(pdf, pageNumber) {
+  const page = await pdf.getPage(pageNumber);
+  const viewport = page.getViewport({ scale: RENDER_SCALE });
+  const canvas = createCanvas(Math.ceil(viewport.width), Math.ceil(viewport.height));
+  const context = canvas.getContext("2d");
+
+  // Scans are often transparent images; tesseract needs a white page
+  context.fillStyle = "#ffffff";
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  await page.render({ canvasContext: context, viewport }).promise;
+  page.cleanup();
+
+  return canvas.encode("png");
+}
+
+// OCRs the given 1-based page numbers (all pages when none are given), up
+// to MAX_OCR_PAGES of them. Resolves to { pages, skipped }: pages is
+// [{ page, text, confidence }] with confidence from 0 to 100 and skipped
+// lists the page numbers left unread because of the limit.
+export async function ocrPdfPages(buffer, pageNumbers = []) {
+  const pdf = await getDocument({
+    data: new Uint8Array(buffer),
+    CanvasFactory,
+    isEvalSupported: false,
+    verbosity: 0,
+  }).promise;
+
+  const allPages = Array.from({ length: pdf.numPages }, (_, index) => index + 1);
+  const requested = (pageNumbers.length ? pageNumbers : allPages).filter(
+    (pageNumber) => pageNumber <= pdf.numPages
+  );
+  const targets = requested.slice(0, MAX_OCR_PAGES);
+
+  const worker = await createWorker(engData.code, 1, {
+    langPath: engData.langPath,
+    gzip: engData.gzip,
+    cacheMethod: "none",
+  });
+
+  try {
+    const pages = [];
+    for (const pageNumber of targets) {
+      const image = await renderPage(pdf, pageNumber);
+      const { data } = await worker.recognize(image);
+      pages.push({
+        page: pageNumber,
+        text: data.text.trim(),
+        confidence: data.confidence,
+      });
+    }
+    return { pages, skipped: requested.slice(MAX_OCR_PAGES) };
+  } finally {
+    await worker.terminate();
+    await pdf.destroy();
+  }
+}
+
+// Overall confidence, weighted by how much text each page produced
+export function ocrConfidence(pages) {
+  const total = pages.reduce((sum, page) => sum + page.text.length, 0);
+  if (!total) return 0;
+  return Math.round(
+    pages.reduce((sum, page) => sum + page.confidence * page.text.length, 0) / total
+  );
+}
@@ -4,3 +4,13 @@ import { twMerge } from "tailwind-merge"
 export function cn(...inputs) {
   return twMerge(clsx(inputs));
 }
+
+// Turns a document title into a safe download file name
+export function toFileName(name, fallback = "document") {
+  return (
+    name
+      ?.replace(/[^a-z0-9]+/gi, "-")
+      .replace(/^-|-$/g, "")
+      .toLowerCase() || fallback
+  );
+}
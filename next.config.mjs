@@ -1,6 +1,15 @@
 /** @type {import('next').NextConfig} */
 const nextConfig = {
   reactStrictMode: true,
+  // Headless Chrome for PDF exports and the native/wasm OCR stack for
+  // scanned uploads must not be bundled
+  serverExternalPackages: [
+    "puppeteer",
+    "pdfjs-dist",
+    "@napi-rs/canvas",
+    "tesseract.js",
+    "@tesseract.js-data/eng",
+  ],
   images: {
     remotePatterns: [
       {
@@ -0,0 +1,9 @@
+-- DropIndex
+DROP INDEX "Resume_userId_key";
+
+-- AlterTable
+ALTER TABLE "Resume" ADD COLUMN     "name" TEXT NOT NULL DEFAULT 'My Resume',
+ADD COLUMN     "targetRole" TEXT;
+
+-- CreateIndex
+CREATE INDEX "Resume_userId_idx" ON "Resume"("userId");
@@ -0,0 +1,17 @@
+-- CreateTable
+CREATE TABLE "ResumeRevision" (
+    "id" TEXT NOT NULL,
+    "resumeId" TEXT NOT NULL,
+    "content" TEXT NOT NULL,
+    "atsScore" DOUBLE PRECISION,
+    "feedback" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ResumeRevision_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ResumeRevision_resumeId_idx" ON "ResumeRevision"("resumeId");
+
+-- AddForeignKey
+ALTER TABLE "ResumeRevision" ADD CONSTRAINT "ResumeRevision_resumeId_fkey" FOREIGN KEY ("resumeId") REFERENCES "Resume"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "Resume" ADD COLUMN     "formData" JSONB;
+
+-- AlterTable
+ALTER TABLE "ResumeRevision" ADD COLUMN     "formData" JSONB;
@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "Resume" ADD COLUMN     "draftData" JSONB,
+ADD COLUMN     "draftSavedAt" TIMESTAMP(3),
+ADD COLUMN     "version" INTEGER NOT NULL DEFAULT 0;
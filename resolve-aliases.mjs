@@ -0,0 +1,24 @@
+// Lets `node --test` import the app's modules the way Next.js resolves them:
+// "@/..." is the repository root (see jsconfig.json) and relative imports
+// leave out the ".js" extension.
+import { register } from "node:module";
+import { isMainThread } from "node:worker_threads";
+
+const root = new URL("./", import.meta.url);
+
+export async function resolve(specifier, context, nextResolve) {
+  const target = specifier.startsWith("@/")
+    ? new URL(specifier.slice(2), root).href
+    : specifier;
+  try {
+    return await nextResolve(target, context);
+  } catch (error) {
+    if (error.code !== "ERR_MODULE_NOT_FOUND" || !/^(\.|file:)/.test(target)) {
+      throw error;
+    }
+    return nextResolve(`${target}.js`, context);
+  }
+}
+
+// The hooks run on a thread of their own, which loads this file again
+if (isMainThread) register(import.meta.url);